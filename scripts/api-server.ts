@@ -0,0 +1,96 @@
+/**
+ * `src/data` の学期データを JSON で返すローカル HTTP サーバーです。
+ * 順位・分布の計算はアプリと同じ `src/lib` の関数を使い、少人数の集団の保護も同じ規則で行います。
+ *
+ * 使い方:
+ *   npm run api -- [--port 8787] [--host 127.0.0.1] [--origin http://localhost:5174] [--data-dir src/data]
+ *
+ * 既定では同じ PC からの接続だけを受け付け、ブラウザからは開発サーバーのアプリだけが読み込めます。
+ */
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { handleApiRequest } from "../src/lib/api";
+import { resolvePrivacyPolicy } from "../src/lib/privacy";
+import { buildTermRegistry } from "../src/lib/terms";
+import type { TermManifest } from "../src/types";
+
+/** マニフェストと CSV を読み込みます。CSV を差し替えた場合はサーバーを再起動してください。 */
+const loadContext = (dataDir: string) => {
+  const manifest = JSON.parse(
+    readFileSync(path.join(dataDir, "manifest.json"), "utf-8")
+  ) as TermManifest;
+  return {
+    terms: buildTermRegistry(manifest, (fileName) => {
+      try {
+        return readFileSync(path.join(dataDir, fileName), "utf-8");
+      } catch {
+        return undefined;
+      }
+    }),
+    privacy: resolvePrivacyPolicy(manifest.privacy),
+  };
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "8787" },
+      host: { type: "string", default: "127.0.0.1" },
+      origin: {
+        type: "string",
+        multiple: true,
+        default: ["http://localhost:5174", "http://127.0.0.1:5174"],
+      },
+      "data-dir": { type: "string", default: "src/data" },
+    },
+  });
+  const port = Number(values.port);
+  const host = values.host;
+  const allowedOrigins = new Set(values.origin);
+  const dataDir = path.resolve(values["data-dir"]);
+  const context = loadContext(dataDir);
+
+  const server = createServer((request, response) => {
+    // 開発サーバー（別ポート）のアプリからだけ読み込めるようにする
+    const origin = request.headers.origin;
+    response.setHeader("Vary", "Origin");
+    if (origin && allowedOrigins.has(origin)) {
+      response.setHeader("Access-Control-Allow-Origin", origin);
+    }
+    if (request.method === "OPTIONS") {
+      response.writeHead(204, { "Access-Control-Allow-Methods": "GET" });
+      response.end();
+      return;
+    }
+    const respond = () => {
+      if (request.method !== "GET") {
+        return { status: 405, body: { error: "GET のみ受け付けます" } };
+      }
+      try {
+        return handleApiRequest(
+          new URL(request.url ?? "/", `http://${request.headers.host}`),
+          context
+        );
+      } catch (error) {
+        // 不正なパーセントエンコードなど、URL 自体が読めない場合
+        return { status: 400, body: { error: (error as Error).message } };
+      }
+    };
+    const { status, body } = respond();
+    response.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+    });
+    response.end(JSON.stringify(body));
+  });
+
+  server.listen(port, host, () => {
+    const origin = host.includes(":") ? `[${host}]` : host;
+    console.log(
+      `${context.terms.length} 学期のデータを http://${origin}:${port}/api/terms で提供しています（${dataDir}）`
+    );
+  });
+};
+
+main();
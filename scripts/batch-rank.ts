@@ -0,0 +1,177 @@
+/**
+ * 学科・学年・GPA の一覧から、推定順位・上位 %・平均 GPA を一括で求めます。
+ * CSV の読み込みと順位の推定はアプリと同じ `src/lib` の関数を使うため、画面と同じ値になります。
+ *
+ * 使い方:
+ *   npm run rank -- <分布 CSV>... --input <一覧.csv | 一覧.json>
+ *     [--faculty <学部名>] [--method uniform|linear|spline]
+ *     [--format table|csv|json] [--lang ja|en] [--out <出力ファイル>]
+ *     [--manifest <manifest.json>]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import {
+  computeBatchRanks,
+  formatBatchCsv,
+  parseBatchCsv,
+  parseBatchJson,
+  toBatchTable,
+} from "../src/lib/batch";
+import type { BatchRankResult } from "../src/lib/batch";
+import {
+  formatCsvIssue,
+  inspectDistributionBytes,
+  mergeDatasets,
+} from "../src/lib/distribution";
+import { ESTIMATION_METHODS } from "../src/lib/estimation";
+import {
+  DEFAULT_PRIVACY_POLICY,
+  resolvePrivacyPolicy,
+} from "../src/lib/privacy";
+import { en } from "../src/i18n/en";
+import { ja } from "../src/i18n/ja";
+import type { Messages } from "../src/i18n/ja";
+import type { EstimationMethod, TermManifest } from "../src/types";
+
+const FORMATS = ["table", "csv", "json"] as const;
+type OutputFormat = (typeof FORMATS)[number];
+
+// 出力の見出し・学部と学科の名前・順位の文言とメッセージの言語
+const LANGUAGES = new Map<string, Messages>([
+  ["ja", ja],
+  ["en", en],
+]);
+
+// 全角文字は端末で 2 桁分の幅になる
+const FULL_WIDTH =
+  /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/;
+
+const displayWidth = (text: string) =>
+  Array.from(text).reduce(
+    (width, char) => width + (FULL_WIDTH.test(char) ? 2 : 1),
+    0
+  );
+
+const formatTable = (results: BatchRankResult[], messages: Messages) => {
+  const rows = toBatchTable(results, messages);
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((cells) => displayWidth(cells[column])))
+  );
+  const line = (cells: string[]) =>
+    cells
+      .map((cell, column) =>
+        cell.padEnd(widths[column] - displayWidth(cell) + cell.length)
+      )
+      .join("  ")
+      .trimEnd();
+  return [
+    line(rows[0]),
+    widths.map((width) => "-".repeat(width)).join("  "),
+    ...rows.slice(1).map(line),
+    "",
+  ].join("\n");
+};
+
+const loadDataset = async (
+  files: string[],
+  faculty: string | undefined,
+  messages: Messages
+) =>
+  mergeDatasets(
+    await Promise.all(
+      files.map(async (file) => {
+        const { dataset, issues } = inspectDistributionBytes(
+          await readFile(file),
+          faculty
+        );
+        const errors = issues.filter((issue) => issue.severity === "error");
+        if (errors.length > 0 || dataset.segments.length === 0) {
+          throw new Error(
+            messages.batch.unreadableDataset(
+              file,
+              errors[0]
+                ? `${messages.batch.line(errors[0].line)}${formatCsvIssue(
+                    errors[0],
+                    messages
+                  )}`
+                : messages.batch.noSegments
+            )
+          );
+        }
+        return dataset;
+      })
+    )
+  );
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      input: { type: "string" },
+      faculty: { type: "string" },
+      method: { type: "string", default: "uniform" },
+      format: { type: "string", default: "table" },
+      lang: { type: "string", default: "ja" },
+      out: { type: "string" },
+      manifest: { type: "string" },
+    },
+  });
+
+  const method = values.method as EstimationMethod;
+  const format = values.format as OutputFormat;
+  const messages = LANGUAGES.get(values.lang);
+  if (
+    positionals.length === 0 ||
+    !values.input ||
+    !ESTIMATION_METHODS.includes(method) ||
+    !FORMATS.includes(format) ||
+    !messages
+  ) {
+    console.error((messages ?? ja).batch.usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  // 表示の規則はアプリと同じく manifest.json の privacy に従う（指定しなければ既定値）
+  const privacy = values.manifest
+    ? resolvePrivacyPolicy(
+        (JSON.parse(await readFile(values.manifest, "utf-8")) as TermManifest)
+          .privacy
+      )
+    : DEFAULT_PRIVACY_POLICY;
+  const dataset = await loadDataset(positionals, values.faculty, messages);
+  const input = await readFile(values.input, "utf-8");
+  const rows =
+    path.extname(values.input).toLowerCase() === ".json"
+      ? parseBatchJson(input, messages)
+      : parseBatchCsv(input, messages);
+
+  const results = computeBatchRanks(dataset, rows, method, privacy, messages);
+  const output =
+    format === "csv"
+      ? formatBatchCsv(results, messages)
+      : format === "json"
+      ? `${JSON.stringify(results, null, 2)}\n`
+      : formatTable(results, messages);
+
+  if (values.out) {
+    await writeFile(values.out, output, "utf8");
+    console.log(messages.batch.written(results.length, values.out));
+  } else {
+    process.stdout.write(output);
+  }
+
+  const failures = results.filter((result) => result.error !== null);
+  if (failures.length > 0) {
+    failures.forEach((result) =>
+      console.error(`  ${messages.batch.line(result.row.line)}${result.error}`)
+    );
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error: Error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,295 @@
+import {
+  parseGradeCell,
+  parseRange,
+  parseSegmentLabel,
+  sumCounts,
+} from "../src/lib/distribution";
+import type {
+  BinRange,
+  DistributionDataset,
+  SegmentDistribution,
+} from "../src/types";
+
+/** pdf.js の TextItem から必要な位置情報だけを取り出したもの（PDF 座標系、y は上向き） */
+export type PdfTextItem = {
+  text: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+type PdfCell = {
+  text: string;
+  left: number;
+  right: number;
+};
+
+type HeaderLayout = {
+  bins: BinRange[];
+  centers: number[];
+  totalCenter: number | null;
+  labelRight: number;
+};
+
+export type RowReconciliation = {
+  label: string;
+  page: number;
+  computed: number;
+  reported: number | null;
+};
+
+export type BlankCell = {
+  label: string;
+  binLabel: string;
+};
+
+export type ExtractedTable = {
+  dataset: DistributionDataset;
+  rows: RowReconciliation[];
+  blankCells: BlankCell[];
+  warnings: string[];
+};
+
+const TOTAL_HEADER = /^(合計|計|総数|人数|在籍者数)$/;
+
+const center = (cell: PdfCell) => (cell.left + cell.right) / 2;
+
+/**
+ * 同じ高さにあるテキストを 1 行にまとめ、隣接するテキストを 1 セルに結合します。
+ * 行は上から下の順に並びます。
+ */
+export const groupRows = (items: PdfTextItem[]): PdfCell[][] => {
+  const visible = items.filter((item) => item.text.trim().length > 0);
+  const sorted = [...visible].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines: PdfTextItem[][] = [];
+
+  sorted.forEach((item) => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(item.height, 1) / 2;
+    if (line && Math.abs(line[0].y - item.y) <= tolerance) {
+      line.push(item);
+    } else {
+      lines.push([item]);
+    }
+  });
+
+  return lines.map((line) => {
+    const cells: PdfCell[] = [];
+    [...line]
+      .sort((a, b) => a.x - b.x)
+      .forEach((item) => {
+        const previous = cells[cells.length - 1];
+        const gap = previous ? item.x - previous.right : Infinity;
+        if (previous && gap < Math.max(item.height, 1) * 0.3) {
+          previous.text += item.text;
+          previous.right = item.x + item.width;
+        } else {
+          cells.push({
+            text: item.text,
+            left: item.x,
+            right: item.x + item.width,
+          });
+        }
+      });
+    return cells.map((cell) => ({ ...cell, text: cell.text.trim() }));
+  });
+};
+
+const tryParseRange = (text: string) => {
+  try {
+    return parseRange(text.replace(/\s+/g, ""));
+  } catch {
+    return null;
+  }
+};
+
+const readHeader = (row: PdfCell[]): HeaderLayout | null => {
+  const binCells = row.flatMap((cell) => {
+    const bin = tryParseRange(cell.text);
+    return bin ? [{ bin, cell }] : [];
+  });
+  if (binCells.length < 4) {
+    return null;
+  }
+
+  const totalCell = row.find((cell) => TOTAL_HEADER.test(cell.text));
+
+  return {
+    bins: binCells.map(({ bin }) => bin),
+    centers: binCells.map(({ cell }) => center(cell)),
+    totalCenter: totalCell ? center(totalCell) : null,
+    labelRight: binCells[0].cell.left,
+  };
+};
+
+const nearestColumn = (centers: number[], x: number) => {
+  let best = -1;
+  let bestDistance = Infinity;
+  centers.forEach((value, index) => {
+    const distance = Math.abs(value - x);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return { index: best, distance: bestDistance };
+};
+
+const columnSpacing = (centers: number[]) =>
+  centers.length > 1
+    ? (centers[centers.length - 1] - centers[0]) / (centers.length - 1)
+    : Infinity;
+
+const sameBins = (a: BinRange[], b: BinRange[]) =>
+  a.length === b.length &&
+  a.every((bin, index) => bin.min === b[index].min && bin.max === b[index].max);
+
+/**
+ * 各ページのテキストから学科・学年の行と GPA ビンの列を読み取り、
+ * `parseDistributionCsv` と同じ形のデータセットに組み立てます。
+ * 学科名が縦に結合されたセル（学科名が先頭行にだけある表）にも対応します。
+ * `faculty` を指定すると各行の学部名にします。
+ */
+export const extractDistributionTable = (
+  pages: PdfTextItem[][],
+  faculty = ""
+): ExtractedTable => {
+  const warnings: string[] = [];
+  const rows: RowReconciliation[] = [];
+  const blankCells: BlankCell[] = [];
+  const segments: SegmentDistribution[] = [];
+  let bins: BinRange[] = [];
+  let layout: HeaderLayout | null = null;
+
+  pages.forEach((items, pageIndex) => {
+    const page = pageIndex + 1;
+    let currentMajor = "";
+
+    groupRows(items).forEach((row) => {
+      const header = readHeader(row);
+      if (header) {
+        if (bins.length > 0 && !sameBins(bins, header.bins)) {
+          warnings.push(
+            `${page} ページ目の見出しのビンが最初の見出しと異なるため、この表を読み飛ばします`
+          );
+          layout = null;
+        } else {
+          bins = header.bins;
+          layout = header;
+        }
+        return;
+      }
+
+      if (!layout) {
+        return;
+      }
+      const { centers, totalCenter, labelRight } = layout;
+
+      const labelText = row
+        .filter((cell) => cell.right <= labelRight)
+        .map((cell) => cell.text)
+        .join(" ")
+        .trim();
+      const valueCells = row.filter((cell) => cell.right > labelRight);
+
+      if (!labelText || /合計|総計|^計$/.test(labelText)) {
+        return;
+      }
+
+      const gradeOnly = parseGradeCell(labelText);
+      const parsed =
+        gradeOnly !== null && currentMajor
+          ? { major: currentMajor, grade: gradeOnly }
+          : parseSegmentLabel(labelText);
+
+      if (!parsed) {
+        if (valueCells.length === 0) {
+          currentMajor = labelText.normalize("NFKC");
+        } else {
+          warnings.push(
+            `${page} ページ目「${labelText}」から学科・学年を読み取れないため除外しました`
+          );
+        }
+        return;
+      }
+
+      currentMajor = parsed.major;
+      const label = `${parsed.major} ${parsed.grade}回生`;
+
+      if (segments.some((segment) => segment.label === label)) {
+        warnings.push(
+          `${page} ページ目「${label}」は既に読み取り済みのため除外しました`
+        );
+        return;
+      }
+
+      const counts: (number | null)[] = bins.map(() => null);
+      let reported: number | null = null;
+      const spacing = columnSpacing(centers);
+      const allCenters =
+        totalCenter === null ? centers : [...centers, totalCenter];
+
+      valueCells.forEach((cell) => {
+        const value = Number(cell.text.normalize("NFKC").replace(/,/g, ""));
+        const { index, distance } = nearestColumn(allCenters, center(cell));
+        if (!Number.isInteger(value) || value < 0) {
+          warnings.push(
+            `${page} ページ目「${label}」の値「${cell.text}」は人数として解釈できないため無視しました`
+          );
+          return;
+        }
+        if (index === -1 || distance > spacing / 2) {
+          warnings.push(
+            `${page} ページ目「${label}」の値「${cell.text}」がどの列にも対応しないため無視しました`
+          );
+          return;
+        }
+        if (index === centers.length) {
+          reported = value;
+          return;
+        }
+        if (counts[index] !== null) {
+          warnings.push(
+            `${page} ページ目「${label}」の ${bins[index].label} 列に複数の値があります（${counts[index]}, ${value}）`
+          );
+          return;
+        }
+        counts[index] = value;
+      });
+
+      counts.forEach((value, index) => {
+        if (value === null) {
+          blankCells.push({ label, binLabel: bins[index].label });
+        }
+      });
+
+      const filled = counts.map((value) => value ?? 0);
+      const computed = sumCounts(filled);
+      rows.push({ label, page, computed, reported });
+      segments.push({
+        faculty,
+        major: parsed.major,
+        grade: parsed.grade,
+        label,
+        counts: filled,
+        total: computed,
+      });
+    });
+  });
+
+  bins.forEach((bin, index) => {
+    const next = bins[index + 1];
+    if (next && Math.abs(next.min - bin.min - 0.25) > 0.001) {
+      warnings.push(
+        `ビン ${bin.label} → ${next.label} の刻みが 0.25 ではありません`
+      );
+    }
+  });
+
+  if (bins.length === 0) {
+    warnings.push("GPA ビンの見出し行が見つかりませんでした");
+  }
+
+  return { dataset: { bins, segments }, rows, blankCells, warnings };
+};
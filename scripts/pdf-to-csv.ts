@@ -0,0 +1,151 @@
+/**
+ * 大学配布の GPA 分布 PDF（当学期・累積）を `src/data` と同じ形式の CSV に変換します。
+ * PDF はローカルで読み込むだけで、外部には送信しません。
+ *
+ * 使い方:
+ *   npm run convert:pdf -- <input.pdf>... [--out-dir <dir>] [--faculty <学部名>]
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import {
+  formatCsvIssue,
+  inspectDistributionCsv,
+  serializeDistributionCsv,
+} from "../src/lib/distribution";
+import { extractDistributionTable } from "./pdf-table";
+import type { PdfTextItem } from "./pdf-table";
+
+const readPdfPages = async (file: string): Promise<PdfTextItem[][]> => {
+  const data = new Uint8Array(await readFile(file));
+  const document = await getDocument({ data, useSystemFonts: true }).promise;
+  const pages: PdfTextItem[][] = [];
+
+  for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber += 1) {
+    const page = await document.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(
+      content.items.flatMap((item) =>
+        "str" in item
+          ? [
+              {
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: item.height,
+              },
+            ]
+          : []
+      )
+    );
+  }
+
+  await document.destroy();
+  return pages;
+};
+
+const convert = async (
+  input: string,
+  outDir: string | undefined,
+  faculty: string | undefined
+) => {
+  const output = path.join(
+    outDir ?? path.dirname(input),
+    `${path.basename(input, path.extname(input))}.csv`
+  );
+  const { dataset, rows, blankCells, warnings } = extractDistributionTable(
+    await readPdfPages(input),
+    faculty
+  );
+  const csv = serializeDistributionCsv(dataset);
+
+  console.log(`\n■ ${input} → ${output}`);
+  console.log(
+    `  ${dataset.segments.length} セグメント / ${dataset.bins.length} ビン`
+  );
+
+  console.log("  行ごとの合計:");
+  let mismatches = 0;
+  rows.forEach(({ label, page, computed, reported }) => {
+    const status =
+      reported === null
+        ? "（PDF に合計列なし）"
+        : reported === computed
+        ? "一致"
+        : `不一致: PDF の合計は ${reported}`;
+    if (reported !== null && reported !== computed) {
+      mismatches += 1;
+    }
+    console.log(`    p.${page} ${label}: ${computed} 名 ${status}`);
+  });
+
+  if (blankCells.length > 0) {
+    console.log(`  空欄を 0 として読み取ったセル: ${blankCells.length} 件`);
+    blankCells.forEach(({ label, binLabel }) =>
+      console.log(`    ${label} / ${binLabel}`)
+    );
+  }
+
+  warnings.forEach((warning) => console.warn(`  警告: ${warning}`));
+
+  const { issues } = inspectDistributionCsv(csv);
+  const errors = issues.filter((issue) => issue.severity === "error");
+  if (errors.length > 0 || dataset.segments.length === 0) {
+    errors.forEach((issue) =>
+      console.error(`  エラー: ${issue.line} 行目: ${formatCsvIssue(issue)}`)
+    );
+    console.error("  CSV として読み込めない結果になったため書き出しません");
+    return false;
+  }
+
+  await writeFile(output, csv, "utf8");
+  console.log(
+    mismatches > 0
+      ? `  書き出しました（合計が一致しない行が ${mismatches} 件あります）`
+      : "  書き出しました"
+  );
+  return mismatches === 0;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "out-dir": { type: "string" },
+      faculty: { type: "string" },
+    },
+  });
+
+  if (positionals.length === 0) {
+    console.error(
+      "使い方: npm run convert:pdf -- <input.pdf>... [--out-dir <dir>] [--faculty <学部名>]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  let ok = true;
+  for (const input of positionals) {
+    // 読み込めない PDF があっても、残りのファイルの変換は続ける
+    try {
+      ok = (await convert(input, values["out-dir"], values.faculty)) && ok;
+    } catch (error) {
+      console.error(
+        `\n■ ${input}: 変換できませんでした: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      ok = false;
+    }
+  }
+  if (!ok) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error: Error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
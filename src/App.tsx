@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useId, useMemo, useRef, useState } from "react";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -9,230 +9,190 @@ import {
 } from "chart.js";
 import type { ChartData, ChartOptions, TooltipItem } from "chart.js";
 import { Bar } from "react-chartjs-2";
-import currentTermCsv from "./data/sample-students.csv?raw";
-import cumulativeCsv from "./data/cumulative-students.csv?raw";
-import type {
-  BinRange,
-  DistributionDataset,
-  SegmentDistribution,
-} from "./types";
+import BoxPlot from "./components/BoxPlot";
+import type { BoxPlotRow } from "./components/BoxPlot";
+import ComparisonPicker from "./components/ComparisonPicker";
+import ComparisonTable from "./components/ComparisonTable";
+import CsvUploader from "./components/CsvUploader";
+import CumulativeChart from "./components/CumulativeChart";
+import type { CumulativeSeries } from "./components/CumulativeChart";
+import DataQualityReport from "./components/DataQualityReport";
+import DistributionTable from "./components/DistributionTable";
+import ExportActions from "./components/ExportActions";
+import GpaCalculator from "./components/GpaCalculator";
+import LiveRegion from "./components/LiveRegion";
+import PersonalHistory from "./components/PersonalHistory";
+import ReferenceRankTable from "./components/ReferenceRankTable";
+import type { RankColumn } from "./components/ReferenceRankTable";
+import ReverseLookup from "./components/ReverseLookup";
+import TermCumulativeComparison from "./components/TermCumulativeComparison";
+import TrendChart from "./components/TrendChart";
+import UpdateNotice from "./components/UpdateNotice";
+import {
+  COMPARISON_COLORS,
+  useComparisonMode,
+} from "./hooks/useComparisonMode";
+import { privacyPolicy, termRegistry } from "./data/registry";
+import {
+  I18nContext,
+  LOCALES,
+  LOCALE_LABELS,
+  MESSAGES,
+  applyLocale,
+  createFormatters,
+  detectLocale,
+} from "./i18n";
+import type { Locale } from "./i18n";
+import {
+  EMPTY_DATASET,
+  aggregateSegments,
+  computeRankInfo,
+  findBinIndex,
+  findSegment,
+  sumCounts,
+  weightedAverage,
+} from "./lib/distribution";
+import { ESTIMATION_METHODS } from "./lib/estimation";
+import type { HistoryEntry } from "./lib/history";
+import type { ResultCardContent } from "./lib/resultCard";
+import {
+  buildReferenceGroups,
+  facultyLabel,
+  listFaculties,
+} from "./lib/hierarchy";
+import {
+  canDisclose,
+  discloseRank,
+  formatRankDisclosure,
+  mergeSmallBins,
+  withheldMessage,
+} from "./lib/privacy";
+import {
+  excludeZeroBin,
+  excludeZeroBinFromTerm,
+  findZeroBinIndex,
+  inspectDatasetQuality,
+  inspectTermQuality,
+} from "./lib/quality";
+import {
+  ORIGINAL_BIN_SCHEME,
+  applyBinScheme,
+  parseBinScheme,
+  rebinCounts,
+} from "./lib/rebin";
+import { describeDistribution } from "./lib/statistics";
+import { DATASET_KINDS } from "./lib/terms";
+import {
+  CHART_TYPES,
+  isHistoryStep,
+  parseViewState,
+  serializeViewState,
+} from "./lib/viewState";
+import type { ChartType, ViewState } from "./lib/viewState";
+import type { DistributionDataset, EstimationMethod } from "./types";
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
 
-const EMPTY_DATASET: DistributionDataset = { bins: [], segments: [] };
-
-const numberFormatter = (fraction = 2) =>
-  new Intl.NumberFormat("ja-JP", {
-    minimumFractionDigits: fraction,
-    maximumFractionDigits: fraction,
-  });
-
-const formatDecimal = (value: number | null, fraction = 2) =>
-  value === null ? "-" : numberFormatter(fraction).format(value);
-
-const formatCount = (value: number) => value.toLocaleString("ja-JP");
-
-const sumCounts = (counts: number[]) =>
-  counts.reduce((sum, value) => sum + value, 0);
-
-const weightedAverage = (counts: number[], bins: BinRange[]): number | null => {
-  const total = sumCounts(counts);
-  if (total === 0) {
-    return null;
-  }
-
-  const totalScore = counts.reduce((acc, count, index) => {
-    const bin = bins[index];
-    if (!bin) {
-      return acc;
-    }
-    const midpoint = (bin.min + bin.max) / 2;
-    return acc + count * midpoint;
-  }, 0);
-
-  return totalScore / total;
-};
-
-const aggregateSegments = (
-  segments: SegmentDistribution[],
-  binLength: number
-) => {
-  const counts = Array.from({ length: binLength }, () => 0);
-  let total = 0;
-
-  segments.forEach((segment) => {
-    segment.counts.forEach((value, index) => {
-      counts[index] = (counts[index] ?? 0) + value;
-    });
-    total += segment.total;
-  });
-
-  return { counts, total };
-};
-
-const parseRange = (label: string): BinRange => {
-  const match = label.match(
-    /^(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)(?:\s*[^\d]*)?$/
-  );
-  if (!match) {
-    throw new Error(`範囲ラベルの形式が不正です: ${label}`);
-  }
-  return {
-    label,
-    min: Number.parseFloat(match[1]),
-    max: Number.parseFloat(match[2]),
-  };
+type DatasetOption = {
+  key: string;
+  label: string;
+  filePath: string;
+  dataset: DistributionDataset;
 };
 
-const parseDistributionCsv = (raw: string): DistributionDataset => {
-  const lines = raw
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter((line) => line.length > 0);
-
-  if (lines.length <= 1) {
-    return { bins: [], segments: [] };
-  }
-
-  const headerCells = lines[0].split(",");
-  const binLabels = headerCells
-    .slice(1)
-    .map((cell) => cell.trim())
-    .filter((cell) => cell.length > 0);
-  const bins = binLabels.map(parseRange);
-
-  const segments: SegmentDistribution[] = lines.slice(1).flatMap((line) => {
-    const cells = line.split(",");
-    if (cells.length <= 1) {
-      return [];
-    }
-
-    const rawLabel = cells[0]?.trim();
-    if (!rawLabel) {
-      return [];
-    }
-
-    const gradeMatch = rawLabel.match(/(\d+)\s*回生$/);
-    const grade = gradeMatch ? Number.parseInt(gradeMatch[1], 10) : 0;
-    const major = gradeMatch
-      ? rawLabel.replace(/\s*\d+\s*回生$/, "").trim()
-      : rawLabel;
+/** ビンの区切り方の選択肢。`value` は URL の `bins` と同じ形式 */
+const BIN_SCHEME_PRESETS = [
+  { value: "", name: "original" },
+  { value: "0.5", name: "half" },
+  { value: "1", name: "whole" },
+  { value: "2,3,3.5", name: "scholarship" },
+] as const;
 
-    const counts = bins.map((_, index) => {
-      const cell = cells[index + 1]?.trim() ?? "";
-      const value = cell === "" ? 0 : Number.parseInt(cell, 10);
-      return Number.isNaN(value) ? 0 : value;
-    });
+const CUSTOM_BIN_SCHEME = "custom";
 
-    const total = sumCounts(counts);
+const latestTermId = () => termRegistry[termRegistry.length - 1]?.id ?? "";
 
-    return [
-      {
-        major,
-        grade,
-        label: rawLabel,
-        counts,
-        total,
-      },
-    ];
-  });
-
-  segments.sort((a, b) => {
-    if (a.major === b.major) {
-      return a.grade - b.grade;
-    }
-    return a.major.localeCompare(b.major, "ja");
-  });
-
-  return { bins, segments };
-};
-
-const findSegment = (
-  segments: SegmentDistribution[],
-  major: string,
-  grade: number
-) =>
-  segments.find(
-    (segment) => segment.major === major && segment.grade === grade
-  ) ?? null;
-
-const computeRankInfo = (
-  segment: SegmentDistribution | null,
-  bins: BinRange[],
-  rawGpa: number
-) => {
-  if (!segment || segment.total === 0 || bins.length === 0) {
-    return { rank: null, percentile: null };
-  }
-
-  const minBound = bins[0].min;
-  const maxBound = bins[bins.length - 1].max;
-  const sanitizedGpa = Number.isNaN(rawGpa) ? minBound : rawGpa;
-  const gpa = Math.min(Math.max(sanitizedGpa, minBound), maxBound);
-
-  let binIndex = bins.findIndex((bin, index) => {
-    const upper = index === bins.length - 1 ? bin.max : bin.max + 0.0001;
-    return gpa >= bin.min && gpa <= upper;
-  });
-
-  if (binIndex === -1) {
-    binIndex = bins.length - 1;
-  }
-
-  let higherCount = 0;
-  for (let index = bins.length - 1; index > binIndex; index -= 1) {
-    higherCount += segment.counts[index] ?? 0;
-  }
+const App = () => {
+  const [locale, setLocale] = useState<Locale>(detectLocale);
+  const m = MESSAGES[locale];
+  const { formatCount, formatDecimal } = createFormatters(m);
 
-  const targetBin = bins[binIndex];
-  const binCount = segment.counts[binIndex] ?? 0;
-  const rangeWidth = targetBin.max - targetBin.min;
-  const effectiveWidth = rangeWidth <= 0 ? 1 : rangeWidth;
-  const fractionAbove =
-    binCount === 0
-      ? 0
-      : Math.max(0, Math.min(1, (targetBin.max - gpa) / effectiveWidth));
+  useEffect(() => {
+    applyLocale(locale);
+  }, [locale]);
 
-  higherCount += binCount * fractionAbove;
+  // 共有リンクで開かれた場合は URL の状態から始め、データにない値は既定値に戻す
+  const [initialView] = useState(() => parseViewState(window.location.search));
 
-  const rank = higherCount + 1;
-  const percentile = (rank / segment.total) * 100;
+  const [termId, setTermId] = useState(() =>
+    termRegistry.some((term) => term.id === initialView.term)
+      ? initialView.term ?? ""
+      : latestTermId()
+  );
 
-  return { rank, percentile };
-};
+  const [excludeZero, setExcludeZero] = useState(
+    () => initialView.excludeZero ?? false
+  );
 
-const App = () => {
-  const currentDataset = useMemo(
-    () => parseDistributionCsv(currentTermCsv),
-    []
+  // 除外モードではすべての学期・アップロードから 0.00 のビンの学生を外して計算する
+  const terms = useMemo(
+    () =>
+      excludeZero ? termRegistry.map(excludeZeroBinFromTerm) : termRegistry,
+    [excludeZero]
   );
-  const cumulativeDataset = useMemo(
-    () => parseDistributionCsv(cumulativeCsv),
-    []
+
+  const activeTerm = useMemo(
+    () => terms.find((term) => term.id === termId) ?? terms[terms.length - 1],
+    [termId, terms]
   );
 
-  const datasetOptions = useMemo(
+  const [uploadedOptions, setUploadedOptions] = useState<DatasetOption[]>([]);
+
+  const datasetOptions = useMemo<DatasetOption[]>(
     () => [
-      {
-        key: "current" as const,
-        label: "今学期データ",
-        filePath: "src/data/sample-students.csv",
-        dataset: currentDataset,
-      },
-      {
-        key: "cumulative" as const,
-        label: "累計データ",
-        filePath: "src/data/cumulative-students.csv",
-        dataset: cumulativeDataset,
-      },
+      ...(activeTerm
+        ? DATASET_KINDS.map((kind) => ({
+            key: kind,
+            label: m.datasetKinds[kind],
+            filePath: activeTerm.files[kind]
+              .map((file) => `src/data/${file}`)
+              .join(", "),
+            dataset: activeTerm.datasets[kind],
+          }))
+        : []),
+      ...(excludeZero
+        ? uploadedOptions.map((option) => ({
+            ...option,
+            dataset: excludeZeroBin(option.dataset),
+          }))
+        : uploadedOptions),
     ],
-    [currentDataset, cumulativeDataset]
+    [activeTerm, excludeZero, m, uploadedOptions]
   );
 
-  const [datasetKey, setDatasetKey] = useState<"current" | "cumulative">(
-    () => datasetOptions[0]?.key ?? "current"
+  const [datasetKey, setDatasetKey] = useState(() =>
+    datasetOptions.some((option) => option.key === initialView.dataset)
+      ? initialView.dataset ?? ""
+      : datasetOptions[0]?.key ?? "current"
   );
 
+  const handleUploadAccept = (
+    fileName: string,
+    dataset: DistributionDataset
+  ) => {
+    const key = `upload:${Date.now()}:${fileName}`;
+    setUploadedOptions((previous) => [
+      ...previous,
+      {
+        key,
+        label: fileName.replace(/\.(csv|tsv|txt)$/i, ""),
+        filePath: fileName,
+        dataset,
+      },
+    ]);
+    setDatasetKey(key);
+  };
+
   const activeOption = useMemo(
     () =>
       datasetOptions.find((option) => option.key === datasetKey) ??
@@ -241,33 +201,74 @@ const App = () => {
   );
 
   const activeDataset = activeOption?.dataset ?? EMPTY_DATASET;
+
+  // 品質の検査は除外前のデータで行う
+  const qualityIssues = useMemo(() => {
+    const rawTerm = termRegistry.find((term) => term.id === activeTerm?.id);
+    const upload = uploadedOptions.find(
+      (option) => option.key === activeOption?.key
+    );
+    return [
+      ...(rawTerm ? inspectTermQuality(rawTerm.datasets, m) : []),
+      ...(upload ? inspectDatasetQuality(upload.dataset, upload.label, m) : []),
+    ];
+  }, [activeOption, activeTerm, m, uploadedOptions]);
+
+  const zeroBinIndex = findZeroBinIndex(activeDataset.bins);
   const bins = activeDataset.bins;
   const segments = activeDataset.segments;
 
+  const faculties = useMemo(() => listFaculties(segments), [segments]);
+
+  const [selectedFaculty, setSelectedFaculty] = useState(() =>
+    initialView.faculty !== undefined && faculties.includes(initialView.faculty)
+      ? initialView.faculty
+      : faculties[0] ?? ""
+  );
+
+  const facultySegments = useMemo(
+    () => segments.filter((segment) => segment.faculty === selectedFaculty),
+    [segments, selectedFaculty]
+  );
+
   const majors = useMemo(() => {
-    const unique = new Set(segments.map((segment) => segment.major));
+    const unique = new Set(facultySegments.map((segment) => segment.major));
     return Array.from(unique.values());
-  }, [segments]);
+  }, [facultySegments]);
 
-  const [selectedMajor, setSelectedMajor] = useState(() => majors[0] ?? "");
+  const [selectedMajor, setSelectedMajor] = useState(() =>
+    initialView.major && majors.includes(initialView.major)
+      ? initialView.major
+      : majors[0] ?? ""
+  );
 
   const availableGrades = useMemo(() => {
     if (!selectedMajor) {
       return [] as number[];
     }
-    const grades = segments
+    const grades = facultySegments
       .filter((segment) => segment.major === selectedMajor)
       .map((segment) => segment.grade)
       .filter((grade) => grade > 0);
     const unique = Array.from(new Set(grades));
     unique.sort((a, b) => a - b);
     return unique;
-  }, [segments, selectedMajor]);
+  }, [facultySegments, selectedMajor]);
 
   const [selectedGrade, setSelectedGrade] = useState(() =>
-    availableGrades.length > 0 ? String(availableGrades[0]) : ""
+    initialView.grade && availableGrades.map(String).includes(initialView.grade)
+      ? initialView.grade
+      : availableGrades.length > 0
+      ? String(availableGrades[0])
+      : ""
   );
 
+  useEffect(() => {
+    if (faculties.length > 0 && !faculties.includes(selectedFaculty)) {
+      setSelectedFaculty(faculties[0]);
+    }
+  }, [faculties, selectedFaculty]);
+
   useEffect(() => {
     if (majors.length === 0) {
       setSelectedMajor("");
@@ -293,85 +294,343 @@ const App = () => {
     }
   }, [availableGrades, selectedGrade]);
 
-  const [gpaInput, setGpaInput] = useState("");
+  const [gpaInput, setGpaInput] = useState(() => initialView.gpa ?? "");
 
   const selectedSegment = useMemo(() => {
     const gradeNumber = Number.parseInt(selectedGrade, 10);
     if (!selectedMajor || Number.isNaN(gradeNumber)) {
       return null;
     }
-    return findSegment(segments, selectedMajor, gradeNumber);
-  }, [segments, selectedGrade, selectedMajor]);
+    return findSegment(facultySegments, selectedMajor, gradeNumber);
+  }, [facultySegments, selectedGrade, selectedMajor]);
 
   const gradeAggregate = useMemo(() => {
     const gradeNumber = Number.parseInt(selectedGrade, 10);
     if (Number.isNaN(gradeNumber)) {
       return { counts: Array.from({ length: bins.length }, () => 0), total: 0 };
     }
-    const gradeSegments = segments.filter(
+    const gradeSegments = facultySegments.filter(
       (segment) => segment.grade === gradeNumber
     );
     return aggregateSegments(gradeSegments, bins.length);
-  }, [bins.length, segments, selectedGrade]);
+  }, [bins.length, facultySegments, selectedGrade]);
 
   const overallAggregate = useMemo(
     () => aggregateSegments(segments, bins.length),
     [bins.length, segments]
   );
 
+  const hasZeroSpike =
+    !excludeZero &&
+    selectedSegment !== null &&
+    qualityIssues.some(
+      (issue) =>
+        issue.kind === "bin-spike" &&
+        issue.binIndex === zeroBinIndex &&
+        issue.faculty === selectedSegment.faculty &&
+        issue.major === selectedSegment.major &&
+        issue.grade === selectedSegment.grade
+    );
+
   const userGpa = Number.parseFloat(gpaInput);
   const hasValidGpa = !Number.isNaN(userGpa);
 
+  const [estimationMethod, setEstimationMethod] = useState<EstimationMethod>(
+    () => initialView.method ?? "uniform"
+  );
+
+  const [chartType, setChartType] = useState<ChartType>(
+    () => initialView.chart ?? "histogram"
+  );
+
+  const [binSchemeInput, setBinSchemeInput] = useState(
+    () => initialView.bins ?? ""
+  );
+  const [isCustomBinScheme, setIsCustomBinScheme] = useState(
+    () =>
+      !BIN_SCHEME_PRESETS.some(
+        (preset) => preset.value === (initialView.bins ?? "")
+      )
+  );
+
+  const viewState = useMemo<ViewState>(
+    () => ({
+      term: activeTerm?.id ?? "",
+      dataset: activeOption?.key ?? "",
+      faculty: selectedFaculty,
+      major: selectedMajor,
+      grade: selectedGrade,
+      gpa: gpaInput,
+      method: estimationMethod,
+      excludeZero,
+      chart: chartType,
+      bins: parseBinScheme(binSchemeInput) ? binSchemeInput.trim() : "",
+    }),
+    [
+      activeOption,
+      activeTerm,
+      binSchemeInput,
+      chartType,
+      estimationMethod,
+      excludeZero,
+      gpaInput,
+      selectedFaculty,
+      selectedGrade,
+      selectedMajor,
+    ]
+  );
+
+  // 学科・学年の補正が済むまでは URL に書き込まない
+  const isViewResolved =
+    (faculties.length === 0 || faculties.includes(selectedFaculty)) &&
+    (majors.length === 0
+      ? selectedMajor === ""
+      : majors.includes(selectedMajor)) &&
+    (availableGrades.length === 0
+      ? selectedGrade === ""
+      : availableGrades.map(String).includes(selectedGrade));
+
+  const lastViewRef = useRef<ViewState | null>(null);
+  const replaceHistoryRef = useRef(true);
+
+  useEffect(() => {
+    if (!isViewResolved) {
+      return;
+    }
+    const previous = lastViewRef.current;
+    lastViewRef.current = viewState;
+    const search = serializeViewState(viewState);
+    const shouldReplace =
+      replaceHistoryRef.current ||
+      !previous ||
+      !isHistoryStep(previous, viewState);
+    replaceHistoryRef.current = false;
+    if (search === window.location.search) {
+      return;
+    }
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (shouldReplace) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }, [isViewResolved, viewState]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = parseViewState(window.location.search);
+      // 戻る・進むで開いた状態の補正は新しい履歴にしない
+      replaceHistoryRef.current = true;
+      setTermId(next.term ?? latestTermId());
+      setDatasetKey(next.dataset ?? DATASET_KINDS[0]);
+      setSelectedFaculty(next.faculty ?? "");
+      setSelectedMajor(next.major ?? "");
+      setSelectedGrade(next.grade ?? "");
+      setGpaInput(next.gpa ?? "");
+      setEstimationMethod(next.method ?? "uniform");
+      setExcludeZero(next.excludeZero ?? false);
+      setChartType(next.chart ?? "histogram");
+      setBinSchemeInput(next.bins ?? "");
+      setIsCustomBinScheme(
+        !BIN_SCHEME_PRESETS.some((preset) => preset.value === (next.bins ?? ""))
+      );
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  const [linkStatus, setLinkStatus] = useState("");
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkStatus(m.app.linkCopied);
+    } catch {
+      setLinkStatus(m.app.linkFailed);
+    }
+  };
+
   const rankInfo = useMemo(
-    () => computeRankInfo(selectedSegment, bins, userGpa),
-    [bins, selectedSegment, userGpa]
+    () => computeRankInfo(selectedSegment, bins, userGpa, estimationMethod),
+    [bins, estimationMethod, selectedSegment, userGpa]
   );
 
   const highlightBinIndex = useMemo(() => {
     if (!hasValidGpa || bins.length === 0) {
       return null;
     }
+    return findBinIndex(bins, userGpa);
+  }, [bins, hasValidGpa, userGpa]);
 
-    const minBound = bins[0].min;
-    const maxBound = bins[bins.length - 1].max;
-    const clampedGpa = Math.min(Math.max(userGpa, minBound), maxBound);
+  const rankDisclosure = useMemo(
+    () =>
+      discloseRank(
+        rankInfo,
+        selectedSegment?.total ?? 0,
+        selectedSegment?.counts[highlightBinIndex ?? -1] ?? 0,
+        privacyPolicy,
+        m
+      ),
+    [highlightBinIndex, m, rankInfo, selectedSegment]
+  );
 
-    let index = bins.findIndex((bin, binIndex) => {
-      const upper = binIndex === bins.length - 1 ? bin.max : bin.max + 0.0001;
-      return clampedGpa >= bin.min && clampedGpa <= upper;
-    });
+  // 少人数の集団の平均・統計は表示しない
+  const gradeAverage = useMemo(
+    () =>
+      canDisclose(gradeAggregate.total, privacyPolicy)
+        ? weightedAverage(gradeAggregate.counts, bins, estimationMethod)
+        : null,
+    [bins, estimationMethod, gradeAggregate]
+  );
 
-    if (index === -1) {
-      index = bins.length - 1;
-    }
+  const segmentAverage = useMemo(
+    () =>
+      selectedSegment && canDisclose(selectedSegment.total, privacyPolicy)
+        ? weightedAverage(selectedSegment.counts, bins, estimationMethod)
+        : null,
+    [bins, estimationMethod, selectedSegment]
+  );
 
-    return index;
-  }, [bins, hasValidGpa, userGpa]);
+  const referenceGroups = useMemo(() => {
+    const gradeNumber = Number.parseInt(selectedGrade, 10);
+    return buildReferenceGroups(
+      segments,
+      bins.length,
+      {
+        faculty: selectedFaculty,
+        major: selectedMajor,
+        grade: Number.isNaN(gradeNumber) ? null : gradeNumber,
+      },
+      m
+    );
+  }, [bins.length, m, segments, selectedFaculty, selectedGrade, selectedMajor]);
+
+  const summaryLabel = selectedSegment
+    ? m.segment(selectedSegment.major, selectedSegment.grade)
+    : selectedGrade
+    ? m.hierarchy.facultyGradeWhole(
+        facultyLabel(selectedFaculty, m),
+        Number.parseInt(selectedGrade, 10)
+      )
+    : "";
+
+  const summaryGroup = selectedSegment ?? gradeAggregate;
+  const isSummaryWithheld =
+    summaryGroup.total > 0 && !canDisclose(summaryGroup.total, privacyPolicy);
+
+  const summary = useMemo(
+    () =>
+      isSummaryWithheld
+        ? null
+        : describeDistribution(
+            summaryGroup.counts,
+            bins,
+            estimationMethod,
+            privacyPolicy.minBinCount
+          ),
+    [bins, estimationMethod, isSummaryWithheld, summaryGroup]
+  );
 
-  const gradeAverage = useMemo(
-    () => weightedAverage(gradeAggregate.counts, bins),
-    [bins, gradeAggregate]
+  const boxPlotRows = useMemo<BoxPlotRow[]>(() => {
+    const gradeNumber = Number.parseInt(selectedGrade, 10);
+    const rows: BoxPlotRow[] = [];
+    const push = (
+      key: string,
+      label: string,
+      counts: number[],
+      highlighted = false
+    ) => {
+      const rowSummary = describeDistribution(
+        counts,
+        bins,
+        estimationMethod,
+        privacyPolicy.minBinCount
+      );
+      if (rowSummary && canDisclose(sumCounts(counts), privacyPolicy)) {
+        rows.push({ key, label, summary: rowSummary, highlighted });
+      }
+    };
+
+    facultySegments
+      .filter((segment) => segment.grade === gradeNumber)
+      .forEach((segment) =>
+        push(
+          segment.label,
+          m.name(segment.major),
+          segment.counts,
+          segment === selectedSegment
+        )
+      );
+    referenceGroups
+      .filter((group) => group.level !== "department-grade")
+      .forEach((group) => push(group.key, group.label, group.counts));
+    return rows;
+  }, [
+    bins,
+    estimationMethod,
+    facultySegments,
+    m,
+    referenceGroups,
+    selectedGrade,
+    selectedSegment,
+  ]);
+
+  // 今学期・累計に加え、アップロードしたデータを表示中ならその列も並べる
+  const rankColumns = useMemo<RankColumn[]>(
+    () =>
+      datasetOptions.filter(
+        (option) =>
+          DATASET_KINDS.some((kind) => kind === option.key) ||
+          option.key === activeOption?.key
+      ),
+    [activeOption, datasetOptions]
   );
 
-  const segmentAverage = useMemo(
+  // グラフと比較表は、選んだ区切り方に按分し直した人数で表示する
+  const displayBins = useMemo(
     () =>
-      selectedSegment ? weightedAverage(selectedSegment.counts, bins) : null,
-    [bins, selectedSegment]
+      applyBinScheme(
+        bins,
+        parseBinScheme(binSchemeInput) ?? ORIGINAL_BIN_SCHEME
+      ),
+    [binSchemeInput, bins]
+  );
+
+  const displayCounts = useMemo(
+    () => rebinCounts(summaryGroup.counts, bins, displayBins),
+    [bins, displayBins, summaryGroup]
   );
 
+  const comparison = useComparisonMode({
+    segments,
+    bins,
+    displayBins,
+    selectedSegment,
+    faculty: selectedFaculty,
+    grade: selectedGrade ? Number.parseInt(selectedGrade, 10) : null,
+    method: estimationMethod,
+    privacy: privacyPolicy,
+    m,
+  });
+  const { isComparing } = comparison;
+
   const chartData = useMemo<ChartData<"bar", number[], string> | null>(() => {
-    const counts: number[] = selectedSegment?.counts ?? gradeAggregate.counts;
-    if (!counts || counts.every((value) => value === 0)) {
+    if (comparison.chartData) {
+      return comparison.chartData;
+    }
+
+    if (isSummaryWithheld || summaryGroup.total === 0) {
       return null;
     }
+    // 人数の少ないビンは隣とまとめ、1〜k-1 名のビンを見せない
+    const merged = mergeSmallBins(
+      displayCounts,
+      displayBins,
+      privacyPolicy.minBinCount
+    );
+    const counts = merged.counts;
 
-    const gradeNumber = Number.parseInt(selectedGrade, 10);
-    const gradeLabel = Number.isNaN(gradeNumber) ? "" : `${gradeNumber}回生`;
-    const datasetLabel = selectedSegment
-      ? `${selectedSegment.major} ${selectedSegment.grade}回生`
-      : gradeLabel
-      ? `${gradeLabel} 全体`
-      : "分布";
+    const datasetLabel = summaryLabel || m.app.distribution;
 
     const baseColor = "rgba(99, 102, 241, 0.75)";
     const baseHoverColor = "rgba(79, 70, 229, 0.85)";
@@ -380,7 +639,9 @@ const App = () => {
     const accentHoverColor = "rgba(220, 38, 38, 0.9)";
     const accentBorderColor = "rgba(185, 28, 28, 1)";
 
-    const highlightIndex = highlightBinIndex ?? -1;
+    const highlightIndex = hasValidGpa
+      ? findBinIndex(merged.bins, userGpa)
+      : -1;
 
     const backgroundColors = counts.map((_, index) =>
       index === highlightIndex ? accentColor : baseColor
@@ -396,10 +657,10 @@ const App = () => {
     );
 
     return {
-      labels: bins.map((bin) => bin.label),
+      labels: merged.bins.map((bin) => bin.label),
       datasets: [
         {
-          label: `${datasetLabel} の人数`,
+          label: m.app.countOf(datasetLabel),
           data: counts,
           backgroundColor: backgroundColors,
           hoverBackgroundColor: hoverBackgroundColors,
@@ -409,26 +670,55 @@ const App = () => {
         },
       ],
     };
-  }, [bins, gradeAggregate, highlightBinIndex, selectedGrade, selectedSegment]);
+  }, [
+    comparison.chartData,
+    displayBins,
+    displayCounts,
+    hasValidGpa,
+    isSummaryWithheld,
+    m,
+    summaryGroup,
+    summaryLabel,
+    userGpa,
+  ]);
+
+  const chartRef = useRef<ChartJS<"bar">>(null);
+  const cumulativeChartRef = useRef<ChartJS<"line">>(null);
+
+  const cumulativeSeries = useMemo<CumulativeSeries[]>(
+    () =>
+      isComparing
+        ? comparison.cumulativeSeries
+        : [
+            {
+              key: "selected",
+              label: summaryLabel,
+              counts: displayCounts,
+              color: COMPARISON_COLORS[0],
+            },
+          ],
+    [comparison.cumulativeSeries, displayCounts, isComparing, summaryLabel]
+  );
 
   const chartOptions = useMemo<ChartOptions<"bar">>(
     () => ({
       responsive: true,
       maintainAspectRatio: false,
+      locale: m.locale,
       scales: {
         x: {
           title: {
             display: true,
-            text: "GPA レンジ",
+            text: m.binRange,
           },
         },
         y: {
           ticks: {
-            precision: 0,
+            precision: isComparing ? undefined : 0,
           },
           title: {
             display: true,
-            text: "人数",
+            text: isComparing ? m.share : m.students,
           },
         },
       },
@@ -440,12 +730,20 @@ const App = () => {
         tooltip: {
           callbacks: {
             label: (context: TooltipItem<"bar">) =>
-              `${context.dataset.label ?? "人数"}: ${context.formattedValue}名`,
+              isComparing
+                ? m.app.shareTooltip(
+                    context.dataset.label ?? m.share,
+                    context.parsed.y
+                  )
+                : m.app.countTooltip(
+                    context.dataset.label ?? m.students,
+                    context.formattedValue
+                  ),
           },
         },
       },
     }),
-    []
+    [isComparing, m]
   );
 
   const totalSegments = segments.length;
@@ -454,206 +752,673 @@ const App = () => {
   const segmentTotal = selectedSegment?.total ?? 0;
   const gpaMin = bins[0]?.min ?? 0;
   const gpaMax = bins[bins.length - 1]?.max ?? 5;
-  const estimatedRank = rankInfo.rank ? Math.round(rankInfo.rank) : null;
-  const estimatedPercentile = rankInfo.percentile
-    ? Math.min(rankInfo.percentile, 100)
+  const toPercentile = (rank: number) =>
+    Math.min((rank / Math.max(segmentTotal, 1)) * 100, 100);
+
+  const activeKind = DATASET_KINDS.find((kind) => kind === activeOption?.key);
+  const historyCandidate: Omit<HistoryEntry, "savedAt"> | null =
+    activeTerm && activeKind && selectedSegment && hasValidGpa
+      ? {
+          termId: activeTerm.id,
+          termLabel: activeTerm.label,
+          kind: activeKind,
+          faculty: selectedSegment.faculty,
+          major: selectedSegment.major,
+          grade: selectedSegment.grade,
+          gpa: userGpa,
+        }
+      : null;
+
+  // 入力の誤りと推定順位の変化は、スクリーンリーダーにも読み上げる
+  const gpaErrorId = useId();
+  const binSchemeErrorId = useId();
+  const gpaError = !gpaInput.trim()
+    ? null
+    : !hasValidGpa
+    ? m.app.gpaNotNumber
+    : userGpa < gpaMin || userGpa > gpaMax
+    ? m.app.gpaOutOfRange(gpaMin, gpaMax)
     : null;
+  const binSchemeError =
+    isCustomBinScheme && parseBinScheme(binSchemeInput) === null
+      ? m.app.customBinError
+      : null;
+  const rankAnnouncement =
+    selectedSegment && hasValidGpa
+      ? m.app.rankAnnouncement(
+          m.segment(selectedSegment.major, selectedSegment.grade),
+          userGpa,
+          rankDisclosure.kind === "withheld"
+            ? rankDisclosure.message
+            : formatRankDisclosure(rankDisclosure, m)
+        )
+      : "";
+
+  const resultCard: ResultCardContent | null =
+    selectedSegment && canDisclose(segmentTotal, privacyPolicy)
+      ? {
+          title: m.resultCard.title(
+            m.segment(selectedSegment.major, selectedSegment.grade)
+          ),
+          subtitle: `${activeTerm?.label ?? ""} ${
+            activeOption?.label ?? ""
+          } / ${m.people(segmentTotal)}`,
+          headline: hasValidGpa
+            ? m.resultCard.headline(
+                userGpa,
+                formatRankDisclosure(rankDisclosure, m)
+              )
+            : m.resultCard.headlinePlaceholder,
+          detail: m.estimation.notes[estimationMethod],
+          stats: [
+            {
+              label: m.app.segmentAverage,
+              value: formatDecimal(segmentAverage),
+            },
+            {
+              label: m.resultCard.gradeAverage,
+              value: formatDecimal(gradeAverage),
+            },
+            {
+              label: m.app.median,
+              value: formatDecimal(summary?.median ?? null),
+            },
+          ],
+          footer: m.resultCard.footer(new Date()),
+        }
+      : null;
 
   return (
-    <div className="page">
-      <header className="header">
-        <div>
-          <p className="eyebrow">立命館生向け</p>
-          <h1>みんなのGPA+R</h1>
-          <p className="lead">
-            学校から提供されたデータ*¹をもとに、学科×学年ごとの GPA
-            分布を可視化し、 自分の位置づけを即座に推定します。
-          </p>
-        </div>
-        <div className="dataset-info">
-          <span className="dataset-label">データソース</span>
-          <strong>{activeOption?.label ?? "データ未選択"}</strong>
-          <span>
-            {formatCount(totalSegments)} セグメント /{" "}
-            {formatCount(totalStudents)} 名
-          </span>
-        </div>
-      </header>
-
-      <main className="content">
-        <section className="panel">
-          <h2>1. データセット概要</h2>
-          <p className="description">
-            学校提供のデータを「今学期*²」年度と「累計」で切り替えて分析できます。
-          </p>
-          <div
-            className="dataset-toggle"
-            role="group"
-            aria-label="データセット選択"
-          >
-            {datasetOptions.map((option) => {
-              const isActive = option.key === datasetKey;
-              return (
-                <button
-                  key={option.key}
-                  type="button"
-                  className={`dataset-toggle__button${
-                    isActive ? " is-active" : ""
-                  }`}
-                  onClick={() => setDatasetKey(option.key)}
-                >
-                  <span className="dataset-toggle__label">{option.label}</span>
-                </button>
-              );
-            })}
+    <I18nContext.Provider value={locale}>
+      <div className="page">
+        <UpdateNotice />
+        <LiveRegion message={gpaError ?? binSchemeError ?? rankAnnouncement} />
+        <header className="header">
+          <div>
+            <p className="eyebrow">{m.app.eyebrow}</p>
+            <h1>{m.app.title}</h1>
+            <p className="lead">{m.app.lead}</p>
           </div>
-          <ul className="dataset-metrics">
-            <li>
-              <span>登録セグメント</span>
-              <strong>{formatCount(totalSegments)} 件</strong>
-            </li>
-            <li>
-              <span>総学生数</span>
-              <strong>{formatCount(totalStudents)} 名</strong>
-            </li>
-            <li>
-              <span>GPA 範囲</span>
-              <strong>
-                {numberFormatter(2).format(gpaMin)} 〜{" "}
-                {numberFormatter(2).format(gpaMax)}
-              </strong>
-            </li>
-          </ul>
-        </section>
-
-        <section className="panel">
-          <h2>2. 自分の情報を入力</h2>
-          <div className="form-grid">
-            <label>
-              <span>学科</span>
+          <div className="header__aside">
+            <label className="term-select print-hidden">
+              <span>{m.app.language}</span>
               <select
-                value={selectedMajor}
-                onChange={(event) => setSelectedMajor(event.target.value)}
+                value={locale}
+                onChange={(event) => setLocale(event.target.value as Locale)}
               >
-                {majors.map((major) => (
-                  <option key={major} value={major}>
-                    {major}
+                {LOCALES.map((value) => (
+                  <option key={value} value={value} lang={value}>
+                    {LOCALE_LABELS[value]}
                   </option>
                 ))}
               </select>
             </label>
-            <label>
-              <span>学年</span>
-              <select
-                value={selectedGrade}
-                onChange={(event) => setSelectedGrade(event.target.value)}
-                disabled={availableGrades.length === 0}
+            <div className="dataset-info">
+              <span className="dataset-label">{m.app.dataSource}</span>
+              <strong>{activeOption?.label ?? m.app.noDataset}</strong>
+              <span>{m.app.datasetSummary(totalSegments, totalStudents)}</span>
+            </div>
+          </div>
+        </header>
+
+        <main className="content">
+          <section className="panel print-hidden">
+            <h2>{m.app.overviewTitle}</h2>
+            <p className="description">{m.app.overviewDescription}</p>
+            {termRegistry.length > 1 ? (
+              <label className="term-select">
+                <span>{m.term}</span>
+                <select
+                  value={activeTerm?.id ?? ""}
+                  onChange={(event) => setTermId(event.target.value)}
+                >
+                  {termRegistry.map((term) => (
+                    <option key={term.id} value={term.id}>
+                      {term.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+            <div
+              className="dataset-toggle"
+              role="group"
+              aria-label={m.app.datasetGroup}
+            >
+              {datasetOptions.map((option) => {
+                const isActive = option.key === activeOption?.key;
+                return (
+                  <button
+                    key={option.key}
+                    type="button"
+                    className={`dataset-toggle__button${
+                      isActive ? " is-active" : ""
+                    }`}
+                    onClick={() => setDatasetKey(option.key)}
+                  >
+                    <span className="dataset-toggle__label">
+                      {option.label}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+            <CsvUploader onAccept={handleUploadAccept} />
+            <DataQualityReport
+              issues={qualityIssues}
+              zeroBinLabel={activeDataset.bins[zeroBinIndex]?.label ?? null}
+              excludeZero={excludeZero}
+              onExcludeZeroChange={setExcludeZero}
+            />
+            <ul className="dataset-metrics">
+              <li>
+                <span>{m.app.segmentMetric}</span>
+                <strong>{m.app.segmentCount(totalSegments)}</strong>
+              </li>
+              <li>
+                <span>{m.app.studentMetric}</span>
+                <strong>{m.people(totalStudents)}</strong>
+              </li>
+              <li>
+                <span>{m.app.gpaRangeMetric}</span>
+                <strong>
+                  {formatDecimal(gpaMin)} 〜 {formatDecimal(gpaMax)}
+                </strong>
+              </li>
+            </ul>
+          </section>
+
+          <section className="panel print-hidden">
+            <h2>{m.app.inputTitle}</h2>
+            <div className="form-grid">
+              <label>
+                <span>{m.app.faculty}</span>
+                <select
+                  value={selectedFaculty}
+                  onChange={(event) => setSelectedFaculty(event.target.value)}
+                  disabled={faculties.length <= 1}
+                >
+                  {faculties.map((faculty) => (
+                    <option key={faculty} value={faculty}>
+                      {facultyLabel(faculty, m)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <span>{m.app.major}</span>
+                <select
+                  value={selectedMajor}
+                  onChange={(event) => setSelectedMajor(event.target.value)}
+                >
+                  {majors.map((major) => (
+                    <option key={major} value={major}>
+                      {m.name(major)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <span>{m.app.gradeLabel}</span>
+                <select
+                  value={selectedGrade}
+                  onChange={(event) => setSelectedGrade(event.target.value)}
+                  disabled={availableGrades.length === 0}
+                >
+                  {availableGrades.map((grade) => (
+                    <option key={grade} value={grade}>
+                      {m.grade(grade)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                <span>{m.yourGpa}</span>
+                <input
+                  type="number"
+                  step="0.01"
+                  min={gpaMin}
+                  max={gpaMax}
+                  value={gpaInput}
+                  onChange={(event) => setGpaInput(event.target.value)}
+                  placeholder={m.app.gpaPlaceholder}
+                  aria-invalid={gpaError !== null}
+                  aria-describedby={gpaError ? gpaErrorId : undefined}
+                />
+                {gpaError ? (
+                  <span id={gpaErrorId} className="field-error">
+                    {gpaError}
+                  </span>
+                ) : null}
+              </label>
+              <label>
+                <span>{m.app.method}</span>
+                <select
+                  value={estimationMethod}
+                  onChange={(event) =>
+                    setEstimationMethod(event.target.value as EstimationMethod)
+                  }
+                >
+                  {ESTIMATION_METHODS.map((method) => (
+                    <option key={method} value={method}>
+                      {m.estimation.labels[method]}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <p className="hint">{m.app.gpaRangeHint(gpaMin, gpaMax)}</p>
+            <div className="share-link">
+              <button
+                type="button"
+                className="uploader__pick"
+                onClick={handleCopyLink}
               >
-                {availableGrades.map((grade) => (
-                  <option key={grade} value={grade}>
-                    {grade}回生
-                  </option>
-                ))}
-              </select>
-            </label>
-            <label>
-              <span>あなたの GPA</span>
-              <input
-                type="number"
-                step="0.01"
-                min={gpaMin}
-                max={gpaMax}
-                value={gpaInput}
-                onChange={(event) => setGpaInput(event.target.value)}
-                placeholder="例: 3.85"
+                {m.app.copyLink}
+              </button>
+              <span role="status">{linkStatus}</span>
+            </div>
+            <details className="calculator-panel">
+              <summary>{m.app.calculatorSummary}</summary>
+              <GpaCalculator
+                datasets={activeTerm?.datasets ?? null}
+                faculty={selectedFaculty}
+                major={selectedMajor}
+                grade={selectedSegment?.grade ?? null}
+                method={estimationMethod}
+                privacy={privacyPolicy}
+                onApply={(gpa, kind) => {
+                  setGpaInput(gpa.toFixed(2));
+                  setDatasetKey(kind);
+                }}
               />
-            </label>
-          </div>
-          <p className="hint">
-            ※ GPA は {numberFormatter(2).format(gpaMin)} 〜{" "}
-            {numberFormatter(2).format(gpaMax)} の範囲で近似計算します。
-          </p>
-        </section>
-
-        <section className="panel">
-          <h2>3. 推定結果</h2>
-          <div className="stats-grid">
-            <article className="stat-card">
-              <p className="stat-label">対象人数</p>
-              <p className="stat-value">{formatCount(segmentTotal)} 名</p>
-              <p className="stat-detail">
-                {selectedSegment
-                  ? `${selectedSegment.major} ${selectedSegment.grade}回生（${
-                      activeOption?.label ?? ""
-                    }）`
-                  : "学科・学年を選択してください"}
-              </p>
-            </article>
-            <article className="stat-card">
-              <p className="stat-label">平均 GPA（学年）</p>
-              <p className="stat-value">{formatDecimal(gradeAverage)}</p>
-              <p className="stat-detail">
-                {selectedGrade
-                  ? `理工学部 ${selectedGrade}回生（${formatCount(
-                      gradeTotal
-                    )} 名対象）`
-                  : "学年を選択してください"}
-              </p>
-            </article>
-            <article className="stat-card">
-              <p className="stat-label">平均 GPA（学科×学年）</p>
-              <p className="stat-value">{formatDecimal(segmentAverage)}</p>
-              <p className="stat-detail">
-                {selectedSegment
-                  ? `${selectedSegment.major} ${selectedSegment.grade}回生の加重平均`
-                  : "学科・学年を選択してください"}
-              </p>
-            </article>
-          </div>
-
-          <div className="result-callout">
-            <div>
-              <h3>あなたの推定順位</h3>
-              <p>
-                {selectedSegment && hasValidGpa
-                  ? estimatedRank && estimatedPercentile !== null
-                    ? `${formatCount(segmentTotal)} 名中 推定 ${formatCount(
-                        estimatedRank
-                      )} 位（${
-                        activeOption?.label ?? "対象"
-                      } / 上位 ${formatDecimal(estimatedPercentile, 1)}%）`
-                    : "対象人数が少ないため順位を推定できません"
-                  : "学科・学年と GPA を入力すると順位を推定します"}
+            </details>
+          </section>
+
+          <section className="panel">
+            <h2>{m.app.resultTitle}</h2>
+            {hasZeroSpike && selectedSegment ? (
+              <p className="warning">
+                {m.app.zeroSpike(
+                  m.segment(selectedSegment.major, selectedSegment.grade),
+                  bins[zeroBinIndex]?.label ?? ""
+                )}
               </p>
+            ) : null}
+            <div className="stats-grid">
+              <article className="stat-card">
+                <p className="stat-label">{m.app.targetCount}</p>
+                <p className="stat-value">{m.people(segmentTotal)}</p>
+                <p className="stat-detail">
+                  {selectedSegment
+                    ? m.app.withDataset(
+                        m.segment(selectedSegment.major, selectedSegment.grade),
+                        activeOption?.label ?? ""
+                      )
+                    : m.app.selectSegment}
+                </p>
+              </article>
+              <article className="stat-card">
+                <p className="stat-label">{m.app.facultyGradeAverage}</p>
+                <p className="stat-value">{formatDecimal(gradeAverage)}</p>
+                <p className="stat-detail">
+                  {selectedGrade
+                    ? m.app.facultyGradeDetail(
+                        m.hierarchy.facultyGrade(
+                          facultyLabel(selectedFaculty, m),
+                          Number.parseInt(selectedGrade, 10)
+                        ),
+                        gradeTotal
+                      )
+                    : m.app.selectGrade}
+                </p>
+              </article>
+              <article className="stat-card">
+                <p className="stat-label">{m.app.segmentAverage}</p>
+                <p className="stat-value">{formatDecimal(segmentAverage)}</p>
+                <p className="stat-detail">
+                  {selectedSegment
+                    ? m.app.weightedAverageOf(
+                        m.segment(selectedSegment.major, selectedSegment.grade)
+                      )
+                    : m.app.selectSegment}
+                </p>
+              </article>
             </div>
-            <p className="result-note">
-              ※ ビンごとの人数から一様分布と仮定して近似しています。
-            </p>
-          </div>
-        </section>
 
-        <section className="panel">
-          <h2>4. 分布を確認</h2>
-          <div className="chart-wrapper">
-            {chartData ? (
-              <Bar data={chartData} options={chartOptions} />
+            <h3 className="panel-subheading">{m.app.rankTableTitle}</h3>
+            <p className="description">{m.app.rankTableDescription}</p>
+            <ReferenceRankTable
+              columns={rankColumns}
+              faculty={selectedFaculty}
+              major={selectedMajor}
+              grade={selectedSegment?.grade ?? null}
+              gpa={hasValidGpa ? userGpa : null}
+              method={estimationMethod}
+              privacy={privacyPolicy}
+            />
+
+            <h3 className="panel-subheading">
+              {summaryLabel
+                ? m.app.summaryOf(summaryLabel)
+                : m.app.summaryTitle}
+            </h3>
+            {summary ? (
+              <>
+                <div className="stats-grid">
+                  <article className="stat-card">
+                    <p className="stat-label">{m.app.median}</p>
+                    <p className="stat-value">
+                      {formatDecimal(summary.median)}
+                    </p>
+                    <p className="stat-detail">
+                      {m.app.medianDetail(
+                        summary.mean,
+                        summary.median - summary.mean
+                      )}
+                    </p>
+                  </article>
+                  <article className="stat-card">
+                    <p className="stat-label">{m.app.iqr}</p>
+                    <p className="stat-value">
+                      {formatDecimal(summary.q1)}〜{formatDecimal(summary.q3)}
+                    </p>
+                    <p className="stat-detail">
+                      {m.app.iqrDetail(summary.q3 - summary.q1)}
+                    </p>
+                  </article>
+                  <article className="stat-card">
+                    <p className="stat-label">{m.app.standardDeviation}</p>
+                    <p className="stat-value">
+                      {formatDecimal(summary.standardDeviation)}
+                    </p>
+                    <p className="stat-detail">
+                      {m.app.standardDeviationDetail}
+                    </p>
+                  </article>
+                  <article className="stat-card">
+                    <p className="stat-label">{m.app.skewness}</p>
+                    <p className="stat-value">
+                      {formatDecimal(summary.skewness)}
+                    </p>
+                    <p className="stat-detail">
+                      {summary.skewness < -0.5
+                        ? m.app.skewLeft
+                        : summary.skewness > 0.5
+                        ? m.app.skewRight
+                        : m.app.skewSymmetric}
+                    </p>
+                  </article>
+                </div>
+                <dl className="decile-list">
+                  {summary.deciles.map((value, index) => (
+                    <div key={index}>
+                      <dt>{m.app.decile((index + 1) * 10)}</dt>
+                      <dd>{formatDecimal(value)}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </>
             ) : (
               <p className="placeholder">
-                学科・学年を選択すると分布グラフが表示されます。
+                {isSummaryWithheld
+                  ? withheldMessage(privacyPolicy, m)
+                  : m.app.summaryPlaceholder}
               </p>
             )}
-          </div>
-        </section>
-      </main>
-
-      <footer className="footer">
-        <p>
-          *¹2025春学期GPAファイル(当学期).pdf
-          、2025春学期GPAファイル(累積).pdfより
-        </p>
-        <p>*²2025春学期</p>
-      </footer>
-    </div>
+
+            <div className="result-callout">
+              <div>
+                <h3>{m.app.yourRank}</h3>
+                <p>
+                  {selectedSegment && hasValidGpa
+                    ? rankDisclosure.kind === "withheld"
+                      ? rankDisclosure.message
+                      : m.app.rankOf(
+                          segmentTotal,
+                          formatRankDisclosure(rankDisclosure, m),
+                          activeOption?.label ?? m.app.rankTarget
+                        )
+                    : m.app.rankPlaceholder}
+                </p>
+                {selectedSegment &&
+                hasValidGpa &&
+                rankDisclosure.kind === "band" ? (
+                  <p className="result-range">{m.app.bandNote}</p>
+                ) : null}
+                {selectedSegment &&
+                hasValidGpa &&
+                rankDisclosure.kind === "exact" &&
+                rankInfo.bestRank !== null &&
+                rankInfo.worstRank !== null ? (
+                  <p className="result-range">
+                    {m.app.rankSpread(
+                      rankInfo.bestRank,
+                      rankInfo.worstRank,
+                      toPercentile(rankInfo.bestRank),
+                      toPercentile(rankInfo.worstRank)
+                    )}
+                  </p>
+                ) : null}
+              </div>
+              <p className="result-note">
+                ※ {m.estimation.notes[estimationMethod]}
+              </p>
+            </div>
+            <ExportActions
+              getChartCanvas={() =>
+                (chartType === "ogive" ? cumulativeChartRef : chartRef).current
+                  ?.canvas ?? null
+              }
+              card={resultCard}
+              dataset={activeDataset}
+              privacy={privacyPolicy}
+              method={estimationMethod}
+              fileBaseName={`GPA_${
+                summaryLabel || activeOption?.label || m.app.resultFileName
+              }`}
+            />
+          </section>
+
+          <section className="panel">
+            <h2>{m.app.distributionTitle}</h2>
+            <ComparisonPicker
+              targets={comparison.comparisonTargets}
+              baseKey={comparison.baseTargetKey}
+              selectedKeys={comparison.comparisonKeys}
+              onChange={comparison.setComparisonKeys}
+            />
+            <div
+              className="dataset-toggle"
+              role="group"
+              aria-label={m.app.chartTypeGroup}
+            >
+              {CHART_TYPES.map((type) => (
+                <button
+                  key={type}
+                  type="button"
+                  className={`dataset-toggle__button${
+                    type === chartType ? " is-active" : ""
+                  }`}
+                  aria-pressed={type === chartType}
+                  onClick={() => setChartType(type)}
+                >
+                  <span className="dataset-toggle__label">
+                    {m.app.chartTypes[type]}
+                  </span>
+                </button>
+              ))}
+            </div>
+            <div className="bin-scheme">
+              <label className="term-select">
+                <span>{m.app.binScheme}</span>
+                <select
+                  value={isCustomBinScheme ? CUSTOM_BIN_SCHEME : binSchemeInput}
+                  onChange={(event) => {
+                    const value = event.target.value;
+                    setIsCustomBinScheme(value === CUSTOM_BIN_SCHEME);
+                    if (value !== CUSTOM_BIN_SCHEME) {
+                      setBinSchemeInput(value);
+                    }
+                  }}
+                >
+                  {BIN_SCHEME_PRESETS.map((preset) => (
+                    <option key={preset.value} value={preset.value}>
+                      {m.app.binSchemePresets[preset.name]}
+                    </option>
+                  ))}
+                  <option value={CUSTOM_BIN_SCHEME}>
+                    {m.app.customBinScheme}
+                  </option>
+                </select>
+              </label>
+              {isCustomBinScheme ? (
+                <label className="term-select">
+                  <span>{m.app.customBinInput}</span>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={binSchemeInput}
+                    placeholder={m.app.customBinPlaceholder}
+                    aria-invalid={binSchemeError !== null}
+                    aria-describedby={
+                      binSchemeError ? binSchemeErrorId : undefined
+                    }
+                    onChange={(event) => setBinSchemeInput(event.target.value)}
+                  />
+                  {binSchemeError ? (
+                    <span id={binSchemeErrorId} className="field-error">
+                      {binSchemeError}
+                    </span>
+                  ) : null}
+                </label>
+              ) : null}
+              {displayBins !== bins ? (
+                <p className="hint">{m.app.rebinNote}</p>
+              ) : null}
+            </div>
+            <div className="distribution-grid">
+              {chartData && chartType === "table" ? (
+                <div className="distribution-tables">
+                  {cumulativeSeries.map((series) => (
+                    <DistributionTable
+                      key={series.key}
+                      caption={series.label || m.app.distribution}
+                      bins={displayBins}
+                      counts={series.counts}
+                      gpa={hasValidGpa ? userGpa : null}
+                      privacy={privacyPolicy}
+                    />
+                  ))}
+                </div>
+              ) : (
+                <div className="chart-wrapper">
+                  {chartData && chartType === "ogive" ? (
+                    <CumulativeChart
+                      chartRef={cumulativeChartRef}
+                      series={cumulativeSeries}
+                      bins={displayBins}
+                      gpa={hasValidGpa ? userGpa : null}
+                      rank={hasValidGpa ? rankDisclosure : null}
+                      method={estimationMethod}
+                      privacy={privacyPolicy}
+                    />
+                  ) : chartData ? (
+                    <Bar
+                      ref={chartRef}
+                      data={chartData}
+                      options={chartOptions}
+                    />
+                  ) : (
+                    <p className="placeholder">
+                      {isSummaryWithheld
+                        ? withheldMessage(privacyPolicy, m)
+                        : m.app.chartPlaceholder}
+                    </p>
+                  )}
+                </div>
+              )}
+              {boxPlotRows.length > 0 ? (
+                <div className="boxplot-wrapper">
+                  <BoxPlot
+                    rows={boxPlotRows}
+                    domain={[gpaMin, gpaMax]}
+                    marker={hasValidGpa ? userGpa : null}
+                  />
+                  <p className="hint">{m.app.boxPlotHint}</p>
+                </div>
+              ) : null}
+            </div>
+            {isComparing ? (
+              <>
+                <p className="hint">{m.app.compareHint}</p>
+                <ComparisonTable
+                  comparisons={comparison.pairwiseComparisons}
+                  bins={comparison.comparisonBins}
+                  privacy={privacyPolicy}
+                />
+              </>
+            ) : null}
+          </section>
+
+          <section className="panel print-hidden">
+            <h2>{m.app.trendTitle}</h2>
+            <p className="description">{m.app.trendDescription}</p>
+            <TrendChart
+              terms={terms}
+              faculty={selectedFaculty}
+              major={selectedMajor}
+              grade={selectedSegment?.grade ?? null}
+              method={estimationMethod}
+              privacy={privacyPolicy}
+            />
+          </section>
+
+          <section className="panel print-hidden">
+            <h2>{m.app.reverseTitle}</h2>
+            <p className="description">{m.app.reverseDescription}</p>
+            <ReverseLookup
+              scopes={referenceGroups}
+              segments={facultySegments}
+              bins={bins}
+              method={estimationMethod}
+              privacy={privacyPolicy}
+              selectedSegment={selectedSegment}
+            />
+          </section>
+
+          <section className="panel print-hidden">
+            <h2>{m.app.termComparisonTitle}</h2>
+            <p className="description">{m.app.termComparisonDescription}</p>
+            <TermCumulativeComparison
+              datasets={activeTerm?.datasets ?? null}
+              faculty={selectedFaculty}
+              major={selectedMajor}
+              grade={selectedSegment?.grade ?? null}
+              gpa={hasValidGpa ? userGpa : null}
+              method={estimationMethod}
+              privacy={privacyPolicy}
+            />
+          </section>
+
+          <section className="panel print-hidden">
+            <h2>{m.app.historyTitle}</h2>
+            <p className="description">{m.app.historyDescription}</p>
+            <PersonalHistory
+              terms={terms}
+              current={historyCandidate}
+              method={estimationMethod}
+              privacy={privacyPolicy}
+            />
+          </section>
+        </main>
+
+        <footer className="footer">
+          <p>{m.app.sourceNote(activeTerm?.label ?? "")}</p>
+          <p>{m.app.termNote(activeTerm?.label ?? "")}</p>
+        </footer>
+      </div>
+    </I18nContext.Provider>
   );
 };
 
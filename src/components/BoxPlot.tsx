@@ -0,0 +1,139 @@
+import { useI18n } from "../i18n";
+import type { DistributionSummary } from "../lib/statistics";
+
+export type BoxPlotRow = {
+  key: string;
+  label: string;
+  summary: DistributionSummary;
+  highlighted?: boolean;
+};
+
+type BoxPlotProps = {
+  rows: BoxPlotRow[];
+  domain: [number, number];
+  marker?: number | null;
+};
+
+const WIDTH = 480;
+const LABEL_WIDTH = 150;
+const ROW_HEIGHT = 28;
+const AXIS_HEIGHT = 24;
+const PADDING_RIGHT = 12;
+
+/**
+ * 最小・第 1 四分位・中央値・第 3 四分位・最大を横向きの箱ひげ図で描きます。
+ * ひげは人数の少ないビンを隣とまとめたうえで、人数のいる最も低い／高いビンの端まで伸ばし、
+ * 平均は白丸で示します。
+ */
+const BoxPlot = ({ rows, domain, marker = null }: BoxPlotProps) => {
+  const { m } = useI18n();
+  const [lower, upper] = domain;
+  const span = upper - lower || 1;
+  const plotWidth = WIDTH - LABEL_WIDTH - PADDING_RIGHT;
+  const height = rows.length * ROW_HEIGHT + AXIS_HEIGHT;
+  const x = (value: number) =>
+    LABEL_WIDTH +
+    ((Math.min(Math.max(value, lower), upper) - lower) / span) * plotWidth;
+  const ticks = Array.from(
+    { length: Math.floor(span) + 1 },
+    (_, index) => lower + index
+  );
+
+  return (
+    <svg
+      className="boxplot"
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      role="img"
+      aria-label={m.boxPlot.label}
+    >
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            x1={x(tick)}
+            x2={x(tick)}
+            y1={0}
+            y2={height - AXIS_HEIGHT}
+            className="boxplot__grid"
+          />
+          <text
+            x={x(tick)}
+            y={height - 8}
+            textAnchor="middle"
+            className="boxplot__tick"
+          >
+            {tick.toFixed(1)}
+          </text>
+        </g>
+      ))}
+
+      {rows.map(({ key, label, summary, highlighted }, index) => {
+        const center = index * ROW_HEIGHT + ROW_HEIGHT / 2;
+        const boxHeight = ROW_HEIGHT * 0.55;
+        return (
+          <g
+            key={key}
+            className={`boxplot__row${highlighted ? " is-highlighted" : ""}`}
+          >
+            <title>
+              {m.boxPlot.row(
+                label,
+                summary.median,
+                summary.q1,
+                summary.q3,
+                summary.mean
+              )}
+            </title>
+            <text
+              x={LABEL_WIDTH - 8}
+              y={center + 4}
+              textAnchor="end"
+              className="boxplot__label"
+            >
+              {label}
+            </text>
+            <line
+              x1={x(summary.min)}
+              x2={x(summary.max)}
+              y1={center}
+              y2={center}
+              className="boxplot__whisker"
+            />
+            <rect
+              x={x(summary.q1)}
+              y={center - boxHeight / 2}
+              width={Math.max(x(summary.q3) - x(summary.q1), 1)}
+              height={boxHeight}
+              rx={3}
+              className="boxplot__box"
+            />
+            <line
+              x1={x(summary.median)}
+              x2={x(summary.median)}
+              y1={center - boxHeight / 2}
+              y2={center + boxHeight / 2}
+              className="boxplot__median"
+            />
+            <circle
+              cx={x(summary.mean)}
+              cy={center}
+              r={3}
+              className="boxplot__mean"
+            />
+          </g>
+        );
+      })}
+
+      {marker !== null ? (
+        <line
+          x1={x(marker)}
+          x2={x(marker)}
+          y1={0}
+          y2={height - AXIS_HEIGHT}
+          className="boxplot__marker"
+        />
+      ) : null}
+    </svg>
+  );
+};
+
+export default BoxPlot;
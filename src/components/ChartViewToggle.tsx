@@ -0,0 +1,40 @@
+import { useI18n } from "../i18n";
+
+export type ChartView = "chart" | "table";
+
+const CHART_VIEWS: ChartView[] = ["chart", "table"];
+
+type ChartViewToggleProps = {
+  value: ChartView;
+  onChange: (view: ChartView) => void;
+};
+
+/** グラフと表の表示を切り替えるボタン */
+const ChartViewToggle = ({ value, onChange }: ChartViewToggleProps) => {
+  const { m } = useI18n();
+  return (
+    <div
+      className="dataset-toggle dataset-toggle--compact"
+      role="group"
+      aria-label={m.distributionTable.viewGroup}
+    >
+      {CHART_VIEWS.map((view) => (
+        <button
+          key={view}
+          type="button"
+          className={`dataset-toggle__button${
+            view === value ? " is-active" : ""
+          }`}
+          aria-pressed={view === value}
+          onClick={() => onChange(view)}
+        >
+          <span className="dataset-toggle__label">
+            {m.distributionTable.views[view]}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ChartViewToggle;
@@ -0,0 +1,77 @@
+import { useI18n } from "../i18n";
+import type { ComparisonTarget } from "../lib/comparison";
+
+type ComparisonPickerProps = {
+  targets: ComparisonTarget[];
+  baseKey: string | null;
+  selectedKeys: string[];
+  onChange: (keys: string[]) => void;
+};
+
+const ComparisonPicker = ({
+  targets,
+  baseKey,
+  selectedKeys,
+  onChange,
+}: ComparisonPickerProps) => {
+  const { m } = useI18n();
+  const selectable = targets.filter(
+    (target) => target.key !== baseKey && !selectedKeys.includes(target.key)
+  );
+  const selected = selectedKeys.flatMap((key) => {
+    const target = targets.find((option) => option.key === key);
+    return target ? [target] : [];
+  });
+
+  return (
+    <div className="comparison-picker">
+      <label>
+        <span>{m.comparison.add}</span>
+        <select
+          value=""
+          onChange={(event) => {
+            if (event.target.value) {
+              onChange([...selectedKeys, event.target.value]);
+            }
+          }}
+        >
+          <option value="">{m.comparison.placeholder}</option>
+          {selectable.map((target) => (
+            <option key={target.key} value={target.key}>
+              {target.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {selected.length > 0 ? (
+        <ul className="comparison-picker__chips">
+          {selected.map((target) => (
+            <li key={target.key}>
+              {target.label}
+              <button
+                type="button"
+                aria-label={m.comparison.remove(target.label)}
+                onClick={() =>
+                  onChange(selectedKeys.filter((key) => key !== target.key))
+                }
+              >
+                ×
+              </button>
+            </li>
+          ))}
+          <li>
+            <button
+              type="button"
+              className="comparison-picker__clear"
+              onClick={() => onChange([])}
+            >
+              {m.comparison.clear}
+            </button>
+          </li>
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
+export default ComparisonPicker;
@@ -0,0 +1,62 @@
+import { useI18n } from "../i18n";
+import type { PairwiseComparison } from "../lib/comparison";
+import { canDisclose, withheldMessage } from "../lib/privacy";
+import type { BinRange, PrivacyPolicy } from "../types";
+
+type ComparisonTableProps = {
+  comparisons: PairwiseComparison[];
+  bins: BinRange[];
+  privacy: PrivacyPolicy;
+};
+
+/** 比べる集団の組み合わせごとの平均の差・重なり・累積分布の最大差。少人数の集団を含む組は値を示しません。 */
+const ComparisonTable = ({
+  comparisons,
+  bins,
+  privacy,
+}: ComparisonTableProps) => {
+  const { m, formatDecimal } = useI18n();
+  const formatSigned = (value: number | null) =>
+    value === null ? "-" : `${value > 0 ? "+" : ""}${formatDecimal(value)}`;
+
+  return (
+    <div className="table-scroll">
+      <table className="data-table">
+        <thead>
+          <tr>
+            <th scope="col">{m.comparison.pair}</th>
+            <th scope="col">{m.comparison.meanDifference}</th>
+            <th scope="col">{m.comparison.overlap}</th>
+            <th scope="col">{m.comparison.maxCumulativeGap}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparisons.map((comparison) => (
+            <tr key={`${comparison.a.key}|${comparison.b.key}`}>
+              <th scope="row">
+                {comparison.a.label} − {comparison.b.label}
+              </th>
+              {canDisclose(comparison.a.total, privacy) &&
+              canDisclose(comparison.b.total, privacy) ? (
+                <>
+                  <td>{formatSigned(comparison.meanDifference)}</td>
+                  <td>{formatDecimal(comparison.overlap * 100, 1)}%</td>
+                  <td>
+                    {formatDecimal(comparison.maxCumulativeGap * 100, 1)}%
+                    {m.comparison.upTo(
+                      bins[comparison.maxGapBinIndex]?.label ?? "-"
+                    )}
+                  </td>
+                </>
+              ) : (
+                <td colSpan={3}>{withheldMessage(privacy, m)}</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ComparisonTable;
@@ -0,0 +1,152 @@
+import { useRef, useState } from "react";
+import type { DragEvent } from "react";
+import { useI18n } from "../i18n";
+import { formatCsvIssue, inspectDistributionBytes } from "../lib/distribution";
+import type { CsvInspection, DistributionDataset } from "../types";
+
+type PendingUpload = {
+  id: number;
+  fileName: string;
+  inspection: CsvInspection;
+};
+
+type CsvUploaderProps = {
+  onAccept: (fileName: string, dataset: DistributionDataset) => void;
+};
+
+let nextUploadId = 1;
+
+const CsvUploader = ({ onAccept }: CsvUploaderProps) => {
+  const { m } = useI18n();
+  const inputRef = useRef<HTMLInputElement>(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [pending, setPending] = useState<PendingUpload[]>([]);
+
+  const readFiles = async (files: FileList | null) => {
+    if (!files || files.length === 0) {
+      return;
+    }
+
+    const uploads = await Promise.all(
+      Array.from(files).map(async (file) => ({
+        id: nextUploadId++,
+        fileName: file.name,
+        inspection: inspectDistributionBytes(await file.arrayBuffer()),
+      }))
+    );
+    setPending((previous) => [...previous, ...uploads]);
+  };
+
+  const discard = (id: number) =>
+    setPending((previous) => previous.filter((upload) => upload.id !== id));
+
+  const accept = (upload: PendingUpload) => {
+    onAccept(upload.fileName, upload.inspection.dataset);
+    discard(upload.id);
+  };
+
+  const handleDrop = (event: DragEvent<HTMLDivElement>) => {
+    event.preventDefault();
+    setIsDragging(false);
+    void readFiles(event.dataTransfer.files);
+  };
+
+  return (
+    <div className="uploader">
+      <div
+        className={`uploader__dropzone${isDragging ? " is-dragging" : ""}`}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <p>{m.uploader.drop}</p>
+        <button
+          type="button"
+          className="uploader__pick"
+          onClick={() => inputRef.current?.click()}
+        >
+          {m.uploader.pick}
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+          multiple
+          hidden
+          onChange={(event) => {
+            void readFiles(event.target.files);
+            event.target.value = "";
+          }}
+        />
+      </div>
+
+      {pending.map((upload) => {
+        const { dataset, format, issues } = upload.inspection;
+        const errors = issues.filter((issue) => issue.severity === "error");
+        const warnings = issues.filter((issue) => issue.severity === "warning");
+        const students = dataset.segments.reduce(
+          (sum, segment) => sum + segment.total,
+          0
+        );
+
+        return (
+          <article key={upload.id} className="upload-report">
+            <header className="upload-report__header">
+              <strong>{upload.fileName}</strong>
+              <span>
+                {m.uploader.summary(
+                  dataset.segments.length,
+                  students,
+                  errors.length,
+                  warnings.length
+                )}
+              </span>
+            </header>
+            <p className="hint">
+              {m.uploader.encodings[format.encoding]} /{" "}
+              {m.uploader.delimiters[format.delimiter]} /{" "}
+              {m.uploader.labelColumns[format.labelColumns]}
+            </p>
+            {issues.length > 0 ? (
+              <ul className="upload-report__issues">
+                {issues.map((issue, index) => (
+                  <li
+                    key={index}
+                    className={`upload-report__issue is-${issue.severity}`}
+                  >
+                    {issue.line > 0 ? m.uploader.line(issue.line) : ""}
+                    {formatCsvIssue(issue, m)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="hint">{m.uploader.noIssues}</p>
+            )}
+            <div className="upload-report__actions">
+              <button
+                type="button"
+                className="dataset-toggle__button"
+                disabled={errors.length > 0 || dataset.segments.length === 0}
+                onClick={() => accept(upload)}
+              >
+                {m.uploader.accept}
+              </button>
+              <button
+                type="button"
+                className="dataset-toggle__button"
+                onClick={() => discard(upload.id)}
+              >
+                {m.uploader.discard}
+              </button>
+            </div>
+          </article>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CsvUploader;
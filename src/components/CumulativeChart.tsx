@@ -0,0 +1,252 @@
+import { useMemo } from "react";
+import type { RefObject } from "react";
+import {
+  Chart as ChartJS,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import type { ChartData, ChartOptions, Plugin, TooltipItem } from "chart.js";
+import { Line } from "react-chartjs-2";
+import { useI18n } from "../i18n";
+import {
+  buildCumulativeCurve,
+  computeGpaThreshold,
+  sumCounts,
+} from "../lib/distribution";
+import {
+  canDisclose,
+  formatRankDisclosure,
+  mergeSmallBins,
+} from "../lib/privacy";
+import type { RankDisclosure } from "../lib/privacy";
+import type { BinRange, EstimationMethod, PrivacyPolicy } from "../types";
+
+ChartJS.register(LinearScale, LineElement, PointElement, Tooltip, Legend);
+
+export type CumulativeSeries = {
+  key: string;
+  label: string;
+  counts: number[];
+  color: string;
+};
+
+type CumulativeChartProps = {
+  /** 先頭の系列に、あなたの GPA の位置と上位 % の帯の GPA を表示します */
+  series: CumulativeSeries[];
+  bins: BinRange[];
+  gpa: number | null;
+  /**
+   * 結果に表示している順位。印はこの値に合わせ、幅で示す順位は幅の範囲を縦線で示します。
+   * 曲線から読み直すと、まとめたビンや区切り直したビンのせいで結果とずれるためです。
+   */
+  rank: RankDisclosure | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+  chartRef?: RefObject<ChartJS<"line"> | null>;
+};
+
+/** 網掛けする上位 % の帯（上端・下端） */
+const PERCENTILE_BANDS: [number, number][] = [
+  [0, 10],
+  [10, 25],
+  [25, 50],
+  [50, 75],
+];
+
+const BAND_COLORS = [
+  "rgba(16, 185, 129, 0.16)",
+  "rgba(16, 185, 129, 0.1)",
+  "rgba(99, 102, 241, 0.08)",
+  "rgba(148, 163, 184, 0.1)",
+];
+
+type CurvePoint = { x: number; y: number };
+
+const CumulativeChart = ({
+  series,
+  bins,
+  gpa,
+  rank,
+  method,
+  privacy,
+  chartRef,
+}: CumulativeChartProps) => {
+  const { m } = useI18n();
+  // ヒストグラムと同じく、人数の少ないビンはまとめてから曲線にする
+  const curves = useMemo(
+    () =>
+      series
+        .filter((item) => canDisclose(sumCounts(item.counts), privacy))
+        .map((item) => ({
+          ...item,
+          ...mergeSmallBins(item.counts, bins, privacy.minBinCount),
+        })),
+    [bins, privacy, series]
+  );
+
+  const base = curves[0] ?? null;
+
+  const marker = useMemo(() => {
+    if (!base || gpa === null || !rank || rank.kind === "withheld") {
+      return null;
+    }
+    const [from, to] =
+      rank.kind === "exact"
+        ? [rank.percentile, rank.percentile]
+        : [rank.from, rank.to];
+    return {
+      point: { x: gpa, y: (from + to) / 2 },
+      range: rank.kind === "band" ? [from, to] : null,
+      label: formatRankDisclosure(rank, m),
+    };
+  }, [base, gpa, m, rank]);
+
+  const bandThresholds = useMemo(
+    () =>
+      base
+        ? PERCENTILE_BANDS.map(([, to]) =>
+            computeGpaThreshold(
+              base.counts,
+              base.bins,
+              { type: "percentile", value: to },
+              method
+            )
+          )
+        : [],
+    [base, method]
+  );
+
+  const bandsPlugin = useMemo<Plugin<"line">>(
+    () => ({
+      id: "percentileBands",
+      beforeDatasetsDraw: (chart) => {
+        const { ctx, chartArea, scales } = chart;
+        const yScale = scales.y;
+        ctx.save();
+        PERCENTILE_BANDS.forEach(([from, to], index) => {
+          const top = yScale.getPixelForValue(from);
+          const bottom = yScale.getPixelForValue(to);
+          ctx.fillStyle = BAND_COLORS[index];
+          ctx.fillRect(
+            chartArea.left,
+            Math.min(top, bottom),
+            chartArea.width,
+            Math.abs(bottom - top)
+          );
+          const threshold = bandThresholds[index];
+          ctx.fillStyle = "#475569";
+          ctx.font = "12px sans-serif";
+          ctx.textBaseline = "bottom";
+          ctx.fillText(
+            m.cumulative.band(to, threshold ?? null),
+            chartArea.left + 8,
+            Math.max(top, bottom) - 2
+          );
+        });
+        ctx.restore();
+      },
+    }),
+    [bandThresholds, m]
+  );
+
+  const chartData = useMemo<ChartData<"line", CurvePoint[]> | null>(() => {
+    if (curves.length === 0) {
+      return null;
+    }
+    return {
+      datasets: [
+        ...curves.map((curve) => ({
+          label: curve.label,
+          data: buildCumulativeCurve(curve.counts, curve.bins, method).map(
+            (point) => ({ x: point.gpa, y: point.percentile })
+          ),
+          borderColor: curve.color,
+          backgroundColor: curve.color,
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHitRadius: 6,
+          tension: 0,
+        })),
+        ...(marker
+          ? [
+              {
+                label: m.yourGpa,
+                data: [marker.point],
+                borderColor: "rgba(185, 28, 28, 1)",
+                backgroundColor: "rgba(239, 68, 68, 0.9)",
+                pointStyle: "rectRot" as const,
+                pointRadius: 8,
+                pointHoverRadius: 9,
+                showLine: false,
+              },
+              ...(marker.range
+                ? [
+                    {
+                      label: m.yourGpa,
+                      data: marker.range.map((y) => ({ x: marker.point.x, y })),
+                      borderColor: "rgba(185, 28, 28, 1)",
+                      backgroundColor: "rgba(185, 28, 28, 1)",
+                      borderWidth: 3,
+                      pointRadius: 0,
+                      pointHitRadius: 6,
+                    },
+                  ]
+                : []),
+            ]
+          : []),
+      ],
+    };
+  }, [curves, m, marker, method]);
+
+  const chartOptions = useMemo<ChartOptions<"line">>(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      locale: m.locale,
+      interaction: { mode: "nearest", intersect: false },
+      scales: {
+        x: {
+          type: "linear" as const,
+          min: bins[0]?.min ?? 0,
+          max: bins[bins.length - 1]?.max ?? 5,
+          title: { display: true, text: "GPA" },
+        },
+        y: {
+          reverse: true,
+          min: 0,
+          max: 100,
+          title: { display: true, text: m.cumulative.yAxis },
+        },
+      },
+      plugins: {
+        legend: { display: true, position: "bottom" as const },
+        tooltip: {
+          callbacks: {
+            label: (context: TooltipItem<"line">) =>
+              marker && context.datasetIndex >= curves.length
+                ? m.cumulative.yourGpaTooltip(marker.point.x, marker.label)
+                : `${context.dataset.label ?? ""} ${m.cumulative.point(
+                    context.parsed.x,
+                    context.parsed.y
+                  )}`,
+          },
+        },
+      },
+    }),
+    [bins, curves.length, m, marker]
+  );
+
+  return chartData ? (
+    <Line
+      ref={chartRef}
+      data={chartData}
+      options={chartOptions}
+      plugins={[bandsPlugin]}
+    />
+  ) : null;
+};
+
+export default CumulativeChart;
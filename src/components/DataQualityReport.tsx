@@ -0,0 +1,63 @@
+import { useI18n } from "../i18n";
+import type { QualityIssue, QualityIssueKind } from "../lib/quality";
+
+type DataQualityReportProps = {
+  issues: QualityIssue[];
+  /** 除外対象のビンの表示名（例: `0.00-0.24`）。該当するビンがなければ null */
+  zeroBinLabel: string | null;
+  excludeZero: boolean;
+  onExcludeZeroChange: (excludeZero: boolean) => void;
+};
+
+const DataQualityReport = ({
+  issues,
+  zeroBinLabel,
+  excludeZero,
+  onExcludeZeroChange,
+}: DataQualityReportProps) => {
+  const { m } = useI18n();
+  const kindCounts = issues.reduce((counts, issue) => {
+    counts.set(issue.kind, (counts.get(issue.kind) ?? 0) + 1);
+    return counts;
+  }, new Map<QualityIssueKind, number>());
+
+  return (
+    <div className="quality-report">
+      <label className="quality-report__toggle">
+        <input
+          type="checkbox"
+          checked={excludeZero}
+          disabled={zeroBinLabel === null}
+          onChange={(event) => onExcludeZeroChange(event.target.checked)}
+        />
+        <span>
+          {m.quality.excludeZero(zeroBinLabel ?? "0.00")}
+          <span className="hint">{m.quality.excludeZeroHint}</span>
+        </span>
+      </label>
+      {issues.length > 0 ? (
+        <details className="quality-report__details">
+          <summary>
+            {m.quality.summary(
+              issues.length,
+              Array.from(kindCounts.entries())
+                .map(([kind, count]) => `${m.quality.kinds[kind]} ${count}`)
+                .join(" / ")
+            )}
+          </summary>
+          <ul className="upload-report__issues">
+            {issues.map((issue, index) => (
+              <li key={index} className="upload-report__issue is-warning">
+                [{issue.source}] {issue.message}
+              </li>
+            ))}
+          </ul>
+        </details>
+      ) : (
+        <p className="hint">{m.quality.none}</p>
+      )}
+    </div>
+  );
+};
+
+export default DataQualityReport;
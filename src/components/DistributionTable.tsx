@@ -0,0 +1,131 @@
+import { useMemo, useRef, useState } from "react";
+import type { KeyboardEvent } from "react";
+import { useI18n } from "../i18n";
+import { cumulativeShares, toShares } from "../lib/comparison";
+import { findBinIndex } from "../lib/distribution";
+import { mergeSmallBins } from "../lib/privacy";
+import type { BinRange, PrivacyPolicy } from "../types";
+
+type DistributionTableProps = {
+  /** 省略した場合は、表を囲む `figure` の見出しなどで説明します */
+  caption?: string;
+  bins: BinRange[];
+  counts: number[];
+  /** このビンの行を「あなたの GPA」として示します */
+  gpa: number | null;
+  privacy: PrivacyPolicy;
+};
+
+/**
+ * ヒストグラムと同じ分布を、ビンごとの人数・割合・累積割合の表で示します。
+ * 人数の少ないビンはグラフと同じく隣のビンとまとめます。
+ * 行は ↑ / ↓ / Home / End キーで移動できます。
+ */
+const DistributionTable = ({
+  caption,
+  bins,
+  counts,
+  gpa,
+  privacy,
+}: DistributionTableProps) => {
+  const { m, formatCount, formatDecimal } = useI18n();
+  const rowRefs = useRef<(HTMLTableRowElement | null)[]>([]);
+
+  const rows = useMemo(() => {
+    const merged = mergeSmallBins(counts, bins, privacy.minBinCount);
+    const shares = toShares(merged.counts);
+    const cumulative = cumulativeShares(merged.counts);
+    return merged.bins.map((bin, index) => ({
+      bin,
+      count: merged.counts[index] ?? 0,
+      share: shares[index] ?? 0,
+      cumulativeShare: (cumulative[index] ?? 0) * 100,
+    }));
+  }, [bins, counts, privacy.minBinCount]);
+
+  const highlightIndex =
+    gpa === null
+      ? -1
+      : findBinIndex(
+          rows.map((row) => row.bin),
+          gpa
+        );
+
+  // Tab で入る行（最後に移動した行、なければあなたの GPA の行）
+  const [focusIndex, setFocusIndex] = useState<number | null>(null);
+  const tabIndex =
+    focusIndex !== null && focusIndex < rows.length
+      ? focusIndex
+      : Math.max(highlightIndex, 0);
+
+  const handleKeyDown = (event: KeyboardEvent<HTMLTableSectionElement>) => {
+    const last = rows.length - 1;
+    const next =
+      event.key === "ArrowDown"
+        ? Math.min(tabIndex + 1, last)
+        : event.key === "ArrowUp"
+        ? Math.max(tabIndex - 1, 0)
+        : event.key === "Home"
+        ? 0
+        : event.key === "End"
+        ? last
+        : null;
+    if (next === null) {
+      return;
+    }
+    event.preventDefault();
+    setFocusIndex(next);
+    rowRefs.current[next]?.focus();
+  };
+
+  // 按分した人数は小数になるため、整数でないときだけ小数で示す
+  const formatStudents = (value: number) =>
+    Number.isInteger(value) ? formatCount(value) : formatDecimal(value, 1);
+
+  return (
+    <div className="table-scroll distribution-table">
+      <table className="data-table">
+        {caption ? <caption>{caption}</caption> : null}
+        <thead>
+          <tr>
+            <th scope="col">{m.binRange}</th>
+            <th scope="col">{m.distributionTable.count}</th>
+            <th scope="col">{m.distributionTable.share}</th>
+            <th scope="col">{m.distributionTable.cumulativeShare}</th>
+          </tr>
+        </thead>
+        <tbody onKeyDown={handleKeyDown}>
+          {rows.map((row, index) => {
+            const isHighlighted = index === highlightIndex;
+            return (
+              <tr
+                key={row.bin.label}
+                ref={(element) => {
+                  rowRefs.current[index] = element;
+                }}
+                tabIndex={index === tabIndex ? 0 : -1}
+                className={isHighlighted ? "is-selected" : undefined}
+                aria-current={isHighlighted ? "true" : undefined}
+                onFocus={() => setFocusIndex(index)}
+              >
+                <th scope="row">
+                  {row.bin.label}
+                  {isHighlighted ? (
+                    <span className="distribution-table__marker">
+                      {m.distributionTable.yourBin}
+                    </span>
+                  ) : null}
+                </th>
+                <td>{formatStudents(row.count)}</td>
+                <td>{formatDecimal(row.share, 1)}%</td>
+                <td>{formatDecimal(row.cumulativeShare, 1)}%</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DistributionTable;
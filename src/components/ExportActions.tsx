@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { useI18n } from "../i18n";
+import { buildAggregatesCsv, downloadBlob, toFileName } from "../lib/export";
+import { renderResultCard } from "../lib/resultCard";
+import type { ResultCardContent } from "../lib/resultCard";
+import type {
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+} from "../types";
+
+type ExportActionsProps = {
+  /** 結果カードに載せる、表示中のグラフのキャンバス */
+  getChartCanvas: () => HTMLCanvasElement | null;
+  card: ResultCardContent | null;
+  dataset: DistributionDataset;
+  privacy: PrivacyPolicy;
+  /** 集計 CSV の平均 GPA の推定方法 */
+  method: EstimationMethod;
+  fileBaseName: string;
+};
+
+const ExportActions = ({
+  getChartCanvas,
+  card,
+  dataset,
+  privacy,
+  method,
+  fileBaseName,
+}: ExportActionsProps) => {
+  const { m } = useI18n();
+  const [status, setStatus] = useState("");
+  const baseName = toFileName(fileBaseName);
+
+  const handleExportImage = () => {
+    if (!card) {
+      return;
+    }
+    const canvas = renderResultCard(card, getChartCanvas());
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        setStatus(m.exportActions.imageFailed);
+        return;
+      }
+      downloadBlob(blob, `${baseName}.png`);
+      setStatus(m.exportActions.imageSaved);
+    }, "image/png");
+  };
+
+  const handleExportCsv = () => {
+    downloadBlob(
+      new Blob([buildAggregatesCsv(dataset, privacy, method, m)], {
+        type: "text/csv;charset=utf-8",
+      }),
+      m.exportActions.aggregatesFile(baseName)
+    );
+    setStatus(m.exportActions.csvSaved);
+  };
+
+  return (
+    <div className="export-actions print-hidden">
+      <button
+        type="button"
+        className="uploader__pick"
+        onClick={handleExportImage}
+        disabled={!card}
+      >
+        {m.exportActions.saveImage}
+      </button>
+      <button
+        type="button"
+        className="uploader__pick"
+        onClick={() => window.print()}
+      >
+        {m.exportActions.print}
+      </button>
+      <button
+        type="button"
+        className="uploader__pick"
+        onClick={handleExportCsv}
+        disabled={dataset.segments.length === 0}
+      >
+        {m.exportActions.downloadCsv}
+      </button>
+      <span role="status">{status}</span>
+    </div>
+  );
+};
+
+export default ExportActions;
@@ -0,0 +1,325 @@
+import { useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import {
+  computeRankInfo,
+  findBinIndex,
+  findSegment,
+} from "../lib/distribution";
+import {
+  DEFAULT_GRADE_SCALE,
+  combineCumulativeGpa,
+  computeTermGpa,
+} from "../lib/gpa";
+import type { CourseEntry, GpaResult, GradePoint } from "../lib/gpa";
+import { discloseRank, formatRankDisclosure } from "../lib/privacy";
+import type {
+  DatasetKind,
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+} from "../types";
+
+type GpaCalculatorProps = {
+  datasets: Record<DatasetKind, DistributionDataset> | null;
+  faculty: string;
+  major: string;
+  grade: number | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+  onApply: (gpa: number, kind: DatasetKind) => void;
+};
+
+let nextCourseId = 1;
+
+const createCourse = (): CourseEntry => ({
+  id: nextCourseId++,
+  name: "",
+  credits: 2,
+  letter: "",
+  whatIfLetter: "",
+});
+
+const GpaCalculator = ({
+  datasets,
+  faculty,
+  major,
+  grade,
+  method,
+  privacy,
+  onApply,
+}: GpaCalculatorProps) => {
+  const { m, formatDecimal } = useI18n();
+  const [scale, setScale] = useState<GradePoint[]>(DEFAULT_GRADE_SCALE);
+  const [courses, setCourses] = useState<CourseEntry[]>(() => [
+    createCourse(),
+    createCourse(),
+    createCourse(),
+  ]);
+  const [previousGpaInput, setPreviousGpaInput] = useState("");
+  const [previousCreditsInput, setPreviousCreditsInput] = useState("");
+
+  const updateCourse = (id: number, patch: Partial<CourseEntry>) =>
+    setCourses((previous) =>
+      previous.map((course) =>
+        course.id === id ? { ...course, ...patch } : course
+      )
+    );
+
+  const removeCourse = (id: number) =>
+    setCourses((previous) => previous.filter((course) => course.id !== id));
+
+  const updatePoints = (letter: string, points: number) =>
+    setScale((previous) =>
+      previous.map((entry) =>
+        entry.letter === letter ? { ...entry, points } : entry
+      )
+    );
+
+  const previousGpa = Number.parseFloat(previousGpaInput);
+  const previousCredits = Number.parseFloat(previousCreditsInput);
+  const hasWhatIf = courses.some((course) => course.whatIfLetter !== "");
+
+  const scenarios = useMemo(() => {
+    const build = (useWhatIf: boolean) => {
+      const term = computeTermGpa(courses, scale, useWhatIf);
+      const cumulative = combineCumulativeGpa(
+        Number.isNaN(previousGpa) ? null : previousGpa,
+        Number.isNaN(previousCredits) ? 0 : previousCredits,
+        term
+      );
+      return { term, cumulative };
+    };
+    return hasWhatIf
+      ? [
+          { key: "actual", label: m.calculator.actual, ...build(false) },
+          { key: "whatIf", label: m.calculator.whatIf, ...build(true) },
+        ]
+      : [{ key: "actual", label: m.calculator.actual, ...build(false) }];
+  }, [courses, hasWhatIf, m, previousCredits, previousGpa, scale]);
+
+  const describeRank = (result: GpaResult, kind: DatasetKind) => {
+    if (result.gpa === null || !datasets || grade === null) {
+      return null;
+    }
+    const { bins, segments } = datasets[kind];
+    const segment = findSegment(segments, major, grade, faculty);
+    if (!segment) {
+      return null;
+    }
+    const disclosure = discloseRank(
+      computeRankInfo(segment, bins, result.gpa, method),
+      segment.total,
+      segment.counts[findBinIndex(bins, result.gpa)] ?? 0,
+      privacy,
+      m
+    );
+    return disclosure.kind === "withheld"
+      ? disclosure.message
+      : m.calculator.rankIn(segment.total, formatRankDisclosure(disclosure, m));
+  };
+
+  const renderResult = (result: GpaResult, kind: DatasetKind) => {
+    const rankText = describeRank(result, kind);
+    return (
+      <div className="calculator__result">
+        <strong>{formatDecimal(result.gpa)}</strong>
+        <span>{m.calculator.credits(result.credits)}</span>
+        {rankText ? (
+          <span>
+            {m.calculator.rankInDataset(m.datasetKinds[kind], rankText)}
+          </span>
+        ) : null}
+        {result.gpa !== null ? (
+          <button
+            type="button"
+            className="uploader__pick"
+            onClick={() => onApply(result.gpa ?? 0, kind)}
+          >
+            {m.calculator.apply}
+          </button>
+        ) : null}
+      </div>
+    );
+  };
+
+  return (
+    <div className="calculator">
+      <div className="table-scroll">
+        <table className="data-table calculator__courses">
+          <thead>
+            <tr>
+              <th scope="col">{m.calculator.courseName}</th>
+              <th scope="col">{m.calculator.creditsColumn}</th>
+              <th scope="col">{m.calculator.letter}</th>
+              <th scope="col">{m.calculator.whatIfColumn}</th>
+              <th scope="col">
+                <span className="visually-hidden">{m.actions}</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {courses.map((course, index) => (
+              <tr key={course.id}>
+                <td>
+                  <input
+                    type="text"
+                    value={course.name}
+                    placeholder={m.calculator.coursePlaceholder(index + 1)}
+                    aria-label={m.calculator.courseName}
+                    onChange={(event) =>
+                      updateCourse(course.id, { name: event.target.value })
+                    }
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.5}
+                    value={course.credits}
+                    aria-label={m.calculator.creditsLabel}
+                    onChange={(event) =>
+                      updateCourse(course.id, {
+                        credits: Number.parseFloat(event.target.value) || 0,
+                      })
+                    }
+                  />
+                </td>
+                <td>
+                  <select
+                    value={course.letter}
+                    aria-label={m.calculator.letter}
+                    onChange={(event) =>
+                      updateCourse(course.id, { letter: event.target.value })
+                    }
+                  >
+                    <option value="">{m.calculator.undecided}</option>
+                    {scale.map(({ letter }) => (
+                      <option key={letter} value={letter}>
+                        {letter}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <select
+                    value={course.whatIfLetter}
+                    aria-label={m.calculator.whatIfLabel}
+                    onChange={(event) =>
+                      updateCourse(course.id, {
+                        whatIfLetter: event.target.value,
+                      })
+                    }
+                  >
+                    <option value="">-</option>
+                    {scale.map(({ letter }) => (
+                      <option key={letter} value={letter}>
+                        {letter}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="calculator__remove"
+                    onClick={() => removeCourse(course.id)}
+                    aria-label={m.calculator.removeCourse(
+                      course.name || m.calculator.coursePlaceholder(index + 1)
+                    )}
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <button
+        type="button"
+        className="uploader__pick calculator__add"
+        onClick={() => setCourses((previous) => [...previous, createCourse()])}
+      >
+        {m.calculator.addCourse}
+      </button>
+
+      <div className="form-grid">
+        <label>
+          <span>{m.calculator.previousGpa}</span>
+          <input
+            type="number"
+            min={0}
+            max={5}
+            step={0.01}
+            value={previousGpaInput}
+            onChange={(event) => setPreviousGpaInput(event.target.value)}
+            placeholder={m.calculator.previousGpaPlaceholder}
+          />
+        </label>
+        <label>
+          <span>{m.calculator.previousCredits}</span>
+          <input
+            type="number"
+            min={0}
+            step={0.5}
+            value={previousCreditsInput}
+            onChange={(event) => setPreviousCreditsInput(event.target.value)}
+            placeholder={m.calculator.previousCreditsPlaceholder}
+          />
+        </label>
+      </div>
+
+      <details className="calculator__scale">
+        <summary>{m.calculator.scale}</summary>
+        <div className="calculator__scale-grid">
+          {scale.map(({ letter, points }) => (
+            <label key={letter}>
+              <span>{letter}</span>
+              <input
+                type="number"
+                min={0}
+                max={5}
+                step={0.5}
+                value={points}
+                onChange={(event) =>
+                  updatePoints(
+                    letter,
+                    Math.min(
+                      5,
+                      Math.max(0, Number.parseFloat(event.target.value) || 0)
+                    )
+                  )
+                }
+              />
+            </label>
+          ))}
+        </div>
+      </details>
+
+      <div className="table-scroll">
+        <table className="data-table calculator__summary">
+          <thead>
+            <tr>
+              <th scope="col">{m.calculator.scenario}</th>
+              <th scope="col">{m.calculator.termGpa}</th>
+              <th scope="col">{m.calculator.cumulativeGpa}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map((scenario) => (
+              <tr key={scenario.key}>
+                <th scope="row">{scenario.label}</th>
+                <td>{renderResult(scenario.term, "current")}</td>
+                <td>{renderResult(scenario.cumulative, "cumulative")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="hint">{m.calculator.hint}</p>
+    </div>
+  );
+};
+
+export default GpaCalculator;
@@ -0,0 +1,32 @@
+import { useEffect, useState } from "react";
+
+type LiveRegionProps = {
+  message: string;
+  /** 入力中に読み上げが重ならないよう、変化が止まってから読み上げるまでの時間（ミリ秒） */
+  delay?: number;
+};
+
+/**
+ * 画面には表示せず、スクリーンリーダーに `message` の変化を控えめに（polite）読み上げさせます。
+ */
+const LiveRegion = ({ message, delay = 800 }: LiveRegionProps) => {
+  const [announced, setAnnounced] = useState("");
+
+  useEffect(() => {
+    const timer = window.setTimeout(() => setAnnounced(message), delay);
+    return () => window.clearTimeout(timer);
+  }, [delay, message]);
+
+  return (
+    <div
+      className="visually-hidden"
+      role="status"
+      aria-live="polite"
+      aria-atomic="true"
+    >
+      {announced}
+    </div>
+  );
+};
+
+export default LiveRegion;
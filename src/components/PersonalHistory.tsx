@@ -0,0 +1,370 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import type { ChangeEvent } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import type { ChartData, ChartOptions, TooltipItem } from "chart.js";
+import { Line } from "react-chartjs-2";
+import { useI18n } from "../i18n";
+import { downloadBlob } from "../lib/export";
+import { facultyLabel } from "../lib/hierarchy";
+import {
+  buildHistoryTrajectory,
+  isHistoryEnabled,
+  loadHistory,
+  mergeHistory,
+  parseHistoryJson,
+  saveHistory,
+  serializeHistory,
+  setHistoryEnabled,
+} from "../lib/history";
+import type { HistoryEntry } from "../lib/history";
+import { formatRankDisclosure } from "../lib/privacy";
+import { DATASET_KINDS } from "../lib/terms";
+import type {
+  DatasetKind,
+  EstimationMethod,
+  PrivacyPolicy,
+  TermDatasets,
+} from "../types";
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend
+);
+
+type PersonalHistoryProps = {
+  terms: TermDatasets[];
+  /** 保存ボタンで記録する現在の選択。学期データ以外を表示中なら null */
+  current: Omit<HistoryEntry, "savedAt"> | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+};
+
+const PersonalHistory = ({
+  terms,
+  current,
+  method,
+  privacy,
+}: PersonalHistoryProps) => {
+  const { m, formatDecimal } = useI18n();
+  const [enabled, setEnabled] = useState(isHistoryEnabled);
+  const [entries, setEntries] = useState<HistoryEntry[]>(loadHistory);
+  const [kind, setKind] = useState<DatasetKind>("current");
+  const [status, setStatus] = useState("");
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  useEffect(() => {
+    if (enabled) {
+      saveHistory(entries);
+    }
+  }, [enabled, entries]);
+
+  const toggleEnabled = (next: boolean) => {
+    if (
+      !next &&
+      entries.length > 0 &&
+      !window.confirm(m.history.confirmDisable)
+    ) {
+      return;
+    }
+    setHistoryEnabled(next);
+    setEnabled(next);
+    if (!next) {
+      setEntries([]);
+      setStatus(m.history.cleared);
+    }
+  };
+
+  const handleSave = () => {
+    if (!current) {
+      return;
+    }
+    setEntries((previous) =>
+      mergeHistory(previous, [
+        { ...current, savedAt: new Date().toISOString() },
+      ])
+    );
+    setKind(current.kind);
+    setStatus(m.history.saved(current.termLabel, m.datasetKinds[current.kind]));
+  };
+
+  const handleExport = () => {
+    downloadBlob(
+      new Blob([serializeHistory(entries)], { type: "application/json" }),
+      "gpa-history.json"
+    );
+  };
+
+  const handleImport = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      const imported = parseHistoryJson(await file.text(), m);
+      setEntries((previous) => mergeHistory(previous, imported));
+      setStatus(m.history.imported(file.name, imported.length));
+    } catch (error) {
+      setStatus(
+        m.history.importFailed(
+          file.name,
+          error instanceof Error ? error.message : String(error)
+        )
+      );
+    }
+  };
+
+  const removeEntry = (target: HistoryEntry) =>
+    setEntries((previous) => previous.filter((entry) => entry !== target));
+
+  const trajectory = useMemo(
+    () => buildHistoryTrajectory(entries, terms, kind, privacy, method),
+    [entries, kind, method, privacy, terms]
+  );
+
+  const chartData = useMemo<ChartData<
+    "line",
+    (number | null)[],
+    string
+  > | null>(() => {
+    if (trajectory.length === 0) {
+      return null;
+    }
+    return {
+      labels: trajectory.map(({ entry }) => entry.termLabel),
+      datasets: [
+        {
+          label: m.yourGpa,
+          data: trajectory.map(({ entry }) => entry.gpa),
+          borderColor: "rgba(239, 68, 68, 1)",
+          backgroundColor: "rgba(239, 68, 68, 1)",
+          yAxisID: "y",
+          tension: 0.2,
+          pointRadius: 4,
+        },
+        {
+          label: m.history.cohortMedian,
+          data: trajectory.map(({ cohortMedian }) => cohortMedian),
+          borderColor: "rgba(99, 102, 241, 1)",
+          backgroundColor: "rgba(99, 102, 241, 1)",
+          borderDash: [6, 4],
+          yAxisID: "y",
+          tension: 0.2,
+          pointRadius: 4,
+        },
+        {
+          label: m.history.percentileSeries,
+          data: trajectory.map(({ percentile }) => percentile),
+          borderColor: "rgba(16, 185, 129, 1)",
+          backgroundColor: "rgba(16, 185, 129, 1)",
+          yAxisID: "percentile",
+          tension: 0.2,
+          pointRadius: 4,
+        },
+      ],
+    };
+  }, [m, trajectory]);
+
+  const chartOptions = useMemo<ChartOptions<"line">>(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      locale: m.locale,
+      spanGaps: false,
+      scales: {
+        x: { title: { display: true, text: m.term } },
+        y: {
+          suggestedMin: 0,
+          suggestedMax: 5,
+          title: { display: true, text: "GPA" },
+        },
+        percentile: {
+          position: "right" as const,
+          reverse: true,
+          min: 0,
+          max: 100,
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: m.history.percentileAxis },
+        },
+      },
+      plugins: {
+        legend: { display: true, position: "bottom" as const },
+        tooltip: {
+          callbacks: {
+            label: (context: TooltipItem<"line">) => {
+              const disclosure = trajectory[context.dataIndex]?.disclosure;
+              if (context.dataset.yAxisID !== "percentile") {
+                return m.history.gpaTooltip(
+                  context.dataset.label ?? "",
+                  context.parsed.y
+                );
+              }
+              return disclosure?.kind === "band"
+                ? `${context.dataset.label ?? ""}: ${formatRankDisclosure(
+                    disclosure,
+                    m
+                  )}`
+                : m.history.percentileTooltip(
+                    context.dataset.label ?? "",
+                    context.parsed.y
+                  );
+            },
+          },
+        },
+      },
+    }),
+    [m, trajectory]
+  );
+
+  return (
+    <div className="history">
+      <label className="history__consent">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(event) => toggleEnabled(event.target.checked)}
+        />
+        <span>{m.history.consent}</span>
+      </label>
+
+      <div className="history__actions">
+        <button
+          type="button"
+          className="uploader__pick"
+          onClick={handleSave}
+          disabled={!current}
+        >
+          {current
+            ? m.history.save(current.termLabel, m.datasetKinds[current.kind])
+            : m.history.saveDisabled}
+        </button>
+        <button
+          type="button"
+          className="uploader__pick"
+          onClick={handleExport}
+          disabled={entries.length === 0}
+        >
+          {m.history.export}
+        </button>
+        <button
+          type="button"
+          className="uploader__pick"
+          onClick={() => fileInputRef.current?.click()}
+        >
+          {m.history.import}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="visually-hidden"
+          tabIndex={-1}
+          onChange={handleImport}
+        />
+      </div>
+      {status ? <p role="status">{status}</p> : null}
+      {!enabled && entries.length > 0 ? (
+        <p className="hint">{m.history.notPersisted}</p>
+      ) : null}
+
+      {entries.length > 0 ? (
+        <>
+          <div
+            className="dataset-toggle"
+            role="group"
+            aria-label={m.history.kindGroup}
+          >
+            {DATASET_KINDS.map((option) => (
+              <button
+                key={option}
+                type="button"
+                className={`dataset-toggle__button${
+                  option === kind ? " is-active" : ""
+                }`}
+                onClick={() => setKind(option)}
+              >
+                <span className="dataset-toggle__label">
+                  {m.datasetKinds[option]}
+                </span>
+              </button>
+            ))}
+          </div>
+          <div className="chart-wrapper">
+            {chartData ? (
+              <Line data={chartData} options={chartOptions} />
+            ) : (
+              <p className="placeholder">
+                {m.history.empty(m.datasetKinds[kind])}
+              </p>
+            )}
+          </div>
+          <div className="table-scroll">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th scope="col">{m.term}</th>
+                  <th scope="col">{m.history.datasetColumn}</th>
+                  <th scope="col">{m.history.segmentColumn}</th>
+                  <th scope="col">GPA</th>
+                  <th scope="col">
+                    <span className="visually-hidden">{m.actions}</span>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <tr key={`${entry.termId}:${entry.kind}`}>
+                    <th scope="row">{entry.termLabel}</th>
+                    <td>{m.datasetKinds[entry.kind]}</td>
+                    <td>
+                      {facultyLabel(entry.faculty, m)}{" "}
+                      {m.segment(entry.major, entry.grade)}
+                    </td>
+                    <td>{formatDecimal(entry.gpa)}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="calculator__remove"
+                        aria-label={m.history.removeEntry(entry.termLabel)}
+                        onClick={() => removeEntry(entry)}
+                      >
+                        ×
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {trajectory.some(
+            (point) => point.percentile === null && !point.withheld
+          ) ? (
+            <p className="hint">{m.history.gapHint}</p>
+          ) : null}
+          {trajectory.some((point) => point.disclosure?.kind === "band") ? (
+            <p className="hint">{m.history.bandHint}</p>
+          ) : null}
+          {trajectory.some((point) => point.withheld) ? (
+            <p className="hint">
+              {m.history.withheldHint(privacy.minGroupSize)}
+            </p>
+          ) : null}
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default PersonalHistory;
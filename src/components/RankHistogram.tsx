@@ -0,0 +1,87 @@
+import { useMemo } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+} from "chart.js";
+import type { ChartData, ChartOptions } from "chart.js";
+import { Bar } from "react-chartjs-2";
+import { useI18n } from "../i18n";
+import { findBinIndex } from "../lib/distribution";
+import { mergeSmallBins } from "../lib/privacy";
+import type { BinRange, PrivacyPolicy } from "../types";
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+type RankHistogramProps = {
+  label: string;
+  bins: BinRange[];
+  counts: number[];
+  /** このビンを赤で強調します */
+  gpa: number | null;
+  privacy: PrivacyPolicy;
+  /** 軸の文字色（背景が暗い場合に指定） */
+  textColor?: string;
+};
+
+/**
+ * 1 つの集団のヒストグラム。人数の少ないビンは隣のビンとまとめ、GPA のビンを強調します。
+ * 集団を表示してよいかどうかは呼び出し側で確認します。
+ */
+const RankHistogram = ({
+  label,
+  bins,
+  counts,
+  gpa,
+  privacy,
+  textColor,
+}: RankHistogramProps) => {
+  const { m } = useI18n();
+
+  const data = useMemo<ChartData<"bar", number[], string>>(() => {
+    const merged = mergeSmallBins(counts, bins, privacy.minBinCount);
+    const highlight = gpa === null ? -1 : findBinIndex(merged.bins, gpa);
+    return {
+      labels: merged.bins.map((bin) => bin.label),
+      datasets: [
+        {
+          label,
+          data: merged.counts,
+          backgroundColor: merged.counts.map((_, index) =>
+            index === highlight
+              ? "rgba(239, 68, 68, 0.85)"
+              : "rgba(99, 102, 241, 0.75)"
+          ),
+          borderRadius: 6,
+        },
+      ],
+    };
+  }, [bins, counts, gpa, label, privacy.minBinCount]);
+
+  const options = useMemo<ChartOptions<"bar">>(
+    () => ({
+      responsive: true,
+      maintainAspectRatio: false,
+      locale: m.locale,
+      color: textColor,
+      scales: {
+        x: {
+          ticks: { color: textColor },
+          title: { display: true, text: m.binRange, color: textColor },
+        },
+        y: {
+          ticks: { precision: 0, color: textColor },
+          title: { display: true, text: m.students, color: textColor },
+        },
+      },
+      plugins: { legend: { display: false } },
+    }),
+    [m, textColor]
+  );
+
+  return <Bar data={data} options={options} />;
+};
+
+export default RankHistogram;
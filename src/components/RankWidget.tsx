@@ -0,0 +1,280 @@
+import { useId, useMemo, useState } from "react";
+import type { FormEvent } from "react";
+import { useI18n } from "../i18n";
+import {
+  EMPTY_DATASET,
+  computeRankInfo,
+  findBinIndex,
+  findSegment,
+} from "../lib/distribution";
+import {
+  canDisclose,
+  discloseRank,
+  formatRankDisclosure,
+  withheldMessage,
+} from "../lib/privacy";
+import type { RankDisclosure } from "../lib/privacy";
+import type {
+  DatasetKind,
+  EstimationMethod,
+  PrivacyPolicy,
+  TermDatasets,
+} from "../types";
+import RankHistogram from "./RankHistogram";
+
+export type RankWidgetTheme = "light" | "dark";
+
+/** 順位を計算したときに通知する内容 */
+export type RankWidgetResult = {
+  term: string;
+  dataset: DatasetKind;
+  faculty: string;
+  major: string;
+  grade: number;
+  gpa: number;
+  total: number;
+  disclosure: RankDisclosure;
+  /** 画面に表示した順位の文言 */
+  text: string;
+};
+
+type RankWidgetProps = {
+  terms: TermDatasets[];
+  privacy: PrivacyPolicy;
+  /** 学期 ID。省略した場合は最新の学期 */
+  term?: string;
+  dataset: DatasetKind;
+  /** 指定した場合は、この学部の学科だけを選べるようにします */
+  faculty?: string;
+  /** 最初に選んでおく学科・学年 */
+  major?: string;
+  grade?: number;
+  method: EstimationMethod;
+  theme: RankWidgetTheme;
+  onRank: (result: RankWidgetResult) => void;
+};
+
+/**
+ * 学科・学年・GPA の入力欄と、GPA のビンを強調したヒストグラムだけの小さな順位表示。
+ * 埋め込み用のカスタム要素（`src/widget.tsx`）から使います。
+ */
+const RankWidget = ({
+  terms,
+  privacy,
+  term,
+  dataset,
+  faculty,
+  major,
+  grade,
+  method,
+  theme,
+  onRank,
+}: RankWidgetProps) => {
+  const { m } = useI18n();
+  const gpaErrorId = useId();
+
+  const activeTerm =
+    terms.find((entry) => entry.id === term) ?? terms[terms.length - 1];
+  const data = activeTerm?.datasets[dataset] ?? EMPTY_DATASET;
+
+  const segments = useMemo(
+    () =>
+      faculty
+        ? data.segments.filter((segment) => segment.faculty === faculty)
+        : data.segments,
+    [data, faculty]
+  );
+
+  const majors = useMemo(
+    () => Array.from(new Set(segments.map((segment) => segment.major))),
+    [segments]
+  );
+
+  const [selectedMajor, setSelectedMajor] = useState(() =>
+    major && majors.includes(major) ? major : majors[0] ?? ""
+  );
+
+  const grades = useMemo(() => {
+    const unique = Array.from(
+      new Set(
+        segments
+          .filter((segment) => segment.major === selectedMajor)
+          .map((segment) => segment.grade)
+          .filter((value) => value > 0)
+      )
+    );
+    unique.sort((a, b) => a - b);
+    return unique;
+  }, [segments, selectedMajor]);
+
+  const [selectedGrade, setSelectedGrade] = useState(() => grade ?? null);
+  const activeGrade =
+    selectedGrade !== null && grades.includes(selectedGrade)
+      ? selectedGrade
+      : grades[0] ?? null;
+
+  const segment =
+    activeGrade === null
+      ? null
+      : findSegment(segments, selectedMajor, activeGrade);
+
+  const [gpaInput, setGpaInput] = useState("");
+  const [result, setResult] = useState<RankWidgetResult | null>(null);
+
+  const gpaMin = data.bins[0]?.min ?? 0;
+  const gpaMax = data.bins[data.bins.length - 1]?.max ?? 5;
+  const gpa = Number.parseFloat(gpaInput);
+  const gpaError = !gpaInput.trim()
+    ? null
+    : Number.isNaN(gpa)
+    ? m.app.gpaNotNumber
+    : gpa < gpaMin || gpa > gpaMax
+    ? m.app.gpaOutOfRange(gpaMin, gpaMax)
+    : null;
+
+  const datasetLabel = activeTerm
+    ? m.widget.source(activeTerm.label, m.datasetKinds[dataset])
+    : "";
+
+  const handleSubmit = (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    if (!activeTerm || !segment || gpaError || Number.isNaN(gpa)) {
+      return;
+    }
+    const disclosure = discloseRank(
+      computeRankInfo(segment, data.bins, gpa, method),
+      segment.total,
+      segment.counts[findBinIndex(data.bins, gpa)] ?? 0,
+      privacy,
+      m
+    );
+    const next: RankWidgetResult = {
+      term: activeTerm.id,
+      dataset,
+      faculty: segment.faculty,
+      major: segment.major,
+      grade: segment.grade,
+      gpa,
+      total: segment.total,
+      disclosure,
+      text:
+        disclosure.kind === "withheld"
+          ? disclosure.message
+          : m.app.rankOf(
+              segment.total,
+              formatRankDisclosure(disclosure, m),
+              datasetLabel
+            ),
+    };
+    setResult(next);
+    onRank(next);
+  };
+
+  if (!activeTerm || majors.length === 0) {
+    return <p className="rank-widget__placeholder">{m.widget.noData}</p>;
+  }
+
+  // 学科・学年を変えたら、前の学科・学年の結果は表示しない
+  const shownResult =
+    result &&
+    segment &&
+    result.major === segment.major &&
+    result.grade === segment.grade
+      ? result
+      : null;
+
+  return (
+    <div className="rank-widget">
+      <form className="rank-widget__form" onSubmit={handleSubmit}>
+        <label>
+          <span>{m.app.major}</span>
+          <select
+            value={selectedMajor}
+            onChange={(event) => setSelectedMajor(event.target.value)}
+          >
+            {majors.map((value) => (
+              <option key={value} value={value}>
+                {m.name(value)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>{m.app.gradeLabel}</span>
+          <select
+            value={activeGrade ?? ""}
+            onChange={(event) =>
+              setSelectedGrade(Number.parseInt(event.target.value, 10))
+            }
+            disabled={grades.length === 0}
+          >
+            {grades.map((value) => (
+              <option key={value} value={value}>
+                {m.grade(value)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>{m.yourGpa}</span>
+          <input
+            type="number"
+            step="0.01"
+            min={gpaMin}
+            max={gpaMax}
+            value={gpaInput}
+            onChange={(event) => setGpaInput(event.target.value)}
+            placeholder={m.app.gpaPlaceholder}
+            aria-invalid={gpaError !== null}
+            aria-describedby={gpaError ? gpaErrorId : undefined}
+          />
+          {gpaError ? (
+            <span id={gpaErrorId} className="rank-widget__error">
+              {gpaError}
+            </span>
+          ) : null}
+        </label>
+        <button
+          type="submit"
+          className="rank-widget__submit"
+          disabled={!segment || !gpaInput.trim() || gpaError !== null}
+        >
+          {m.widget.submit}
+        </button>
+      </form>
+
+      <p className="rank-widget__result" role="status">
+        {shownResult?.text ?? ""}
+      </p>
+
+      {segment ? (
+        <figure className="rank-widget__histogram">
+          <figcaption>
+            {m.widget.caption(
+              m.segment(segment.major, segment.grade),
+              datasetLabel
+            )}
+          </figcaption>
+          <div className="rank-widget__chart">
+            {canDisclose(segment.total, privacy) ? (
+              <RankHistogram
+                label={m.segment(segment.major, segment.grade)}
+                bins={data.bins}
+                counts={segment.counts}
+                gpa={shownResult?.gpa ?? null}
+                privacy={privacy}
+                textColor={theme === "dark" ? "#cbd5e1" : undefined}
+              />
+            ) : (
+              <p className="rank-widget__placeholder">
+                {withheldMessage(privacy, m)}
+              </p>
+            )}
+          </div>
+        </figure>
+      ) : null}
+    </div>
+  );
+};
+
+export default RankWidget;
@@ -0,0 +1,222 @@
+import { useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import {
+  computeRankInfo,
+  findBinIndex,
+  weightedAverage,
+} from "../lib/distribution";
+import { REFERENCE_LEVELS, buildReferenceGroups } from "../lib/hierarchy";
+import type { ReferenceGroup, ReferenceLevel } from "../lib/hierarchy";
+import {
+  canDisclose,
+  discloseRank,
+  formatRankDisclosure,
+  withheldMessage,
+} from "../lib/privacy";
+import type { RankDisclosure } from "../lib/privacy";
+import type {
+  BinRange,
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+} from "../types";
+import ChartViewToggle from "./ChartViewToggle";
+import type { ChartView } from "./ChartViewToggle";
+import DistributionTable from "./DistributionTable";
+import RankHistogram from "./RankHistogram";
+
+export type RankColumn = {
+  key: string;
+  label: string;
+  dataset: DistributionDataset;
+};
+
+type ReferenceRankTableProps = {
+  columns: RankColumn[];
+  faculty: string;
+  major: string;
+  grade: number | null;
+  gpa: number | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+};
+
+type RankCell = {
+  group: ReferenceGroup;
+  bins: BinRange[];
+  average: number | null;
+  disclosure: RankDisclosure | null;
+};
+
+const ReferenceRankTable = ({
+  columns,
+  faculty,
+  major,
+  grade,
+  gpa,
+  method,
+  privacy,
+}: ReferenceRankTableProps) => {
+  const { m } = useI18n();
+  const [selected, setSelected] = useState<{
+    column: string;
+    level: ReferenceLevel;
+  } | null>(null);
+  const [view, setView] = useState<ChartView>("chart");
+
+  const cells = useMemo(() => {
+    const map = new Map<string, RankCell>();
+    columns.forEach(({ key, dataset }) => {
+      buildReferenceGroups(
+        dataset.segments,
+        dataset.bins.length,
+        { faculty, major, grade },
+        m
+      ).forEach((group) => {
+        map.set(`${key}:${group.level}`, {
+          group,
+          bins: dataset.bins,
+          average: canDisclose(group.total, privacy)
+            ? weightedAverage(group.counts, dataset.bins, method)
+            : null,
+          disclosure:
+            gpa === null
+              ? null
+              : discloseRank(
+                  computeRankInfo(group, dataset.bins, gpa, method),
+                  group.total,
+                  group.counts[findBinIndex(dataset.bins, gpa)] ?? 0,
+                  privacy,
+                  m
+                ),
+        });
+      });
+    });
+    return map;
+  }, [columns, faculty, gpa, grade, m, major, method, privacy]);
+
+  const levels = REFERENCE_LEVELS.filter((level) =>
+    columns.some(({ key }) => cells.has(`${key}:${level}`))
+  );
+
+  // 選んだセルが選択の変更で消えた場合は先頭のセルを表示する
+  const defaultKey = columns[0] ? `${columns[0].key}:${levels[0]}` : "";
+  const selectedKey = selected ? `${selected.column}:${selected.level}` : "";
+  const activeKey = cells.has(selectedKey) ? selectedKey : defaultKey;
+  const activeCell = cells.get(activeKey) ?? null;
+  const activeColumn =
+    activeKey === selectedKey
+      ? columns.find(({ key }) => key === selected?.column)
+      : columns[0];
+
+  const canShowHistogram =
+    activeCell !== null &&
+    activeCell.group.total > 0 &&
+    canDisclose(activeCell.group.total, privacy);
+
+  if (columns.length === 0 || levels.length === 0) {
+    return <p className="placeholder">{m.rankTable.placeholder}</p>;
+  }
+
+  return (
+    <div className="rank-table">
+      <div className="table-scroll">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th scope="col">{m.rankTable.group}</th>
+              {columns.map(({ key, label }) => (
+                <th key={key} scope="col">
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {levels.map((level) => (
+              <tr key={level}>
+                <th scope="row">{m.hierarchy.levels[level]}</th>
+                {columns.map(({ key }) => {
+                  const cellKey = `${key}:${level}`;
+                  const cell = cells.get(cellKey);
+                  if (!cell) {
+                    return <td key={key}>-</td>;
+                  }
+                  const isActive = cellKey === activeKey;
+                  return (
+                    <td key={key}>
+                      <button
+                        type="button"
+                        className={`rank-table__cell${
+                          isActive ? " is-active" : ""
+                        }`}
+                        aria-pressed={isActive}
+                        onClick={() => setSelected({ column: key, level })}
+                      >
+                        <span className="rank-table__group">
+                          {m.rankTable.cellGroup(
+                            cell.group.label,
+                            cell.group.total
+                          )}
+                        </span>
+                        <strong>
+                          {cell.disclosure
+                            ? formatRankDisclosure(cell.disclosure, m)
+                            : "-"}
+                        </strong>
+                        <span>{m.rankTable.average(cell.average)}</span>
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {activeCell ? (
+        <figure className="rank-table__histogram">
+          <div className="rank-table__histogram-header">
+            <figcaption>
+              {m.rankTable.histogramCaption(
+                activeColumn?.label ?? "",
+                activeCell.group.label
+              )}
+              {gpa !== null && view === "chart" ? m.rankTable.yourBin : ""}
+            </figcaption>
+            <ChartViewToggle value={view} onChange={setView} />
+          </div>
+          {canShowHistogram && view === "table" ? (
+            <DistributionTable
+              bins={activeCell.bins}
+              counts={activeCell.group.counts}
+              gpa={gpa}
+              privacy={privacy}
+            />
+          ) : (
+            <div className="chart-wrapper">
+              {canShowHistogram ? (
+                <RankHistogram
+                  label={activeCell.group.label}
+                  bins={activeCell.bins}
+                  counts={activeCell.group.counts}
+                  gpa={gpa}
+                  privacy={privacy}
+                />
+              ) : (
+                <p className="placeholder">
+                  {activeCell.group.total === 0
+                    ? m.rankTable.emptyGroup
+                    : withheldMessage(privacy, m)}
+                </p>
+              )}
+            </div>
+          )}
+        </figure>
+      ) : null}
+      {gpa === null ? <p className="hint">{m.rankTable.enterGpa}</p> : null}
+    </div>
+  );
+};
+
+export default ReferenceRankTable;
@@ -0,0 +1,202 @@
+import { useMemo, useState } from "react";
+import { useI18n } from "../i18n";
+import { computeGpaThreshold } from "../lib/distribution";
+import type { RankTarget } from "../lib/distribution";
+import { canDisclose, withheldMessage } from "../lib/privacy";
+import type {
+  BinRange,
+  EstimationMethod,
+  PrivacyPolicy,
+  SegmentDistribution,
+} from "../types";
+
+export type LookupScope = {
+  key: string;
+  label: string;
+  counts: number[];
+  total: number;
+};
+
+type ReverseLookupProps = {
+  scopes: LookupScope[];
+  segments: SegmentDistribution[];
+  bins: BinRange[];
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+  selectedSegment: SegmentDistribution | null;
+};
+
+const CUTOFF_PERCENTS = [5, 10, 25, 50];
+
+const ReverseLookup = ({
+  scopes,
+  segments,
+  bins,
+  method,
+  privacy,
+  selectedSegment,
+}: ReverseLookupProps) => {
+  const { m, formatCount, formatDecimal } = useI18n();
+  const [targetType, setTargetType] =
+    useState<RankTarget["type"]>("percentile");
+  const [targetInput, setTargetInput] = useState("10");
+  const [scopeKey, setScopeKey] = useState(() => scopes[0]?.key ?? "");
+
+  const scope = scopes.find((option) => option.key === scopeKey) ?? scopes[0];
+  const targetValue = Number.parseFloat(targetInput);
+
+  const threshold = useMemo(
+    () =>
+      scope && !Number.isNaN(targetValue)
+        ? computeGpaThreshold(
+            scope.counts,
+            bins,
+            { type: targetType, value: targetValue },
+            method
+          )
+        : null,
+    [bins, method, scope, targetType, targetValue]
+  );
+
+  const targetRank =
+    targetType === "rank"
+      ? targetValue
+      : scope
+      ? Math.max(1, Math.floor((targetValue / 100) * scope.total))
+      : null;
+
+  // 上位 k 名未満に当たるラインは、特定の学生の GPA に近くなるため表示しない
+  const cutoffRows = useMemo(
+    () =>
+      segments.map((segment) => ({
+        segment,
+        cutoffs: CUTOFF_PERCENTS.map((percent) =>
+          canDisclose(segment.total, privacy) &&
+          (percent / 100) * segment.total >= privacy.minBinCount
+            ? computeGpaThreshold(
+                segment.counts,
+                bins,
+                { type: "percentile", value: percent },
+                method
+              )
+            : null
+        ),
+      })),
+    [bins, method, privacy, segments]
+  );
+
+  const describeResult = () => {
+    if (!scope || scope.total === 0) {
+      return m.reverse.selectScope;
+    }
+    if (Number.isNaN(targetValue) || targetValue <= 0) {
+      return m.reverse.enterTarget;
+    }
+    if (targetType === "percentile" && targetValue > 100) {
+      return m.reverse.percentTooLarge;
+    }
+    if (!canDisclose(scope.total, privacy)) {
+      return withheldMessage(privacy, m);
+    }
+    const targetCount =
+      targetType === "rank" ? targetValue : (targetValue / 100) * scope.total;
+    if (targetCount < privacy.minBinCount) {
+      return m.reverse.belowMinBin(privacy.minBinCount);
+    }
+    if (threshold === null) {
+      return m.reverse.aboveTop(scope.total);
+    }
+    const targetLabel =
+      targetType === "rank"
+        ? m.reverse.withinRank(targetValue)
+        : m.reverse.withinPercent(targetValue, targetRank ?? 1);
+    return m.reverse.result(scope.label, scope.total, targetLabel, threshold);
+  };
+
+  return (
+    <div className="reverse-lookup">
+      <div className="form-grid">
+        <label>
+          <span>{m.reverse.scope}</span>
+          <select
+            value={scope?.key ?? ""}
+            onChange={(event) => setScopeKey(event.target.value)}
+          >
+            {scopes.map((option) => (
+              <option key={option.key} value={option.key}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>{m.reverse.targetType}</span>
+          <select
+            value={targetType}
+            onChange={(event) =>
+              setTargetType(event.target.value as RankTarget["type"])
+            }
+          >
+            <option value="percentile">{m.reverse.percentOption}</option>
+            <option value="rank">{m.reverse.rankOption}</option>
+          </select>
+        </label>
+        <label>
+          <span>
+            {targetType === "rank"
+              ? m.reverse.rankInput
+              : m.reverse.percentInput}
+          </span>
+          <input
+            type="number"
+            min={targetType === "rank" ? 1 : 0.1}
+            max={targetType === "rank" ? scope?.total : 100}
+            step={targetType === "rank" ? 1 : 0.1}
+            value={targetInput}
+            onChange={(event) => setTargetInput(event.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="result-callout">
+        <div>
+          <h3>{m.reverse.resultTitle}</h3>
+          <p>{describeResult()}</p>
+        </div>
+      </div>
+
+      <h3 className="panel-subheading">{m.reverse.cutoffTitle}</h3>
+      <div className="table-scroll">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th scope="col">{m.reverse.segmentColumn}</th>
+              <th scope="col">{m.students}</th>
+              {CUTOFF_PERCENTS.map((percent) => (
+                <th key={percent} scope="col">
+                  {m.topPercent(percent)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {cutoffRows.map(({ segment, cutoffs }) => (
+              <tr
+                key={segment.label}
+                className={segment === selectedSegment ? "is-selected" : ""}
+              >
+                <th scope="row">{m.segment(segment.major, segment.grade)}</th>
+                <td>{formatCount(segment.total)}</td>
+                {cutoffs.map((cutoff, index) => (
+                  <td key={CUTOFF_PERCENTS[index]}>{formatDecimal(cutoff)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ReverseLookup;
@@ -0,0 +1,293 @@
+import { useMemo, useState } from "react";
+import type { ChartData, ChartOptions, TooltipItem } from "chart.js";
+import { Bar } from "react-chartjs-2";
+import { createFormatters, useI18n } from "../i18n";
+import type { Messages } from "../i18n";
+import { toShares } from "../lib/comparison";
+import {
+  computeRankInfo,
+  findBinIndex,
+  findSegment,
+} from "../lib/distribution";
+import {
+  canDisclose,
+  discloseRank,
+  formatRankDisclosure,
+  mergeSmallBinsAcross,
+} from "../lib/privacy";
+import type { RankDisclosure } from "../lib/privacy";
+import { haveSameBins, rebinDataset } from "../lib/rebin";
+import { DATASET_KINDS } from "../lib/terms";
+import type {
+  DatasetKind,
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+} from "../types";
+import ChartViewToggle from "./ChartViewToggle";
+import type { ChartView } from "./ChartViewToggle";
+import DistributionTable from "./DistributionTable";
+
+type TermCumulativeComparisonProps = {
+  datasets: Record<DatasetKind, DistributionDataset> | null;
+  faculty: string;
+  major: string;
+  grade: number | null;
+  gpa: number | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+};
+
+const KIND_COLORS: Record<DatasetKind, string> = {
+  current: "rgba(99, 102, 241, 1)",
+  cumulative: "rgba(236, 72, 153, 1)",
+};
+
+const buildOptions = (yTitle: string, m: Messages): ChartOptions<"bar"> => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  locale: m.locale,
+  scales: {
+    x: { title: { display: true, text: m.binRange } },
+    y: { title: { display: true, text: yTitle } },
+  },
+  plugins: {
+    legend: { display: true, position: "bottom" as const },
+    tooltip: {
+      callbacks: {
+        label: (context: TooltipItem<"bar">) =>
+          `${context.dataset.label ?? ""}: ${createFormatters(m).formatDecimal(
+            context.parsed.y,
+            1
+          )}%`,
+      },
+    },
+  },
+});
+
+const TermCumulativeComparison = ({
+  datasets,
+  faculty,
+  major,
+  grade,
+  gpa,
+  method,
+  privacy,
+}: TermCumulativeComparisonProps) => {
+  const { m } = useI18n();
+  const [view, setView] = useState<ChartView>("chart");
+  // ビンの区切りが異なる場合は、今学期データの区切りに按分してから順位も割合も求める
+  const sameBins =
+    !datasets || haveSameBins(datasets.current.bins, datasets.cumulative.bins);
+  const entries = useMemo(
+    () =>
+      DATASET_KINDS.map((kind) => {
+        const dataset =
+          datasets && rebinDataset(datasets[kind], datasets.current.bins);
+        const segment =
+          dataset && grade !== null
+            ? findSegment(dataset.segments, major, grade, faculty)
+            : null;
+        const disclosure: RankDisclosure | null =
+          dataset && segment && gpa !== null
+            ? discloseRank(
+                computeRankInfo(segment, dataset.bins, gpa, method),
+                segment.total,
+                segment.counts[findBinIndex(dataset.bins, gpa)] ?? 0,
+                privacy,
+                m
+              )
+            : null;
+        return { kind, bins: dataset?.bins ?? [], segment, disclosure };
+      }),
+    [datasets, faculty, gpa, grade, m, major, method, privacy]
+  );
+
+  const [current, cumulative] = entries;
+  const missing = entries.filter((entry) => !entry.segment);
+  const withheld = entries.filter(
+    (entry) => entry.segment && !canDisclose(entry.segment.total, privacy)
+  );
+  const canCompare = missing.length === 0 && withheld.length === 0;
+
+  // 今学期・累計のどちらにも 1〜k-1 名のビンが残らないよう、共通の区切りでまとめる
+  const merged = useMemo(
+    () =>
+      mergeSmallBinsAcross(
+        entries.map((entry) => entry.segment?.counts ?? []),
+        current.bins,
+        privacy.minBinCount
+      ),
+    [current.bins, entries, privacy.minBinCount]
+  );
+  const alignedShares = useMemo(
+    () => merged.counts.map((counts) => toShares(counts)),
+    [merged]
+  );
+
+  const overlayData = useMemo<ChartData<"bar", number[], string> | null>(
+    () =>
+      canCompare
+        ? {
+            labels: merged.bins.map((bin) => bin.label),
+            datasets: entries.map((entry, index) => ({
+              label: m.datasetKinds[entry.kind],
+              data: alignedShares[index],
+              backgroundColor: KIND_COLORS[entry.kind].replace(
+                ", 1)",
+                ", 0.55)"
+              ),
+              borderColor: KIND_COLORS[entry.kind],
+              borderWidth: 1,
+              borderRadius: 4,
+            })),
+          }
+        : null,
+    [alignedShares, canCompare, entries, m, merged.bins]
+  );
+
+  const differenceData = useMemo<ChartData<
+    "bar",
+    number[],
+    string
+  > | null>(() => {
+    if (!canCompare) {
+      return null;
+    }
+    const [currentShares, cumulativeShares] = alignedShares;
+    const differences = currentShares.map(
+      (share, index) => share - (cumulativeShares[index] ?? 0)
+    );
+    return {
+      labels: merged.bins.map((bin) => bin.label),
+      datasets: [
+        {
+          label: m.termComparison.difference,
+          data: differences,
+          backgroundColor: differences.map((value) =>
+            value >= 0 ? "rgba(16, 185, 129, 0.7)" : "rgba(239, 68, 68, 0.7)"
+          ),
+          borderRadius: 4,
+        },
+      ],
+    };
+  }, [alignedShares, canCompare, m, merged.bins]);
+
+  const describeGap = () => {
+    if (!current.disclosure || !cumulative.disclosure) {
+      return null;
+    }
+    // 幅で表示している順位からは、正確な差を出さない
+    if (
+      current.disclosure.kind !== "exact" ||
+      cumulative.disclosure.kind !== "exact"
+    ) {
+      return m.termComparison.bandGap;
+    }
+    const gap =
+      cumulative.disclosure.percentile - current.disclosure.percentile;
+    if (Math.abs(gap) < 0.05) {
+      return m.termComparison.sameGap;
+    }
+    return m.termComparison.gap(gap);
+  };
+
+  if (grade === null || !major) {
+    return <p className="placeholder">{m.termComparison.placeholder}</p>;
+  }
+
+  const gapText = describeGap();
+  const segmentName = m.segment(major, grade);
+
+  return (
+    <div className="term-comparison">
+      {missing.length > 0 ? (
+        <p className="warning">
+          {m.termComparison.missing(
+            segmentName,
+            missing.map((entry) => m.datasetKinds[entry.kind])
+          )}
+        </p>
+      ) : null}
+      {withheld.length > 0 ? (
+        <p className="warning">
+          {m.termComparison.withheld(
+            withheld.map((entry) => m.datasetKinds[entry.kind]),
+            segmentName,
+            privacy.minGroupSize
+          )}
+        </p>
+      ) : null}
+      {canCompare && !sameBins ? (
+        <p className="hint">{m.termComparison.rebinned}</p>
+      ) : null}
+
+      <div className="stats-grid">
+        {entries.map((entry) => (
+          <article key={entry.kind} className="stat-card">
+            <p className="stat-label">{m.datasetKinds[entry.kind]}</p>
+            <p className="stat-value">
+              {entry.disclosure?.kind === "exact"
+                ? m.termComparison.rank(entry.disclosure.rank)
+                : entry.disclosure?.kind === "band"
+                ? formatRankDisclosure(entry.disclosure, m)
+                : "-"}
+            </p>
+            <p className="stat-detail">
+              {entry.segment
+                ? !entry.disclosure
+                  ? m.termComparison.enterGpa(entry.segment.total)
+                  : entry.disclosure.kind === "exact"
+                  ? m.termComparison.exactDetail(
+                      entry.segment.total,
+                      entry.disclosure.percentile
+                    )
+                  : entry.disclosure.kind === "band"
+                  ? m.termComparison.bandDetail(entry.segment.total)
+                  : entry.disclosure.message
+                : m.termComparison.noData}
+            </p>
+          </article>
+        ))}
+        <article className="stat-card">
+          <p className="stat-label">{m.termComparison.gapLabel}</p>
+          <p className="stat-detail">
+            {gapText ?? m.termComparison.gapPlaceholder}
+          </p>
+        </article>
+      </div>
+
+      {overlayData && differenceData ? (
+        <ChartViewToggle value={view} onChange={setView} />
+      ) : null}
+      {overlayData && differenceData && view === "table" ? (
+        <div className="distribution-grid distribution-grid--even">
+          {entries.map((entry, index) => (
+            <DistributionTable
+              key={entry.kind}
+              caption={m.datasetKinds[entry.kind]}
+              bins={merged.bins}
+              counts={merged.counts[index] ?? []}
+              gpa={gpa}
+              privacy={privacy}
+            />
+          ))}
+        </div>
+      ) : overlayData && differenceData ? (
+        <div className="distribution-grid">
+          <div className="chart-wrapper">
+            <Bar data={overlayData} options={buildOptions(m.share, m)} />
+          </div>
+          <div className="chart-wrapper">
+            <Bar
+              data={differenceData}
+              options={buildOptions(m.termComparison.differenceAxis, m)}
+            />
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default TermCumulativeComparison;
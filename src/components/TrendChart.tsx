@@ -0,0 +1,250 @@
+import { useMemo, useState } from "react";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import type { ChartData, ChartOptions, TooltipItem } from "chart.js";
+import { Line } from "react-chartjs-2";
+import { createFormatters, useI18n } from "../i18n";
+import { withheldMessage } from "../lib/privacy";
+import { DATASET_KINDS, buildSegmentTrend } from "../lib/terms";
+import type {
+  DatasetKind,
+  EstimationMethod,
+  PrivacyPolicy,
+  TermDatasets,
+} from "../types";
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+  Legend
+);
+
+const TOP_PERCENT_OPTIONS = [10, 25, 75, 90];
+
+const SERIES_COLORS = {
+  average: "rgba(99, 102, 241, 1)",
+  median: "rgba(236, 72, 153, 1)",
+  percentiles: [
+    "rgba(16, 185, 129, 1)",
+    "rgba(245, 158, 11, 1)",
+    "rgba(59, 130, 246, 1)",
+    "rgba(100, 116, 139, 1)",
+  ],
+};
+
+type TrendChartProps = {
+  terms: TermDatasets[];
+  faculty: string;
+  major: string;
+  grade: number | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+};
+
+const TrendChart = ({
+  terms,
+  faculty,
+  major,
+  grade,
+  method,
+  privacy,
+}: TrendChartProps) => {
+  const { m } = useI18n();
+  const [kind, setKind] = useState<DatasetKind>("current");
+  const [topPercents, setTopPercents] = useState<number[]>([10, 25]);
+
+  const trend = useMemo(
+    () =>
+      grade === null
+        ? []
+        : buildSegmentTrend(
+            terms,
+            kind,
+            major,
+            grade,
+            topPercents,
+            privacy,
+            method,
+            faculty
+          ),
+    [faculty, grade, kind, major, method, privacy, terms, topPercents]
+  );
+
+  const chartData = useMemo<ChartData<
+    "line",
+    (number | null)[],
+    string
+  > | null>(() => {
+    if (trend.every((point) => point.total === 0 || point.withheld)) {
+      return null;
+    }
+
+    const series = (
+      label: string,
+      color: string,
+      data: (number | null)[],
+      dashed = false
+    ) => ({
+      label,
+      data,
+      borderColor: color,
+      backgroundColor: color,
+      borderDash: dashed ? [6, 4] : [],
+      tension: 0.2,
+      pointRadius: 4,
+    });
+
+    return {
+      labels: trend.map((point) => point.termLabel),
+      datasets: [
+        series(
+          m.trend.average,
+          SERIES_COLORS.average,
+          trend.map((point) => point.average)
+        ),
+        series(
+          m.trend.median,
+          SERIES_COLORS.median,
+          trend.map((point) => point.median)
+        ),
+        ...topPercents.map((percent, index) =>
+          series(
+            m.trend.topLine(percent),
+            SERIES_COLORS.percentiles[index % SERIES_COLORS.percentiles.length],
+            trend.map((point) => point.percentiles[percent] ?? null),
+            true
+          )
+        ),
+      ],
+    };
+  }, [m, topPercents, trend]);
+
+  const chartOptions = useMemo<ChartOptions<"line">>(() => {
+    const { formatDecimal } = createFormatters(m);
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      locale: m.locale,
+      spanGaps: false,
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: m.term,
+          },
+        },
+        y: {
+          suggestedMin: 0,
+          suggestedMax: 5,
+          title: {
+            display: true,
+            text: "GPA",
+          },
+        },
+      },
+      plugins: {
+        legend: {
+          display: true,
+          position: "bottom" as const,
+        },
+        tooltip: {
+          callbacks: {
+            label: (context: TooltipItem<"line">) =>
+              `${context.dataset.label ?? ""}: ${formatDecimal(
+                context.parsed.y
+              )}`,
+          },
+        },
+      },
+    };
+  }, [m]);
+
+  const toggleTopPercent = (percent: number) =>
+    setTopPercents((previous) =>
+      previous.includes(percent)
+        ? previous.filter((value) => value !== percent)
+        : [...previous, percent].sort((a, b) => a - b)
+    );
+
+  const missingTerms = trend.filter((point) => point.total === 0);
+  const withheldTerms = trend.filter((point) => point.withheld);
+
+  return (
+    <div className="trend">
+      <div className="trend__controls">
+        <div
+          className="dataset-toggle"
+          role="group"
+          aria-label={m.trend.kindGroup}
+        >
+          {DATASET_KINDS.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className={`dataset-toggle__button${
+                option === kind ? " is-active" : ""
+              }`}
+              onClick={() => setKind(option)}
+            >
+              <span className="dataset-toggle__label">
+                {m.datasetKinds[option]}
+              </span>
+            </button>
+          ))}
+        </div>
+        <fieldset className="trend__percentiles">
+          <legend>{m.trend.percentiles}</legend>
+          {TOP_PERCENT_OPTIONS.map((percent) => (
+            <label key={percent}>
+              <input
+                type="checkbox"
+                checked={topPercents.includes(percent)}
+                onChange={() => toggleTopPercent(percent)}
+              />
+              {m.topPercent(percent)}
+            </label>
+          ))}
+        </fieldset>
+      </div>
+      <div className="chart-wrapper">
+        {chartData ? (
+          <Line data={chartData} options={chartOptions} />
+        ) : (
+          <p className="placeholder">
+            {withheldTerms.length > 0
+              ? withheldMessage(privacy, m)
+              : m.trend.placeholder}
+          </p>
+        )}
+      </div>
+      {chartData && missingTerms.length > 0 ? (
+        <p className="hint">
+          {m.trend.missingTerms(missingTerms.map((point) => point.termLabel))}
+        </p>
+      ) : null}
+      {chartData && withheldTerms.length > 0 ? (
+        <p className="hint">
+          {m.trend.withheldTerms(
+            withheldTerms.map((point) => point.termLabel),
+            privacy.minGroupSize
+          )}
+        </p>
+      ) : null}
+      {chartData && terms.length === 1 ? (
+        <p className="hint">{m.trend.singleTerm}</p>
+      ) : null}
+    </div>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react";
+import { useI18n } from "../i18n";
+import { registerServiceWorker } from "../lib/serviceWorker";
+
+/** 新しいバージョンの通知と、オフライン状態の表示 */
+const UpdateNotice = () => {
+  const { m } = useI18n();
+  const [applyUpdate, setApplyUpdate] = useState<(() => void) | null>(null);
+  const [offlineReady, setOfflineReady] = useState(false);
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    registerServiceWorker({
+      onUpdateReady: (apply) => setApplyUpdate(() => apply),
+      onOfflineReady: () => setOfflineReady(true),
+    });
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  if (!applyUpdate && !offlineReady && online) {
+    return null;
+  }
+
+  return (
+    <div className="update-notice print-hidden" role="status">
+      {applyUpdate ? (
+        <p>
+          {m.update.available}
+          <button
+            type="button"
+            className="update-notice__button"
+            onClick={applyUpdate}
+          >
+            {m.update.apply}
+          </button>
+        </p>
+      ) : null}
+      {offlineReady && !applyUpdate ? (
+        <p>
+          {m.update.offlineReady}
+          <button
+            type="button"
+            className="update-notice__button"
+            onClick={() => setOfflineReady(false)}
+          >
+            {m.update.close}
+          </button>
+        </p>
+      ) : null}
+      {!online ? <p>{m.update.offline}</p> : null}
+    </div>
+  );
+};
+
+export default UpdateNotice;
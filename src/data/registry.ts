@@ -0,0 +1,39 @@
+import { fetchTermRegistry } from "../lib/api";
+import { resolvePrivacyPolicy } from "../lib/privacy";
+import { buildTermRegistry } from "../lib/terms";
+import type { TermManifest } from "../types";
+import manifest from "./manifest.json";
+
+// API を使う場合は読み込まれないよう、CSV は必要になってから取り込む
+const csvLoaders = import.meta.glob<string>("./**/*.csv", {
+  query: "?raw",
+  import: "default",
+});
+
+const loadBundledRegistry = async () => {
+  const csvFiles = Object.fromEntries(
+    await Promise.all(
+      Object.entries(csvLoaders).map(
+        async ([fileName, load]) => [fileName, await load()] as const
+      )
+    )
+  );
+  return {
+    terms: buildTermRegistry(manifest, (fileName) => csvFiles[`./${fileName}`]),
+    privacy: resolvePrivacyPolicy((manifest as TermManifest).privacy),
+  };
+};
+
+/**
+ * `VITE_API_URL` を指定してビルド・起動した場合は API サーバー（`npm run api`）から、
+ * それ以外は同梱の CSV からデータを読み込みます。
+ */
+const registry = import.meta.env.VITE_API_URL
+  ? await fetchTermRegistry(import.meta.env.VITE_API_URL)
+  : await loadBundledRegistry();
+
+/** `manifest.json` に登録された全学期のデータセット（古い順） */
+export const termRegistry = registry.terms;
+
+/** マニフェストの `privacy` に既定値を補った表示の規則 */
+export const privacyPolicy = registry.privacy;
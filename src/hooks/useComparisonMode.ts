@@ -0,0 +1,167 @@
+import { useMemo, useState } from "react";
+import type { ChartData } from "chart.js";
+import type { Messages } from "../i18n";
+import {
+  buildComparisonTargets,
+  comparePairwise,
+  facultyGradeTargetKey,
+  segmentTargetKey,
+  toShares,
+} from "../lib/comparison";
+import { canDisclose, mergeSmallBinsAcross } from "../lib/privacy";
+import { rebinCounts } from "../lib/rebin";
+import type {
+  BinRange,
+  EstimationMethod,
+  PrivacyPolicy,
+  SegmentDistribution,
+} from "../types";
+import type { CumulativeSeries } from "../components/CumulativeChart";
+
+/** 重ね合わせ比較で集団ごとに使う色。比較しないときは先頭の色を使います */
+export const COMPARISON_COLORS = [
+  "rgba(99, 102, 241, 1)",
+  "rgba(236, 72, 153, 1)",
+  "rgba(16, 185, 129, 1)",
+  "rgba(245, 158, 11, 1)",
+  "rgba(59, 130, 246, 1)",
+  "rgba(100, 116, 139, 1)",
+];
+
+type ComparisonModeOptions = {
+  segments: SegmentDistribution[];
+  bins: BinRange[];
+  /** 選んだ区切り方に按分し直したビン。グラフと比較表はこの区切りで表示します */
+  displayBins: BinRange[];
+  /** 比較の基準にする集団（選択中の学科×学年、なければ学部×学年） */
+  selectedSegment: SegmentDistribution | null;
+  faculty: string;
+  grade: number | null;
+  method: EstimationMethod;
+  privacy: PrivacyPolicy;
+  m: Messages;
+};
+
+/**
+ * 「4. 分布を確認」の重ね合わせ比較の状態と、比較中のグラフ・比較表のデータをまとめます。
+ * 比較する集団が 2 つ以上そろったときだけ `isComparing` になります。
+ */
+export const useComparisonMode = ({
+  segments,
+  bins,
+  displayBins,
+  selectedSegment,
+  faculty,
+  grade,
+  method,
+  privacy,
+  m,
+}: ComparisonModeOptions) => {
+  const comparisonTargets = useMemo(
+    () => buildComparisonTargets(segments, bins.length, m),
+    [bins.length, m, segments]
+  );
+
+  const [comparisonKeys, setComparisonKeys] = useState<string[]>([]);
+
+  const baseTargetKey = selectedSegment
+    ? segmentTargetKey(selectedSegment)
+    : grade !== null
+    ? facultyGradeTargetKey(faculty, grade)
+    : null;
+
+  const comparedTargets = useMemo(() => {
+    if (comparisonKeys.length === 0) {
+      return [];
+    }
+    return [baseTargetKey, ...comparisonKeys].flatMap((key) => {
+      const target = comparisonTargets.find((option) => option.key === key);
+      return target && canDisclose(target.total, privacy) ? [target] : [];
+    });
+  }, [baseTargetKey, comparisonKeys, comparisonTargets, privacy]);
+
+  const isComparing = comparedTargets.length > 1;
+
+  const displayTargets = useMemo(
+    () =>
+      comparedTargets.map((target) => ({
+        ...target,
+        counts: rebinCounts(target.counts, bins, displayBins),
+      })),
+    [bins, comparedTargets, displayBins]
+  );
+
+  // 重ねる集団のどれにも 1〜k-1 名のビンが残らないよう、共通の区切りでまとめる。
+  // グラフと比較表は同じ区切りで示す
+  const merged = useMemo(
+    () =>
+      mergeSmallBinsAcross(
+        displayTargets.map((target) => target.counts),
+        displayBins,
+        privacy.minBinCount
+      ),
+    [displayBins, displayTargets, privacy.minBinCount]
+  );
+
+  const pairwiseComparisons = useMemo(
+    () =>
+      isComparing
+        ? comparePairwise(
+            displayTargets.map((target, index) => ({
+              ...target,
+              counts: merged.counts[index] ?? [],
+            })),
+            merged.bins,
+            method
+          )
+        : [],
+    [displayTargets, isComparing, merged, method]
+  );
+
+  const chartData = useMemo<ChartData<"bar", number[], string> | null>(() => {
+    if (!isComparing) {
+      return null;
+    }
+    return {
+      labels: merged.bins.map((bin) => bin.label),
+      datasets: displayTargets.map((target, index) => {
+        const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+        return {
+          label: target.label,
+          data: toShares(merged.counts[index] ?? []),
+          backgroundColor: color.replace(", 1)", ", 0.55)"),
+          hoverBackgroundColor: color.replace(", 1)", ", 0.75)"),
+          borderColor: color,
+          borderWidth: 1,
+          borderRadius: 4,
+        };
+      }),
+    };
+  }, [displayTargets, isComparing, merged]);
+
+  const cumulativeSeries = useMemo<CumulativeSeries[]>(
+    () =>
+      displayTargets.map((target, index) => ({
+        key: target.key,
+        label: target.label,
+        counts: target.counts,
+        color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+      })),
+    [displayTargets]
+  );
+
+  return {
+    comparisonTargets,
+    comparisonKeys,
+    setComparisonKeys,
+    baseTargetKey,
+    isComparing,
+    pairwiseComparisons,
+    /** 比較表の `maxGapBinIndex` が指す、少人数のビンをまとめた区切り */
+    comparisonBins: merged.bins,
+    /** 比較中の重ね合わせグラフのデータ。比較していなければ null */
+    chartData,
+    /** 比較中の累積分布の系列。比較していなければ空 */
+    cumulativeSeries: isComparing ? cumulativeSeries : [],
+  };
+};
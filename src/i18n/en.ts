@@ -0,0 +1,643 @@
+import names from "../data/names.json";
+import { formatCount, formatDecimal } from "../lib/format";
+import type { Messages } from "./ja";
+
+const LOCALE = "en-US";
+
+const count = (value: number) => formatCount(value, LOCALE);
+const decimal = (value: number | null, fraction = 2) =>
+  formatDecimal(value, fraction, LOCALE);
+
+// 対応表にない学部・学科名は、データにある名前のまま表示する
+const name = (value: string) =>
+  (names as Record<string, string | undefined>)[value] ?? value;
+
+const list = (items: string[]) =>
+  items.length <= 1
+    ? items.join("")
+    : `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+
+const plural = (value: number, singular: string, pluralForm = `${singular}s`) =>
+  `${count(value)} ${value === 1 ? singular : pluralForm}`;
+
+const ORDINAL_SUFFIXES: Record<string, string> = {
+  one: "st",
+  two: "nd",
+  few: "rd",
+  other: "th",
+};
+
+const ordinalRules = new Intl.PluralRules(LOCALE, { type: "ordinal" });
+
+const ordinal = (value: number) =>
+  `${count(value)}${ORDINAL_SUFFIXES[ordinalRules.select(value)] ?? "th"}`;
+
+export const en: Messages = {
+  locale: LOCALE,
+  name,
+  grade: (grade: number) => `Year ${grade}`,
+  segment: (major: string, grade: number) => `${name(major)}, Year ${grade}`,
+  people: (total: number) => plural(total, "student"),
+  yourGpa: "Your GPA",
+  binRange: "GPA range",
+  students: "Students",
+  share: "Share (%)",
+  term: "Term",
+  actions: "Actions",
+  topPercent: (percent: number) => `Top ${percent}%`,
+
+  datasetKinds: {
+    current: "This term",
+    cumulative: "Cumulative",
+  },
+
+  estimation: {
+    labels: {
+      uniform: "Uniform",
+      linear: "Piecewise-linear density",
+      spline: "Monotone spline",
+    },
+    notes: {
+      uniform:
+        "Approximated by assuming students are spread evenly within each bin.",
+      linear:
+        "Approximated by interpolating the density linearly between neighbouring bins, which accounts for skew within a bin.",
+      spline:
+        "Approximated by fitting a monotone cubic spline to the cumulative counts, which smooths the distribution within each bin.",
+    },
+  },
+
+  privacy: {
+    withheld: (minGroupSize: number) =>
+      `Not shown for groups of fewer than ${plural(minGroupSize, "student")}`,
+    cannotEstimate: "The rank cannot be estimated",
+    exact: (rank: number, percentile: number) =>
+      `Est. ${ordinal(rank)} (top ${decimal(percentile, 1)}%)`,
+    band: (from: number, to: number) => `Top ${from}–${to}%`,
+  },
+
+  hierarchy: {
+    levels: {
+      "department-grade": "Department × year",
+      "faculty-grade": "College × year",
+      department: "Whole department",
+      faculty: "Whole college",
+      university: "University",
+    },
+    noFaculty: "Unknown college",
+    facultyGrade: (faculty: string, grade: number) =>
+      `${faculty}, Year ${grade}`,
+    facultyGradeWhole: (faculty: string, grade: number) =>
+      `${faculty}, Year ${grade} (all)`,
+    allGrades: (group: string) => `${group}, all years`,
+    university: "University, all years",
+  },
+
+  quality: {
+    kinds: {
+      "zero-total": "Empty segments",
+      "bin-spike": "Spiking bins",
+      "total-mismatch": "Term / cumulative count mismatches",
+      "missing-grade": "Missing years",
+    },
+    zeroTotal: (segment: string) => `${segment} has no students`,
+    binSpike: (segment: string, bin: string, total: number, share: number) =>
+      `${plural(
+        total,
+        "student"
+      )} (${share}%) of ${segment} are concentrated in ${bin}`,
+    missingGrade: (group: string, grades: number[]) =>
+      `${group} has no data for ${list(
+        grades.map((grade) => `Year ${grade}`)
+      )}`,
+    totalMismatch: (
+      segment: string,
+      current: string,
+      currentTotal: number,
+      cumulative: string,
+      cumulativeTotal: number
+    ) =>
+      `${segment} has ${count(currentTotal)} in ${current} but ${count(
+        cumulativeTotal
+      )} in ${cumulative}`,
+    bothKinds: (current: string, cumulative: string) =>
+      `${current} vs ${cumulative}`,
+    excludeZero: (bin: string) =>
+      `Exclude students in the ${bin} bin from ranks and averages`,
+    excludeZeroHint:
+      " (in years with many students at GPA 0, e.g. on leave or without graded courses, ranks otherwise look better than they are)",
+    summary: (total: number, breakdown: string) =>
+      `${plural(total, "data note")} (${breakdown})`,
+    none: "No data issues were found.",
+  },
+
+  app: {
+    loadFailed: (reason: string) => `Could not load the data: ${reason}`,
+    eyebrow: "For Ritsumeikan students",
+    title: "Minna no GPA+R",
+    lead: "Visualises the GPA distribution of each department and year from data provided by the university*¹, and instantly estimates where you stand.",
+    language: "Language",
+    dataSource: "Data source",
+    noDataset: "No data selected",
+    datasetSummary: (segments: number, students: number) =>
+      `${plural(segments, "segment")} / ${plural(students, "student")}`,
+
+    overviewTitle: "1. Dataset overview",
+    overviewDescription:
+      "Switch between the university's data for this term*² and the cumulative data. You can also load your own CSV files and compare them.",
+    datasetGroup: "Dataset",
+    segmentMetric: "Segments",
+    segmentCount: (segments: number) => count(segments),
+    studentMetric: "Total students",
+    gpaRangeMetric: "GPA range",
+
+    inputTitle: "2. Enter your details",
+    faculty: "College",
+    major: "Department",
+    gradeLabel: "Year",
+    gpaPlaceholder: "e.g. 3.85",
+    method: "Estimation method",
+    gpaRangeHint: (min: number, max: number) =>
+      `* GPAs are approximated within the range ${decimal(min)}–${decimal(
+        max
+      )}.`,
+    gpaNotNumber: "Enter your GPA as a number.",
+    gpaOutOfRange: (min: number, max: number) =>
+      `Enter a GPA between ${decimal(min)} and ${decimal(max)}.`,
+    copyLink: "Copy a link to this view",
+    linkCopied: "Copied a link to this view.",
+    linkFailed: "Could not copy. Please share the URL in the address bar.",
+    calculatorSummary: "Calculate your GPA from letter grades (A+ to F)",
+
+    resultTitle: "3. Results",
+    zeroSpike: (segment: string, bin: string) =>
+      `${segment} includes many students with a GPA of ${bin}, so your rank may look better than it is. You can exclude them in “1. Dataset overview”.`,
+    targetCount: "Students",
+    selectSegment: "Select a department and year",
+    selectGrade: "Select a year",
+    withDataset: (group: string, dataset: string) => `${group} (${dataset})`,
+    facultyGradeAverage: "Average GPA (college × year)",
+    facultyGradeDetail: (group: string, total: number) =>
+      `${group} (${plural(total, "student")})`,
+    segmentAverage: "Average GPA (department × year)",
+    weightedAverageOf: (group: string) => `Weighted average of ${group}`,
+    rankTableTitle: "Estimated rank by group",
+    rankTableDescription:
+      "Shows where the same GPA ranks in each group, for this term and the cumulative data. Select a cell to see that group's distribution.",
+    summaryTitle: "Summary statistics",
+    summaryOf: (group: string) => `Summary statistics (${group})`,
+    median: "Median",
+    medianDetail: (mean: number, difference: number) =>
+      `${decimal(difference)} from the mean of ${decimal(mean)}`,
+    iqr: "Interquartile range",
+    iqrDetail: (width: number) =>
+      `The middle 50% fall in this range (width ${decimal(width)})`,
+    standardDeviation: "Standard deviation",
+    standardDeviationDetail: "Approximated from the estimated distribution",
+    skewness: "Skewness",
+    skewLeft: "Long tail towards low GPAs",
+    skewRight: "Long tail towards high GPAs",
+    skewSymmetric: "Roughly symmetric",
+    decile: (percent: number) => `Bottom ${percent}%`,
+    summaryPlaceholder:
+      "Select a department and year to see summary statistics.",
+    yourRank: "Your estimated rank",
+    rankOf: (total: number, rank: string, dataset: string) =>
+      `${rank} of ${plural(total, "student")} (${dataset})`,
+    rankTarget: "selected data",
+    rankPlaceholder:
+      "Enter your department, year and GPA to estimate your rank",
+    rankAnnouncement: (segment: string, gpa: number, rank: string) =>
+      `${segment}, GPA ${decimal(gpa)}: ${rank}`,
+    bandNote:
+      "The rank is shown as a range because the group, or the number of students near your GPA, is small.",
+    rankSpread: (
+      bestRank: number,
+      worstRank: number,
+      bestPercentile: number,
+      worstPercentile: number
+    ) =>
+      `Depending on your position within the bin, your rank could be ${count(
+        bestRank
+      )}–${count(worstRank)} (top ${decimal(bestPercentile, 1)}–${decimal(
+        worstPercentile,
+        1
+      )}%)`,
+    resultFileName: "result",
+
+    distributionTitle: "4. Distribution",
+    chartTypeGroup: "Chart type",
+    chartTypes: {
+      histogram: "Histogram",
+      ogive: "Cumulative",
+      table: "Table",
+    },
+    binScheme: "Bins",
+    binSchemePresets: {
+      original: "Original",
+      half: "Every 0.5",
+      whole: "Every 1.0",
+      scholarship: "Scholarship lines (2.0 / 3.0 / 3.5)",
+    },
+    customBinScheme: "Custom cut-offs",
+    customBinInput: "Cut-off GPAs",
+    customBinPlaceholder: "e.g. 2, 3, 3.5",
+    customBinError:
+      "Enter a bin width such as 0.5, or comma-separated GPAs such as 2, 3, 3.5.",
+    rebinNote:
+      "Counts are redistributed from the original bins assuming students are spread evenly within each bin, so they may not be whole numbers.",
+    chartPlaceholder:
+      "Select a department and year to see the distribution chart.",
+    boxPlotHint:
+      "Boxes show the interquartile range, vertical lines the median, white dots the mean and the red line your GPA.",
+    compareHint:
+      "* To compare groups of different sizes, the vertical axis shows each group's share of its students (%). “Overlap” is the share the two distributions have in common; “Max cumulative gap” is the difference at the point where their cumulative shares from the lowest GPA differ most.",
+    distribution: "Distribution",
+    countOf: (group: string) => `Students in ${group}`,
+    shareTooltip: (label: string, share: number) =>
+      `${label}: ${decimal(share, 1)}%`,
+    countTooltip: (label: string, value: string) => `${label}: ${value}`,
+
+    trendTitle: "5. GPA over time",
+    trendDescription:
+      "Shows how the average, median and top N% lines of the selected department and year change from term to term.",
+    reverseTitle: "6. GPA needed for a target rank",
+    reverseDescription:
+      "Estimates the GPA you need for a goal such as “top 10%” or “within the top 30 of 120 students”.",
+    termComparisonTitle: "7. This term vs cumulative",
+    termComparisonDescription:
+      "Shows the distribution and your rank in the selected department and year side by side for this term and the cumulative data.",
+    historyTitle: "8. Your GPA history",
+    historyDescription:
+      "Record your GPA each term and follow how it and your top % compare with the median of your department and year. Export the records as JSON to load them on another device.",
+
+    sourceNote: (term: string) =>
+      `*¹ From ${term}学期GPAファイル(当学期).pdf and ${term}学期GPAファイル(累積).pdf`,
+    termNote: (term: string) => `*² ${term} term`,
+  },
+
+  resultCard: {
+    title: (segment: string) => `GPA distribution of ${segment}`,
+    headline: (gpa: number, rank: string) => `GPA ${decimal(gpa)} → ${rank}`,
+    headlinePlaceholder: "Enter your GPA to see your estimated rank",
+    gradeAverage: "Average GPA (year)",
+    footer: (date: Date) =>
+      `Minna no GPA+R / created ${date.toLocaleDateString(LOCALE)}`,
+  },
+
+  uploader: {
+    drop: "Drag and drop CSV / TSV files here",
+    pick: "Choose files",
+    encodings: {
+      "utf-8": "UTF-8",
+      "utf-8-bom": "UTF-8 (with BOM)",
+      shift_jis: "Shift_JIS",
+    },
+    delimiters: {
+      ",": "Comma-separated",
+      "\t": "Tab-separated",
+      ";": "Semicolon-separated",
+    },
+    labelColumns: {
+      1: "Department and year read from one column",
+      2: "Department and year read from separate columns",
+      3: "College, department and year read from separate columns",
+    },
+    summary: (
+      segments: number,
+      students: number,
+      errors: number,
+      warnings: number
+    ) =>
+      `${plural(segments, "segment")} / ${plural(
+        students,
+        "student"
+      )} / ${plural(errors, "error")}, ${plural(warnings, "warning")}`,
+    line: (line: number) => `Line ${line}: `,
+    noIssues: "No problems were found.",
+    accept: "Add as a dataset",
+    discard: "Discard",
+  },
+
+  csvIssues: {
+    empty: "No header row and data rows were found",
+    unterminatedQuote: 'A quotation mark (") is not closed',
+    invalidBin: (cell: string) => `The range label is not valid: ${cell}`,
+    nonNumeric: (label: string, bin: string, cell: string) =>
+      `The value "${cell}" for ${bin} in "${label}" is not a number of students`,
+    missingGradeCell: (label: string, cell: string) =>
+      `The year "${cell}" in "${label}" cannot be read, so it is treated as year 0`,
+    missingGradeLabel: (label: string) =>
+      `"${label}" has no year such as "1回生" or "1年", so it is treated as year 0`,
+    duplicateSegment: (label: string, firstLine: number) =>
+      `"${label}" duplicates line ${firstLine}`,
+    extraCells: (label: string, cells: string[]) =>
+      `"${label}" has more columns than the header (${cells.join(
+        ", "
+      )}); the extra columns are ignored`,
+  },
+
+  update: {
+    available: "New data or a new version is available.",
+    apply: "Update",
+    offlineReady: "The app now works offline.",
+    close: "Close",
+    offline: "You are offline. Showing saved data.",
+  },
+
+  comparison: {
+    add: "Add a comparison",
+    placeholder: "Choose a department × year, college × year, college…",
+    remove: (target: string) => `Remove ${target} from the comparison`,
+    clear: "Stop comparing",
+    pair: "Pair",
+    meanDifference: "Mean difference",
+    overlap: "Overlap",
+    maxCumulativeGap: "Max cumulative gap",
+    upTo: (bin: string) => ` (up to ${bin})`,
+  },
+
+  distributionTable: {
+    count: "Students",
+    share: "Share",
+    cumulativeShare: "Cumulative share (from lowest)",
+    yourBin: "Your GPA",
+    views: {
+      chart: "Chart",
+      table: "Table",
+    },
+    viewGroup: "View",
+  },
+
+  boxPlot: {
+    label: "Box plot of GPA distributions",
+    row: (
+      group: string,
+      median: number,
+      q1: number,
+      q3: number,
+      mean: number
+    ) =>
+      `${group}: median ${decimal(median)} / quartiles ${decimal(q1)}–${decimal(
+        q3
+      )} / mean ${decimal(mean)}`,
+  },
+
+  rankTable: {
+    placeholder: "Select a department and year to see your rank in each group.",
+    group: "Group",
+    cellGroup: (group: string, total: number) => `${group} (${count(total)})`,
+    average: (average: number | null) => `Average ${decimal(average)}`,
+    histogramCaption: (column: string, group: string) =>
+      `Distribution of ${group} / ${column}`,
+    yourBin: " (your GPA's bin in red)",
+    emptyGroup: "There is no data for this group.",
+    enterGpa: "Enter your GPA to see your estimated rank in each group.",
+  },
+
+  cumulative: {
+    point: (gpa: number, percentile: number) =>
+      `GPA ${decimal(gpa)} or higher: top ${decimal(percentile, 0)}%`,
+    band: (percent: number, threshold: number | null) =>
+      `Top ${percent}%${
+        threshold !== null ? ` (GPA ${decimal(threshold)} or higher)` : ""
+      }`,
+    yourGpaTooltip: (gpa: number, rank: string) =>
+      `Your GPA ${decimal(gpa)}: ${rank}`,
+    yAxis: "Top % (share with this GPA or higher)",
+  },
+
+  calculator: {
+    actual: "Confirmed grades",
+    whatIf: "What-if grades",
+    rankIn: (total: number, rank: string) =>
+      `${rank} of ${plural(total, "student")}`,
+    credits: (credits: number) => plural(credits, "credit"),
+    rankInDataset: (dataset: string, rank: string) => `${dataset}: ${rank}`,
+    apply: "Show my rank with this GPA",
+    courseName: "Course",
+    creditsColumn: "Credits",
+    creditsLabel: "Credits",
+    letter: "Grade",
+    whatIfColumn: "What if",
+    whatIfLabel: "Assumed grade",
+    undecided: "Pending",
+    coursePlaceholder: (index: number) => `Course ${index}`,
+    removeCourse: (course: string) => `Remove ${course}`,
+    addCourse: "Add a course",
+    previousGpa: "Cumulative GPA up to last term",
+    previousGpaPlaceholder: "e.g. 3.12",
+    previousCredits: "GPA credits up to last term",
+    previousCreditsPlaceholder: "e.g. 62",
+    scale: "Change the grade points",
+    scenario: "Scenario",
+    termGpa: "Term GPA",
+    cumulativeGpa: "Cumulative GPA",
+    hint: "* Courses with a pending grade are not counted. Enter a “What if” grade to see the GPA and rank you would get with it side by side.",
+  },
+
+  reverse: {
+    selectScope: "Select a group",
+    enterTarget: "Enter a target rank or percentage",
+    percentTooLarge: "Enter a percentage of 100% or less",
+    belowMinBin: (minBinCount: number) =>
+      `Targets within the top ${plural(
+        minBinCount,
+        "student"
+      )} are not shown because they come close to individual GPAs`,
+    aboveTop: (total: number) =>
+      `The target is above 1st place among ${plural(
+        total,
+        "student"
+      )}, so it cannot be estimated`,
+    withinRank: (rank: number) => `the top ${count(rank)}`,
+    withinPercent: (percent: number, rank: number) =>
+      `the top ${decimal(percent, 1)}% (about the top ${count(rank)})`,
+    result: (scope: string, total: number, target: string, gpa: number) =>
+      `To be in ${target} of ${scope} (${plural(
+        total,
+        "student"
+      )}), you need a GPA of about ${decimal(gpa)} or higher`,
+    scope: "Group",
+    targetType: "Target type",
+    percentOption: "Top N%",
+    rankOption: "Top N students",
+    rankInput: "Target rank",
+    percentInput: "Target (top %)",
+    resultTitle: "GPA needed",
+    cutoffTitle: "Top lines by department and year",
+    segmentColumn: "Department and year",
+  },
+
+  trend: {
+    kindGroup: "Data for the trend",
+    percentiles: "Percentile lines",
+    average: "Average",
+    median: "Median",
+    topLine: (percent: number) => `Top ${percent}% line`,
+    placeholder: "Select a department and year to see the trend across terms.",
+    missingTerms: (terms: string[]) =>
+      `* ${list(terms)} ${
+        terms.length === 1 ? "has" : "have"
+      } no data for this department and year.`,
+    withheldTerms: (terms: string[], minGroupSize: number) =>
+      `* ${list(terms)} ${
+        terms.length === 1 ? "is" : "are"
+      } not shown because this department and year had fewer than ${plural(
+        minGroupSize,
+        "student"
+      )}.`,
+    singleTerm:
+      "* Only one term is registered, so only points are shown. Add terms to `src/data/manifest.json` to compare them over time.",
+  },
+
+  termComparison: {
+    difference: "This term − cumulative (points)",
+    differenceAxis: "Difference (points)",
+    bandGap: "The rank difference is not shown for small groups",
+    sameGap: "You are in about the same position in both",
+    gap: (gap: number) =>
+      `This term you are ${decimal(Math.abs(gap), 1)}% ${
+        gap > 0 ? "higher" : "lower"
+      } than in the cumulative data`,
+    placeholder:
+      "Select a department and year to compare this term with the cumulative data.",
+    missing: (segment: string, datasets: string[]) =>
+      `${segment} is not in ${list(datasets)}, so the data cannot be compared.`,
+    withheld: (datasets: string[], segment: string, minGroupSize: number) =>
+      `${segment} has fewer than ${plural(minGroupSize, "student")} in ${list(
+        datasets
+      )}, so its distribution and rank are not shown.`,
+    rebinned:
+      "* The bins differ between this term and the cumulative data, so the cumulative counts are redistributed into this term's bins.",
+    rank: (rank: number) => ordinal(rank),
+    enterGpa: (total: number) => `${plural(total, "student")} / enter your GPA`,
+    exactDetail: (total: number, percentile: number) =>
+      `of ${plural(total, "student")} / top ${decimal(percentile, 1)}%`,
+    bandDetail: (total: number) =>
+      `of ${plural(total, "student")} (shown as a range)`,
+    noData: "No data",
+    gapLabel: "Rank difference",
+    gapPlaceholder: "Shown once your rank can be estimated in both datasets",
+  },
+
+  history: {
+    confirmDisable:
+      "If you stop saving, the history on this device will also be deleted.",
+    cleared: "Deleted the history on this device.",
+    saved: (term: string, dataset: string) =>
+      `Recorded your GPA for ${term} (${dataset}).`,
+    imported: (file: string, entries: number) =>
+      `Loaded ${plural(entries, "record")} from ${file}.`,
+    importFailed: (file: string, reason: string) =>
+      `Could not load ${file}: ${reason}`,
+    invalidJson: "The file is not valid JSON",
+    notHistoryFile: "The file is not a GPA history file",
+    invalidEntry: (index: number) =>
+      `The ${ordinal(index)} record is not in the expected format`,
+    cohortMedian: "Median of your department and year",
+    percentileSeries: "Top % (right axis)",
+    percentileAxis: "Top %",
+    percentileTooltip: (label: string, percentile: number) =>
+      `${label}: top ${decimal(percentile, 1)}%`,
+    gpaTooltip: (label: string, gpa: number) => `${label}: ${decimal(gpa)}`,
+    consent:
+      "Save my GPA history on this device (in the browser's localStorage). The history is never sent anywhere.",
+    save: (term: string, dataset: string) =>
+      `Record my GPA for ${term} (${dataset})`,
+    saveDisabled: "Select term data and enter your GPA to record it",
+    export: "Export as JSON",
+    import: "Import from JSON",
+    notPersisted:
+      "* Saving is off, so these records disappear when you close the page.",
+    kindGroup: "Data for the history",
+    empty: (dataset: string) => `No records for ${dataset} yet.`,
+    datasetColumn: "Data",
+    segmentColumn: "College, department and year",
+    removeEntry: (term: string) => `Delete the record for ${term}`,
+    gapHint:
+      "* Records whose term, department or year is not in the current data are left blank in the chart.",
+    bandHint:
+      "* For terms or GPA ranges with few students, the top % is given as a range and the chart plots its midpoint.",
+    withheldHint: (minGroupSize: number) =>
+      `* The top % and median are not shown for terms in which your department and year had fewer than ${plural(
+        minGroupSize,
+        "student"
+      )}.`,
+  },
+
+  exportActions: {
+    imageFailed: "Could not create the image.",
+    imageSaved: "Saved the result card as PNG.",
+    csvSaved: "Saved the totals by year and for all years as CSV.",
+    saveImage: "Save result card as PNG",
+    print: "Print / save as PDF",
+    downloadCsv: "Download totals CSV",
+    aggregatesFile: (baseName: string) => `${baseName}_totals.csv`,
+  },
+
+  aggregatesCsv: {
+    target: "Group",
+    faculty: "Faculty",
+    grade: "Year",
+    total: "Students",
+    average: "Mean GPA",
+    gradeWhole: (grade: number) => `All of year ${grade}`,
+    allGrades: "All years",
+  },
+
+  batch: {
+    columns: {
+      faculty: "College",
+      major: "Department",
+      grade: "Year",
+      gpa: "GPA",
+      total: "Students",
+      rank: "Est. rank",
+      percentile: "Top %",
+      text: "Rank",
+      average: "Department × year mean",
+      gradeAverage: "College × year mean",
+      error: "Error",
+    },
+    gpaNotNumber: "The GPA is not a number",
+    noSegment: (segment: string) => `There is no data for ${segment}`,
+    unterminatedQuote: (line: number) =>
+      `The quote on line ${line} is not closed`,
+    emptyInput: "The input file is empty",
+    missingColumn: (aliases: string[]) =>
+      `The header row has no ${aliases.join(" / ")} column`,
+    notArray: "The JSON must be an array of row objects",
+    notObject: (index: number) => `Item ${index} is not an object`,
+    usage:
+      "Usage: npm run rank -- <distribution CSV>... --input <list.csv | list.json> [--faculty <college>] [--method uniform|linear|spline] [--format table|csv|json] [--lang ja|en] [--out <file>] [--manifest <manifest.json>]",
+    unreadableDataset: (file: string, reason: string) =>
+      `Cannot read ${file} as a distribution CSV (${reason})`,
+    noSegments: "no segments",
+    line: (line: number) => `Line ${line}: `,
+    written: (total: number, file: string) =>
+      `Wrote ${plural(total, "result")} to ${file}`,
+  },
+
+  api: {
+    notFound: (path: string) => `${path} does not exist`,
+    termNotFound: (term: string) => `Term ${term} does not exist`,
+    datasetNotFound: (kinds: string[]) =>
+      `The dataset must be one of ${kinds.join(" / ")}`,
+    oneOf: (name: string, values: string[]) =>
+      `${name} must be one of ${values.join(" / ")}`,
+    gradeNotInteger: "grade must be an integer",
+    gpaNotNumber: "gpa must be a number",
+    noData: (group: string) => `There is no data for ${group}`,
+    levelNeedsSelection: (level: string) =>
+      `Specify a department and year to get the ${level} group`,
+  },
+
+  widget: {
+    submit: "Estimate rank",
+    noData: "No data was found for this term.",
+    caption: (segment: string, dataset: string) =>
+      `GPA distribution of ${segment} (${dataset})`,
+    source: (term: string, dataset: string) => `${term}, ${dataset}`,
+  },
+};
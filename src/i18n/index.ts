@@ -0,0 +1,70 @@
+import { createContext, useContext } from "react";
+import { formatCount, formatDecimal } from "../lib/format";
+import { en } from "./en";
+import { ja } from "./ja";
+import type { Messages } from "./ja";
+
+export type { Messages };
+
+export type Locale = "ja" | "en";
+
+export const LOCALES: Locale[] = ["ja", "en"];
+
+/** 切り替えメニューの表示名（どの言語で表示中でも各言語の名前で示す） */
+export const LOCALE_LABELS: Record<Locale, string> = {
+  ja: "日本語",
+  en: "English",
+};
+
+export const MESSAGES: Record<Locale, Messages> = { ja, en };
+
+const STORAGE_KEY = "gpa-insights:locale";
+
+const isLocale = (value: unknown): value is Locale =>
+  LOCALES.includes(value as Locale);
+
+/** 保存した言語、なければブラウザの言語設定から表示言語を決めます。日本語を含まなければ英語にします。 */
+export const detectLocale = (): Locale => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (isLocale(stored)) {
+      return stored;
+    }
+  } catch {
+    // localStorage が使えない場合はブラウザの設定だけで決める
+  }
+  const languages = navigator.languages ?? [navigator.language];
+  return languages.length === 0 ||
+    languages.some((language) => language.toLowerCase().startsWith("ja"))
+    ? "ja"
+    : "en";
+};
+
+/** 選んだ言語を保存し、`<html lang>` に反映します。 */
+export const applyLocale = (locale: Locale) => {
+  document.documentElement.lang = locale;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // 保存できなくても表示の切り替えは続ける
+  }
+};
+
+export const I18nContext = createContext<Locale>("ja");
+
+/** 人数・小数を、メッセージの言語の書式で整える関数 */
+export const createFormatters = (messages: Messages) => ({
+  formatCount: (value: number) => formatCount(value, messages.locale),
+  formatDecimal: (value: number | null, fraction = 2) =>
+    formatDecimal(value, fraction, messages.locale),
+});
+
+/**
+ * 表示中の言語のメッセージと、その言語の書式で数値を整える関数を返します。
+ * 言語は App が `I18nContext` で渡します。
+ */
+export const useI18n = () => {
+  const locale = useContext(I18nContext);
+  const m = MESSAGES[locale];
+  return { locale, m, ...createFormatters(m) };
+};
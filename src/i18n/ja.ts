@@ -0,0 +1,602 @@
+import { formatCount, formatDecimal } from "../lib/format";
+
+const count = (value: number) => formatCount(value);
+const decimal = (value: number | null, fraction = 2) =>
+  formatDecimal(value, fraction);
+
+/**
+ * 日本語のメッセージ。英語など他の言語のカタログはこのオブジェクトと同じ形にします。
+ * 学部・学科名を受け取る関数には、データにある名前（日本語）をそのまま渡します。
+ */
+export const ja = {
+  /** 数値・日付の書式に使う BCP 47 の言語タグ */
+  locale: "ja-JP",
+  /** 学部・学科名の表示名 */
+  name: (name: string) => name,
+  grade: (grade: number) => `${grade}回生`,
+  segment: (major: string, grade: number) => `${major} ${grade}回生`,
+  people: (total: number) => `${count(total)} 名`,
+  yourGpa: "あなたの GPA",
+  binRange: "GPA レンジ",
+  students: "人数",
+  share: "割合（%）",
+  term: "学期",
+  actions: "操作",
+  topPercent: (percent: number) => `上位 ${percent}%`,
+
+  datasetKinds: {
+    current: "今学期データ",
+    cumulative: "累計データ",
+  },
+
+  estimation: {
+    labels: {
+      uniform: "一様分布",
+      linear: "区分線形密度",
+      spline: "単調スプライン",
+    },
+    notes: {
+      uniform: "ビンごとの人数から一様分布と仮定して近似しています。",
+      linear:
+        "隣接するビンの人数から密度を区分線形に補間し、ビン内の偏りを考慮して近似しています。",
+      spline:
+        "累積人数に単調 3 次スプラインを当てはめ、ビン内の分布を滑らかに近似しています。",
+    },
+  },
+
+  privacy: {
+    withheld: (minGroupSize: number) =>
+      `${count(minGroupSize)} 名未満の集団のため表示しません`,
+    cannotEstimate: "順位を推定できません",
+    exact: (rank: number, percentile: number) =>
+      `推定 ${count(rank)} 位（上位 ${decimal(percentile, 1)}%）`,
+    band: (from: number, to: number) => `上位 ${from}〜${to}%`,
+  },
+
+  hierarchy: {
+    levels: {
+      "department-grade": "学科×学年",
+      "faculty-grade": "学部×学年",
+      department: "学科全体",
+      faculty: "学部全体",
+      university: "全学",
+    },
+    noFaculty: "学部未設定",
+    facultyGrade: (faculty: string, grade: number) => `${faculty} ${grade}回生`,
+    facultyGradeWhole: (faculty: string, grade: number) =>
+      `${faculty} ${grade}回生 全体`,
+    allGrades: (group: string) => `${group} 全学年`,
+    university: "全学 全学年",
+  },
+
+  quality: {
+    kinds: {
+      "zero-total": "人数 0 のセグメント",
+      "bin-spike": "突出したビン",
+      "total-mismatch": "今学期と累計の人数の不一致",
+      "missing-grade": "学年の欠け",
+    },
+    zeroTotal: (segment: string) => `${segment} の人数が 0 名です`,
+    binSpike: (segment: string, bin: string, total: number, share: number) =>
+      `${segment} の ${bin} に ${count(total)} 名（${share}%）が集中しています`,
+    missingGrade: (group: string, grades: number[]) =>
+      `${group} に ${grades
+        .map((grade) => `${grade}回生`)
+        .join("・")} のデータがありません`,
+    totalMismatch: (
+      segment: string,
+      current: string,
+      currentTotal: number,
+      cumulative: string,
+      cumulativeTotal: number
+    ) =>
+      `${segment} の人数が${current} ${count(
+        currentTotal
+      )} 名・${cumulative} ${count(cumulativeTotal)} 名で食い違っています`,
+    bothKinds: (current: string, cumulative: string) =>
+      `${current}と${cumulative}`,
+    excludeZero: (bin: string) =>
+      `${bin} のビンの学生を除いて順位・平均を計算する`,
+    excludeZeroHint:
+      "（休学・未履修などで GPA が 0 の学生が多い学年では、含めたままだと順位が実際より良く見えます）",
+    summary: (total: number, breakdown: string) =>
+      `データの注意点 ${total} 件（${breakdown}）`,
+    none: "データの注意点は見つかりませんでした。",
+  },
+
+  app: {
+    loadFailed: (reason: string) => `データを読み込めませんでした: ${reason}`,
+    eyebrow: "立命館生向け",
+    title: "みんなのGPA+R",
+    lead: "学校から提供されたデータ*¹をもとに、学科×学年ごとの GPA 分布を可視化し、自分の位置づけを即座に推定します。",
+    language: "表示言語",
+    dataSource: "データソース",
+    noDataset: "データ未選択",
+    datasetSummary: (segments: number, students: number) =>
+      `${count(segments)} セグメント / ${count(students)} 名`,
+
+    overviewTitle: "1. データセット概要",
+    overviewDescription:
+      "学校提供のデータを「今学期*²」年度と「累計」で切り替えて分析できます。手元の CSV を読み込んで比較対象に追加することもできます。",
+    datasetGroup: "データセット選択",
+    segmentMetric: "登録セグメント",
+    segmentCount: (segments: number) => `${count(segments)} 件`,
+    studentMetric: "総学生数",
+    gpaRangeMetric: "GPA 範囲",
+
+    inputTitle: "2. 自分の情報を入力",
+    faculty: "学部",
+    major: "学科",
+    gradeLabel: "学年",
+    gpaPlaceholder: "例: 3.85",
+    method: "推定方法",
+    gpaRangeHint: (min: number, max: number) =>
+      `※ GPA は ${decimal(min)} 〜 ${decimal(max)} の範囲で近似計算します。`,
+    gpaNotNumber: "GPA は数値で入力してください。",
+    gpaOutOfRange: (min: number, max: number) =>
+      `GPA は ${decimal(min)} 〜 ${decimal(max)} の範囲で入力してください。`,
+    copyLink: "この表示のリンクをコピー",
+    linkCopied: "この表示へのリンクをコピーしました。",
+    linkFailed:
+      "コピーできませんでした。アドレスバーの URL をそのまま共有してください。",
+    calculatorSummary: "成績（A+〜F）から GPA を計算する",
+
+    resultTitle: "3. 推定結果",
+    zeroSpike: (segment: string, bin: string) =>
+      `${segment}には GPA ${bin} の学生が多く含まれており、順位が実際より良く見える可能性があります。「1. データセット概要」で除外して計算できます。`,
+    targetCount: "対象人数",
+    selectSegment: "学科・学年を選択してください",
+    selectGrade: "学年を選択してください",
+    withDataset: (group: string, dataset: string) => `${group}（${dataset}）`,
+    facultyGradeAverage: "平均 GPA（学部×学年）",
+    facultyGradeDetail: (group: string, total: number) =>
+      `${group}（${count(total)} 名対象）`,
+    segmentAverage: "平均 GPA（学科×学年）",
+    weightedAverageOf: (group: string) => `${group}の加重平均`,
+    rankTableTitle: "集団ごとの推定順位",
+    rankTableDescription:
+      "同じ GPA が各集団で何位に当たるかを、今学期と累計のデータで並べます。セルを選ぶとその集団の分布を表示します。",
+    summaryTitle: "記述統計",
+    summaryOf: (group: string) => `記述統計（${group}）`,
+    median: "中央値",
+    medianDetail: (mean: number, difference: number) =>
+      `平均 ${decimal(mean)} との差 ${decimal(difference)}`,
+    iqr: "四分位範囲",
+    iqrDetail: (width: number) =>
+      `中央の 50% がこの範囲（幅 ${decimal(width)}）`,
+    standardDeviation: "標準偏差",
+    standardDeviationDetail: "推定した分布からの近似値",
+    skewness: "歪度",
+    skewLeft: "低 GPA 側に裾が長い分布",
+    skewRight: "高 GPA 側に裾が長い分布",
+    skewSymmetric: "ほぼ左右対称な分布",
+    decile: (percent: number) => `下位 ${percent}%`,
+    summaryPlaceholder: "学科・学年を選択すると記述統計が表示されます。",
+    yourRank: "あなたの推定順位",
+    rankOf: (total: number, rank: string, dataset: string) =>
+      `${count(total)} 名中 ${rank}（${dataset}）`,
+    rankTarget: "対象",
+    rankPlaceholder: "学科・学年と GPA を入力すると順位を推定します",
+    rankAnnouncement: (segment: string, gpa: number, rank: string) =>
+      `${segment}、GPA ${decimal(gpa)}: ${rank}`,
+    bandNote:
+      "人数が少ない集団、または同じ GPA 帯の人数が少ないため、順位は幅で表示しています。",
+    rankSpread: (
+      bestRank: number,
+      worstRank: number,
+      bestPercentile: number,
+      worstPercentile: number
+    ) =>
+      `ビン内の位置により ${count(bestRank)}〜${count(
+        worstRank
+      )} 位（上位 ${decimal(bestPercentile, 1)}〜${decimal(
+        worstPercentile,
+        1
+      )}%）の幅があります`,
+    resultFileName: "結果",
+
+    distributionTitle: "4. 分布を確認",
+    chartTypeGroup: "グラフの種類",
+    chartTypes: {
+      histogram: "ヒストグラム",
+      ogive: "累積分布",
+      table: "表",
+    },
+    binScheme: "ビンの区切り",
+    binSchemePresets: {
+      original: "元のまま",
+      half: "0.5 刻み",
+      whole: "1.0 刻み",
+      scholarship: "奨学金ライン（2.0 / 3.0 / 3.5）",
+    },
+    customBinScheme: "区切りを指定",
+    customBinInput: "区切りの GPA",
+    customBinPlaceholder: "例: 2, 3, 3.5",
+    customBinError:
+      "「0.5」のような刻み幅か、「2, 3, 3.5」のようにカンマで区切った GPA を入力してください。",
+    rebinNote:
+      "元のビンの人数を、ビン内で一様に分布すると仮定して按分しています（人数は小数になることがあります）。",
+    chartPlaceholder: "学科・学年を選択すると分布グラフが表示されます。",
+    boxPlotHint:
+      "箱は四分位範囲、縦線は中央値、白丸は平均、赤線はあなたの GPA です。",
+    compareHint:
+      "※ 人数の異なる集団を比べられるよう、縦軸は各集団の人数に対する割合（%）で表示しています。「重なり」は 2 つの分布が共通する割合、「累積分布の最大差」は GPA 下位からの累積割合が最も離れる点での差です。",
+    distribution: "分布",
+    countOf: (group: string) => `${group} の人数`,
+    shareTooltip: (label: string, share: number) =>
+      `${label}: ${decimal(share, 1)}%`,
+    countTooltip: (label: string, value: string) => `${label}: ${value}名`,
+
+    trendTitle: "5. GPA の推移",
+    trendDescription:
+      "選択中の学科×学年について、学期ごとの平均・中央値・上位 N% ラインの変化を表示します。",
+    reverseTitle: "6. 目標順位から必要な GPA を逆算",
+    reverseDescription:
+      "「上位 10% に入るには？」「120 名中 30 位以内に入るには？」といった目標から、必要な GPA の目安を推定します。",
+    termComparisonTitle: "7. 今学期と累計を比較",
+    termComparisonDescription:
+      "選択中の学科×学年について、今学期データと累計データの分布と順位を並べて表示します。",
+    historyTitle: "8. 自分の GPA の記録",
+    historyDescription:
+      "学期ごとの GPA を記録し、同じ学科×学年の中央値と比べた推移や上位 % の変化を確認できます。記録は JSON に書き出して別の端末で読み込めます。",
+
+    sourceNote: (term: string) =>
+      `*¹${term}学期GPAファイル(当学期).pdf 、${term}学期GPAファイル(累積).pdfより`,
+    termNote: (term: string) => `*²${term}学期`,
+  },
+
+  resultCard: {
+    title: (segment: string) => `${segment}の GPA 分布`,
+    headline: (gpa: number, rank: string) => `GPA ${decimal(gpa)} → ${rank}`,
+    headlinePlaceholder: "GPA を入力すると推定順位が表示されます",
+    gradeAverage: "平均 GPA（学年）",
+    footer: (date: Date) =>
+      `みんなのGPA+R / ${date.toLocaleDateString("ja-JP")} 作成`,
+  },
+
+  uploader: {
+    drop: "CSV / TSV ファイルをここにドラッグ＆ドロップ",
+    pick: "ファイルを選択",
+    encodings: {
+      "utf-8": "UTF-8",
+      "utf-8-bom": "UTF-8 (BOM 付き)",
+      shift_jis: "Shift_JIS",
+    },
+    delimiters: {
+      ",": "カンマ区切り",
+      "\t": "タブ区切り",
+      ";": "セミコロン区切り",
+    },
+    labelColumns: {
+      1: "学科・学年を 1 列で判定",
+      2: "学科・学年を別々の列で判定",
+      3: "学部・学科・学年を別々の列で判定",
+    },
+    summary: (
+      segments: number,
+      students: number,
+      errors: number,
+      warnings: number
+    ) =>
+      `${count(segments)} セグメント / ${count(
+        students
+      )} 名 / エラー ${errors} 件・警告 ${warnings} 件`,
+    line: (line: number) => `${line} 行目: `,
+    noIssues: "問題は見つかりませんでした。",
+    accept: "データセットとして追加",
+    discard: "破棄",
+  },
+
+  csvIssues: {
+    empty: "ヘッダー行とデータ行が見つかりません",
+    unterminatedQuote: '引用符 (") が閉じられていません',
+    invalidBin: (cell: string) => `範囲ラベルの形式が不正です: ${cell}`,
+    nonNumeric: (label: string, bin: string, cell: string) =>
+      `「${label}」の ${bin} の値「${cell}」は人数として解釈できません`,
+    missingGradeCell: (label: string, cell: string) =>
+      `「${label}」の学年「${cell}」を解釈できないため学年 0 として扱います`,
+    missingGradeLabel: (label: string) =>
+      `「${label}」に「N回生」「N年」の表記がないため学年 0 として扱います`,
+    duplicateSegment: (label: string, firstLine: number) =>
+      `「${label}」は ${firstLine} 行目と重複しています`,
+    extraCells: (label: string, cells: string[]) =>
+      `「${label}」にヘッダーより多い列があります（${cells.join(
+        ", "
+      )}）。余分な列は無視します`,
+  },
+
+  update: {
+    available: "新しいデータ／バージョンがあります。",
+    apply: "更新",
+    offlineReady: "オフラインでも利用できるようになりました。",
+    close: "閉じる",
+    offline: "オフラインです。保存済みのデータで表示しています。",
+  },
+
+  comparison: {
+    add: "比較対象を追加",
+    placeholder: "学科×学年・学部×学年・学部全体などを選択",
+    remove: (target: string) => `${target} を比較対象から外す`,
+    clear: "比較をやめる",
+    pair: "組み合わせ",
+    meanDifference: "平均の差",
+    overlap: "重なり",
+    maxCumulativeGap: "累積分布の最大差",
+    upTo: (bin: string) => `（${bin} まで）`,
+  },
+
+  distributionTable: {
+    count: "人数",
+    share: "割合",
+    cumulativeShare: "累積割合（下位から）",
+    yourBin: "あなたの GPA",
+    views: {
+      chart: "グラフ",
+      table: "表",
+    },
+    viewGroup: "表示形式",
+  },
+
+  boxPlot: {
+    label: "GPA 分布の箱ひげ図",
+    row: (
+      group: string,
+      median: number,
+      q1: number,
+      q3: number,
+      mean: number
+    ) =>
+      `${group}: 中央値 ${decimal(median)} / 四分位 ${decimal(q1)}〜${decimal(
+        q3
+      )} / 平均 ${decimal(mean)}`,
+  },
+
+  rankTable: {
+    placeholder: "学科・学年を選択すると集団ごとの順位が表示されます。",
+    group: "集団",
+    cellGroup: (group: string, total: number) =>
+      `${group}（${count(total)} 名）`,
+    average: (average: number | null) => `平均 ${decimal(average)}`,
+    histogramCaption: (column: string, group: string) =>
+      `${column} / ${group} の分布`,
+    yourBin: "（赤はあなたの GPA のビン）",
+    emptyGroup: "この集団にはデータがありません。",
+    enterGpa: "GPA を入力すると各集団での推定順位を表示します。",
+  },
+
+  cumulative: {
+    point: (gpa: number, percentile: number) =>
+      `GPA ${decimal(gpa)} 以上: 上位 ${decimal(percentile, 0)}%`,
+    band: (percent: number, threshold: number | null) =>
+      `上位 ${percent}%${
+        threshold !== null ? `（GPA ${decimal(threshold)} 以上）` : ""
+      }`,
+    yourGpaTooltip: (gpa: number, rank: string) =>
+      `あなたの GPA ${decimal(gpa)}: ${rank}`,
+    yAxis: "上位 %（この GPA 以上の割合）",
+  },
+
+  calculator: {
+    actual: "確定した成績",
+    whatIf: "もしもの成績",
+    rankIn: (total: number, rank: string) => `${count(total)} 名中 ${rank}`,
+    credits: (credits: number) => `${count(credits)} 単位`,
+    rankInDataset: (dataset: string, rank: string) => `${dataset}で ${rank}`,
+    apply: "この GPA で順位を表示",
+    courseName: "科目名",
+    creditsColumn: "単位",
+    creditsLabel: "単位数",
+    letter: "評価",
+    whatIfColumn: "もしも",
+    whatIfLabel: "仮定する評価",
+    undecided: "未確定",
+    coursePlaceholder: (index: number) => `科目 ${index}`,
+    removeCourse: (course: string) => `${course} を削除`,
+    addCourse: "科目を追加",
+    previousGpa: "前学期までの累計 GPA",
+    previousGpaPlaceholder: "例: 3.12",
+    previousCredits: "前学期までの GPA 対象単位数",
+    previousCreditsPlaceholder: "例: 62",
+    scale: "評価と GP の対応を変更",
+    scenario: "シナリオ",
+    termGpa: "学期 GPA",
+    cumulativeGpa: "累計 GPA",
+    hint: "※ 評価が「未確定」の科目は計算に含めません。「もしも」に評価を入れると、その成績を取った場合の GPA と順位を並べて表示します。",
+  },
+
+  reverse: {
+    selectScope: "対象を選択してください",
+    enterTarget: "目標の順位または割合を入力してください",
+    percentTooLarge: "割合は 100% 以下で入力してください",
+    belowMinBin: (minBinCount: number) =>
+      `上位 ${count(
+        minBinCount
+      )} 名未満に当たる目標は、個人の GPA に近くなるため表示しません`,
+    aboveTop: (total: number) =>
+      `${count(total)} 名中では目標が 1 位より上になるため推定できません`,
+    withinRank: (rank: number) => `${count(rank)} 位以内`,
+    withinPercent: (percent: number, rank: number) =>
+      `上位 ${decimal(percent, 1)}%（約 ${count(rank)} 位以内）`,
+    result: (scope: string, total: number, target: string, gpa: number) =>
+      `${scope}（${count(total)} 名）で${target}に入るには GPA ${decimal(
+        gpa
+      )} 以上が目安です`,
+    scope: "対象",
+    targetType: "目標の指定方法",
+    percentOption: "上位 N%",
+    rankOption: "N 位以内",
+    rankInput: "目標順位（位）",
+    percentInput: "目標（上位 %）",
+    resultTitle: "必要な GPA の目安",
+    cutoffTitle: "学科×学年ごとの上位ライン",
+    segmentColumn: "学科・学年",
+  },
+
+  trend: {
+    kindGroup: "推移のデータ種別",
+    percentiles: "表示するパーセンタイル",
+    average: "平均",
+    median: "中央値",
+    topLine: (percent: number) => `上位 ${percent}% ライン`,
+    placeholder: "学科・学年を選択すると学期ごとの推移が表示されます。",
+    missingTerms: (terms: string[]) =>
+      `※ ${terms.join("、")}にはこの学科・学年のデータがありません。`,
+    withheldTerms: (terms: string[], minGroupSize: number) =>
+      `※ ${terms.join("、")}はこの学科・学年が ${count(
+        minGroupSize
+      )} 名未満のため表示しません。`,
+    singleTerm:
+      "※ 登録されている学期が 1 つのため、点のみ表示しています。`src/data/manifest.json` に学期を追加すると推移を比較できます。",
+  },
+
+  termComparison: {
+    difference: "今学期 − 累計（ポイント）",
+    differenceAxis: "差（ポイント）",
+    bandGap: "少人数のため、順位の差は表示しません",
+    sameGap: "今学期と累計でほぼ同じ位置です",
+    gap: (gap: number) =>
+      `今学期は累計より上位 ${decimal(Math.abs(gap), 1)}% ${
+        gap > 0 ? "良い" : "低い"
+      }位置です`,
+    placeholder: "学科・学年を選択すると今学期と累計を比較できます。",
+    missing: (segment: string, datasets: string[]) =>
+      `${segment}は${datasets.join(
+        "・"
+      )}に含まれていないため、比較できません。`,
+    withheld: (datasets: string[], segment: string, minGroupSize: number) =>
+      `${datasets.join("・")}の ${segment}は ${count(
+        minGroupSize
+      )} 名未満のため、分布と順位を表示しません。`,
+    rebinned:
+      "※ 今学期データと累計データでビンの区切りが異なるため、累計データの人数を今学期データの区切りに按分して比較しています。",
+    rank: (rank: number) => `${count(rank)} 位`,
+    enterGpa: (total: number) => `${count(total)} 名 / GPA を入力してください`,
+    exactDetail: (total: number, percentile: number) =>
+      `${count(total)} 名中 / 上位 ${decimal(percentile, 1)}%`,
+    bandDetail: (total: number) => `${count(total)} 名中（幅で表示）`,
+    noData: "データなし",
+    gapLabel: "順位の差",
+    gapPlaceholder: "両方のデータで順位を推定すると差を表示します",
+  },
+
+  history: {
+    confirmDisable: "保存をやめると、この端末の履歴も削除されます。",
+    cleared: "この端末の履歴を削除しました。",
+    saved: (term: string, dataset: string) =>
+      `${term}（${dataset}）の GPA を記録しました。`,
+    imported: (file: string, entries: number) =>
+      `${file} から ${entries} 件の記録を読み込みました。`,
+    importFailed: (file: string, reason: string) =>
+      `${file} を読み込めませんでした: ${reason}`,
+    invalidJson: "JSON として読み込めません",
+    notHistoryFile: "GPA 履歴のファイルではありません",
+    invalidEntry: (index: number) => `${index} 件目の記録の形式が不正です`,
+    cohortMedian: "同じ学科×学年の中央値",
+    percentileSeries: "上位 %（右軸）",
+    percentileAxis: "上位 %",
+    percentileTooltip: (label: string, percentile: number) =>
+      `${label}: 上位 ${decimal(percentile, 1)}%`,
+    gpaTooltip: (label: string, gpa: number) => `${label}: ${decimal(gpa)}`,
+    consent:
+      "この端末（ブラウザの localStorage）に GPA の履歴を保存する。履歴はどこにも送信されません。",
+    save: (term: string, dataset: string) =>
+      `${term}（${dataset}）の GPA を記録`,
+    saveDisabled: "学期データを選び GPA を入力すると記録できます",
+    export: "JSON に書き出す",
+    import: "JSON から読み込む",
+    notPersisted: "※ 保存が無効のため、この記録はページを閉じると消えます。",
+    kindGroup: "履歴のデータ種別",
+    empty: (dataset: string) => `${dataset}の記録はまだありません。`,
+    datasetColumn: "データ",
+    segmentColumn: "学部・学科・学年",
+    removeEntry: (term: string) => `${term} の記録を削除`,
+    gapHint:
+      "※ 現在のデータに学期または学科・学年が見つからない記録は、グラフで空白になります。",
+    bandHint:
+      "※ 人数の少ない学期・GPA 帯では、上位 % を幅で示し、グラフには幅の中央を描いています。",
+    withheldHint: (minGroupSize: number) =>
+      `※ 学科・学年が ${count(
+        minGroupSize
+      )} 名未満だった学期は、上位 % と中央値を表示しません。`,
+  },
+
+  exportActions: {
+    imageFailed: "画像を作成できませんでした。",
+    imageSaved: "結果カードを PNG で保存しました。",
+    csvSaved: "学年別・全学年の集計を CSV で保存しました。",
+    saveImage: "結果カードを PNG で保存",
+    print: "印刷 / PDF で保存",
+    downloadCsv: "集計 CSV をダウンロード",
+    aggregatesFile: (baseName: string) => `${baseName}_集計.csv`,
+  },
+
+  /** 書き出す集計 CSV の見出しと行の名前 */
+  aggregatesCsv: {
+    target: "集計対象",
+    faculty: "学部",
+    grade: "学年",
+    total: "人数",
+    average: "平均GPA",
+    gradeWhole: (grade: number) => `${grade}回生 全体`,
+    allGrades: "全学年",
+  },
+
+  /** 一括での順位計算（`npm run rank`）の出力 */
+  batch: {
+    columns: {
+      faculty: "学部",
+      major: "学科",
+      grade: "学年",
+      gpa: "GPA",
+      total: "人数",
+      rank: "推定順位",
+      percentile: "上位%",
+      text: "順位",
+      average: "学科×学年平均",
+      gradeAverage: "学部×学年平均",
+      error: "エラー",
+    },
+    gpaNotNumber: "GPA が数値ではありません",
+    noSegment: (segment: string) => `${segment} のデータがありません`,
+    unterminatedQuote: (line: number) =>
+      `${line} 行目の引用符が閉じられていません`,
+    emptyInput: "入力ファイルが空です",
+    missingColumn: (aliases: string[]) =>
+      `見出し行に ${aliases.join(" / ")} の列がありません`,
+    notArray: "JSON は行のオブジェクトの配列にしてください",
+    notObject: (index: number) => `${index} 件目がオブジェクトではありません`,
+    usage:
+      "使い方: npm run rank -- <分布 CSV>... --input <一覧.csv | 一覧.json> [--faculty <学部名>] [--method uniform|linear|spline] [--format table|csv|json] [--lang ja|en] [--out <file>] [--manifest <manifest.json>]",
+    unreadableDataset: (file: string, reason: string) =>
+      `${file} を分布 CSV として読み込めません（${reason}）`,
+    noSegments: "セグメントがありません",
+    line: (line: number) => `${line} 行目: `,
+    written: (total: number, file: string) =>
+      `${count(total)} 件の結果を ${file} に書き出しました`,
+  },
+
+  /** API サーバー（`npm run api`）のエラー文 */
+  api: {
+    notFound: (path: string) => `${path} は存在しません`,
+    termNotFound: (term: string) => `学期 ${term} は存在しません`,
+    datasetNotFound: (kinds: string[]) =>
+      `データセットは ${kinds.join(" / ")} のいずれかです`,
+    oneOf: (name: string, values: string[]) =>
+      `${name} は ${values.join(" / ")} のいずれかです`,
+    gradeNotInteger: "grade は整数で指定してください",
+    gpaNotNumber: "gpa に数値を指定してください",
+    noData: (group: string) => `${group} のデータがありません`,
+    levelNeedsSelection: (level: string) =>
+      `${level} の集団を求めるには学科・学年を指定してください`,
+  },
+
+  widget: {
+    submit: "順位を計算",
+    noData: "この学期のデータが見つかりません。",
+    caption: (segment: string, dataset: string) =>
+      `${segment}の GPA 分布（${dataset}）`,
+    source: (term: string, dataset: string) => `${term} ${dataset}`,
+  },
+};
+
+export type Messages = typeof ja;
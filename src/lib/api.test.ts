@@ -0,0 +1,167 @@
+import { describe, expect, it } from "vitest";
+import { handleApiRequest } from "./api";
+import type {
+  ApiDistribution,
+  ApiRankResult,
+  ApiSegmentList,
+  ApiTermList,
+} from "./api";
+import type { DistributionDataset } from "../types";
+import { aggregateSegments, computeRankInfo } from "./distribution";
+import { DEFAULT_PRIVACY_POLICY } from "./privacy";
+import { en } from "../i18n/en";
+import { buildTermRegistry } from "./terms";
+
+const CSV = [
+  "学部,学科,学年,0.00-0.99,1.00-1.99,2.00-2.99,3.00-4.00",
+  "工学部,情報学科,1,5,10,15,10",
+  "工学部,機械学科,1,2,2,2,2",
+].join("\n");
+
+const context = {
+  terms: buildTermRegistry(
+    {
+      terms: [
+        {
+          id: "2025-spring",
+          label: "2025春",
+          sources: [{ current: "current.csv", cumulative: "cumulative.csv" }],
+        },
+      ],
+    },
+    () => CSV
+  ),
+  privacy: DEFAULT_PRIVACY_POLICY,
+};
+
+const request = (path: string) =>
+  handleApiRequest(new URL(path, "http://localhost"), context);
+
+describe("handleApiRequest", () => {
+  it("学期の一覧と表示の規則を返す", () => {
+    const { status, body } = request("/api/terms");
+    expect(status).toBe(200);
+    expect((body as ApiTermList).terms.map(({ id }) => id)).toEqual([
+      "2025-spring",
+    ]);
+    expect((body as ApiTermList).privacy).toEqual(DEFAULT_PRIVACY_POLICY);
+  });
+
+  it("存在しない学期・データセット・パスは 404 を返す", () => {
+    expect(request("/api/terms/2030-spring/current").status).toBe(404);
+    expect(request("/api/terms/2025-spring/weekly").status).toBe(404);
+    expect(request("/api/terms/2025-spring/current/unknown").status).toBe(404);
+    expect(request("/api/users").status).toBe(404);
+  });
+
+  it("GPA と推定方法の指定が不正なら 400 を返す", () => {
+    expect(
+      request("/api/terms/2025-spring/current/rank?major=情報学科&grade=1")
+        .status
+    ).toBe(400);
+    expect(
+      request(
+        "/api/terms/2025-spring/current/rank?major=情報学科&grade=1&gpa=3&method=magic"
+      ).status
+    ).toBe(400);
+  });
+
+  it("各階層の集団での順位を返す", () => {
+    const { status, body } = request(
+      "/api/terms/2025-spring/current/rank?major=情報学科&grade=1&gpa=3.5"
+    );
+    expect(status).toBe(200);
+    const department = (body as ApiRankResult).groups.find(
+      (group) => group.level === "department-grade"
+    );
+    expect(department).toMatchObject({
+      total: 40,
+      disclosure: { kind: "exact", rank: 6 },
+    });
+  });
+
+  it("ビンの間の隙間にある GPA は前のビンで順位を求める", () => {
+    const groupsAt = (gpa: string) =>
+      (
+        request(
+          `/api/terms/2025-spring/current/rank?major=情報学科&grade=1&gpa=${gpa}`
+        ).body as ApiRankResult
+      ).groups.map((group) => group.text);
+    expect(groupsAt("2.995")).toEqual(groupsAt("2.99"));
+  });
+
+  it("lang=en なら集団名・順位の文言・エラー文を英語で返す", () => {
+    const { body } = request(
+      "/api/terms/2025-spring/current/rank?major=情報学科&grade=1&gpa=3.5&lang=en"
+    );
+    const department = (body as ApiRankResult).groups.find(
+      (group) => group.level === "department-grade"
+    );
+    expect(department?.text).toMatch(/^Est\. 6th \(top /);
+    expect(
+      request(
+        "/api/terms/2025-spring/current/rank?major=情報学科&grade=1&lang=en"
+      ).body
+    ).toEqual({ error: en.api.gpaNotNumber });
+    expect(
+      request("/api/terms/2025-spring/current/rank?gpa=3&lang=fr").status
+    ).toBe(400);
+  });
+
+  it("少人数の集団の分布は返さない", () => {
+    const { body } = request(
+      "/api/terms/2025-spring/current/distribution?major=機械学科&grade=1"
+    );
+    expect(body).toMatchObject({
+      total: null,
+      bins: null,
+      counts: null,
+      summary: null,
+    } satisfies Partial<ApiDistribution>);
+    expect((body as ApiDistribution).withheld).not.toBeNull();
+  });
+
+  it("データセット全体は少人数の学科×学年を除き、少人数のビンをまとめて返す", () => {
+    const { status, body } = request("/api/terms/2025-spring/current");
+    expect(status).toBe(200);
+    const dataset = body as DistributionDataset;
+    expect(dataset.segments.map(({ major }) => major)).toEqual(["情報学科"]);
+    expect(
+      dataset.segments[0].counts.every((count) => count === 0 || count >= 3)
+    ).toBe(true);
+  });
+
+  it("データセット全体から集計すると、少人数の学科を含む上位の集団の人数と順位が変わる", () => {
+    const gpa = 3.5;
+    const served = request("/api/terms/2025-spring/current")
+      .body as DistributionDataset;
+    const aggregate = aggregateSegments(served.segments, served.bins.length);
+    const facultyGrade = (
+      request(
+        `/api/terms/2025-spring/current/rank?major=情報学科&grade=1&gpa=${gpa}`
+      ).body as ApiRankResult
+    ).groups.find((group) => group.level === "faculty-grade");
+
+    // rank・distribution は同梱のデータと同じく機械学科 1 回生の 8 名を含めて数える
+    expect(facultyGrade).toMatchObject({
+      total: 48,
+      disclosure: { kind: "exact", rank: 7 },
+    });
+    // 取り出したデータセットでは機械学科が除かれるため、API から読み込んだアプリではこうなる
+    expect(aggregate.total).toBe(40);
+    expect(computeRankInfo(aggregate, served.bins, gpa).rank).toBe(6);
+  });
+
+  it("学科×学年の一覧では少人数の集団の人数を返さない", () => {
+    const { body } = request("/api/terms/2025-spring/current/segments");
+    expect(
+      (body as ApiSegmentList).segments.map(({ major, total }) => [
+        major,
+        total,
+      ])
+    ).toEqual([
+      ["機械学科", null],
+      ["情報学科", 40],
+    ]);
+  });
+});
@@ -0,0 +1,397 @@
+import {
+  computeRankInfo,
+  findBinIndex,
+  findSegment,
+  weightedAverage,
+} from "./distribution";
+import { ESTIMATION_METHODS } from "./estimation";
+import {
+  REFERENCE_LEVELS,
+  buildReferenceGroups,
+  facultyLabel,
+  listFaculties,
+} from "./hierarchy";
+import type { ReferenceGroup, ReferenceLevel } from "./hierarchy";
+import {
+  canDisclose,
+  discloseDataset,
+  discloseRank,
+  formatRankDisclosure,
+  mergeSmallBins,
+  resolvePrivacyPolicy,
+  withheldMessage,
+} from "./privacy";
+import type { RankDisclosure } from "./privacy";
+import { excludeZeroBin } from "./quality";
+import { describeDistribution } from "./statistics";
+import type { DistributionSummary } from "./statistics";
+import { DATASET_KINDS } from "./terms";
+import { en } from "../i18n/en";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type {
+  BinRange,
+  DatasetKind,
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+  TermDatasets,
+} from "../types";
+
+/** `GET /api/terms` */
+export type ApiTermList = {
+  terms: { id: string; label: string; files: Record<DatasetKind, string[]> }[];
+  privacy: PrivacyPolicy;
+};
+
+/** `GET /api/terms/:term/:dataset/segments` */
+export type ApiSegmentList = {
+  bins: BinRange[];
+  segments: {
+    faculty: string;
+    major: string;
+    grade: number;
+    label: string;
+    /** 少人数の学科×学年は null */
+    total: number | null;
+  }[];
+};
+
+/** `GET /api/terms/:term/:dataset/distribution`。少人数の集団は `withheld` に理由が入り、人数と分布は null */
+export type ApiDistribution = {
+  level: ReferenceLevel;
+  label: string;
+  total: number | null;
+  withheld: string | null;
+  /** 人数の少ないビンは隣のビンとまとめた区切り */
+  bins: BinRange[] | null;
+  counts: number[] | null;
+  average: number | null;
+  summary: DistributionSummary | null;
+};
+
+/** `GET /api/terms/:term/:dataset/rank` */
+export type ApiRankResult = {
+  gpa: number;
+  method: EstimationMethod;
+  groups: {
+    level: ReferenceLevel;
+    label: string;
+    /** 少人数の集団は null */
+    total: number | null;
+    average: number | null;
+    disclosure: RankDisclosure;
+    /** 画面と同じ表示文（例: `推定 12 位（上位 10.9%）`） */
+    text: string;
+  }[];
+};
+
+export type ApiResponse = {
+  status: number;
+  body: unknown;
+};
+
+const ok = (body: unknown): ApiResponse => ({ status: 200, body });
+
+const fail = (status: number, error: string): ApiResponse => ({
+  status,
+  body: { error },
+});
+
+type ApiContext = {
+  terms: TermDatasets[];
+  privacy: PrivacyPolicy;
+};
+
+type DatasetQuery = {
+  dataset: DistributionDataset;
+  params: URLSearchParams;
+  /** `lang` クエリで選んだ、集団名・順位の文言・エラー文の言語 */
+  messages: Messages;
+};
+
+// `lang` クエリで選べる言語。省略時は日本語
+const LANGUAGES = new Map<string, Messages>([
+  ["ja", ja],
+  ["en", en],
+]);
+
+/**
+ * 学部・学科・学年のクエリから、順位・平均を求める各階層の集団を作ります。
+ * 学部を省略した場合は学科から補い、該当するデータがなければエラー文を返します。
+ */
+const resolveGroups = ({
+  dataset,
+  params,
+  messages,
+}: DatasetQuery): ReferenceGroup[] | string => {
+  const major = params.get("major") ?? "";
+  const gradeText = params.get("grade");
+  const grade =
+    gradeText === null || gradeText === "" ? null : Number(gradeText);
+  if (grade !== null && !Number.isInteger(grade)) {
+    return messages.api.gradeNotInteger;
+  }
+  const facultyParam = params.get("faculty");
+  const faculties = listFaculties(dataset.segments);
+  if (facultyParam !== null && !faculties.includes(facultyParam)) {
+    return messages.api.noData(facultyLabel(facultyParam, messages));
+  }
+  const matched = dataset.segments.find(
+    (segment) =>
+      segment.major === major &&
+      (facultyParam === null || segment.faculty === facultyParam)
+  );
+  const faculty =
+    facultyParam ??
+    matched?.faculty ??
+    (faculties.length === 1 ? faculties[0] : null);
+  if (
+    major &&
+    (!matched ||
+      (grade !== null &&
+        !findSegment(dataset.segments, major, grade, matched.faculty)))
+  ) {
+    return messages.api.noData(
+      grade === null ? messages.name(major) : messages.segment(major, grade)
+    );
+  }
+  // 学部が決まらない場合（複数学部で学科も未指定）は全学の集団だけを返す
+  return buildReferenceGroups(
+    dataset.segments,
+    dataset.bins.length,
+    { faculty: faculty ?? "", major, grade },
+    messages
+  ).filter(
+    (group) =>
+      faculty !== null ||
+      (group.level !== "faculty" && group.level !== "faculty-grade")
+  );
+};
+
+const parseMethod = (params: URLSearchParams): EstimationMethod | null => {
+  const method = params.get("method") ?? "uniform";
+  return ESTIMATION_METHODS.includes(method as EstimationMethod)
+    ? (method as EstimationMethod)
+    : null;
+};
+
+const listSegments = (
+  { dataset }: DatasetQuery,
+  privacy: PrivacyPolicy
+): ApiResponse =>
+  ok({
+    bins: dataset.bins,
+    segments: dataset.segments.map(
+      ({ faculty, major, grade, label, total }) => ({
+        faculty,
+        major,
+        grade,
+        label,
+        total: canDisclose(total, privacy) ? total : null,
+      })
+    ),
+  } satisfies ApiSegmentList);
+
+const describeGroup = (
+  query: DatasetQuery,
+  privacy: PrivacyPolicy
+): ApiResponse => {
+  const { dataset, params, messages } = query;
+  const method = parseMethod(params);
+  if (!method) {
+    return fail(400, messages.api.oneOf("method", ESTIMATION_METHODS));
+  }
+  const groups = resolveGroups(query);
+  if (typeof groups === "string") {
+    return fail(404, groups);
+  }
+  const level = (params.get("level") ?? groups[0]?.level) as ReferenceLevel;
+  const group = groups.find((candidate) => candidate.level === level);
+  if (!group) {
+    return fail(
+      404,
+      REFERENCE_LEVELS.includes(level)
+        ? messages.api.levelNeedsSelection(level)
+        : messages.api.oneOf("level", REFERENCE_LEVELS)
+    );
+  }
+  if (!canDisclose(group.total, privacy)) {
+    return ok({
+      level: group.level,
+      label: group.label,
+      total: null,
+      withheld: withheldMessage(privacy, messages),
+      bins: null,
+      counts: null,
+      average: null,
+      summary: null,
+    } satisfies ApiDistribution);
+  }
+  const merged = mergeSmallBins(
+    group.counts,
+    dataset.bins,
+    privacy.minBinCount
+  );
+  return ok({
+    level: group.level,
+    label: group.label,
+    total: group.total,
+    withheld: null,
+    bins: merged.bins,
+    counts: merged.counts,
+    average: weightedAverage(group.counts, dataset.bins, method),
+    summary: describeDistribution(
+      group.counts,
+      dataset.bins,
+      method,
+      privacy.minBinCount
+    ),
+  } satisfies ApiDistribution);
+};
+
+const rankGpa = (query: DatasetQuery, privacy: PrivacyPolicy): ApiResponse => {
+  const { dataset, params, messages } = query;
+  const gpaText = params.get("gpa");
+  const gpa = gpaText === null || gpaText === "" ? NaN : Number(gpaText);
+  if (!Number.isFinite(gpa)) {
+    return fail(400, messages.api.gpaNotNumber);
+  }
+  const method = parseMethod(params);
+  if (!method) {
+    return fail(400, messages.api.oneOf("method", ESTIMATION_METHODS));
+  }
+  const groups = resolveGroups(query);
+  if (typeof groups === "string") {
+    return fail(404, groups);
+  }
+  return ok({
+    gpa,
+    method,
+    groups: groups.map((group) => {
+      const disclosure = discloseRank(
+        computeRankInfo(group, dataset.bins, gpa, method),
+        group.total,
+        group.counts[findBinIndex(dataset.bins, gpa)] ?? 0,
+        privacy,
+        messages
+      );
+      return {
+        level: group.level,
+        label: group.label,
+        total: canDisclose(group.total, privacy) ? group.total : null,
+        average: canDisclose(group.total, privacy)
+          ? weightedAverage(group.counts, dataset.bins, method)
+          : null,
+        disclosure,
+        text: formatRankDisclosure(disclosure, messages),
+      };
+    }),
+  } satisfies ApiRankResult);
+};
+
+/**
+ * `/api/...` へのリクエストに応えます。HTTP サーバーに依存しないため、
+ * `scripts/api-server.ts` 以外からも同じ結果を得られます。
+ * 集団名・順位の文言・エラー文は `lang` クエリ（`ja` / `en`、既定は `ja`）の言語で返します。
+ *
+ * - `GET /api/terms` 学期の一覧と表示の規則
+ * - `GET /api/terms/:term/:dataset` 少人数の情報を除いたデータセット（アプリの読み込み用）
+ * - `GET /api/terms/:term/:dataset/segments` 学科×学年の一覧と人数
+ * - `GET /api/terms/:term/:dataset/distribution` 集団の分布・平均・記述統計
+ * - `GET /api/terms/:term/:dataset/rank` GPA の推定順位（各階層の集団）
+ */
+export const handleApiRequest = (
+  url: URL,
+  { terms, privacy }: ApiContext
+): ApiResponse => {
+  const messages = LANGUAGES.get(url.searchParams.get("lang") ?? "ja");
+  if (!messages) {
+    return fail(400, ja.api.oneOf("lang", [...LANGUAGES.keys()]));
+  }
+  const parts = url.pathname
+    .split("/")
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part));
+  if (parts[0] !== "api" || parts[1] !== "terms") {
+    return fail(404, messages.api.notFound(url.pathname));
+  }
+  if (parts.length === 2) {
+    return ok({
+      terms: terms.map(({ id, label, files }) => ({ id, label, files })),
+      privacy,
+    } satisfies ApiTermList);
+  }
+
+  const [, , termId, kind, action] = parts;
+  const term = terms.find((candidate) => candidate.id === termId);
+  if (!term) {
+    return fail(404, messages.api.termNotFound(termId));
+  }
+  if (!DATASET_KINDS.includes(kind as DatasetKind)) {
+    return fail(404, messages.api.datasetNotFound(DATASET_KINDS));
+  }
+  const raw = term.datasets[kind as DatasetKind];
+  const query: DatasetQuery = {
+    dataset:
+      url.searchParams.get("exclude") === "zero" ? excludeZeroBin(raw) : raw,
+    params: url.searchParams,
+    messages,
+  };
+
+  switch (parts.length === 4 ? "" : parts.length === 5 ? action : null) {
+    case "":
+      // 少人数の学科×学年を除くため、ここから集計した上位の集団の人数・順位は
+      // rank / distribution（除く前のデータで集計）と一致しない
+      return ok(discloseDataset(query.dataset, privacy));
+    case "segments":
+      return listSegments(query, privacy);
+    case "distribution":
+      return describeGroup(query, privacy);
+    case "rank":
+      return rankGpa(query, privacy);
+    default:
+      return fail(404, messages.api.notFound(url.pathname));
+  }
+};
+
+const fetchJson = async <T>(url: URL): Promise<T> => {
+  const response = await fetch(url).catch((error: Error) => {
+    throw new Error(`${url.href} に接続できません（${error.message}）`);
+  });
+  if (!response.ok) {
+    const body = (await response.json().catch(() => null)) as {
+      error?: string;
+    } | null;
+    throw new Error(
+      `${url.href} の読み込みに失敗しました（${response.status}${
+        body?.error ? `: ${body.error}` : ""
+      }）`
+    );
+  }
+  return (await response.json()) as T;
+};
+
+/**
+ * API サーバーから全学期のデータセットと表示の規則を読み込みます。
+ * `baseUrl` はサーバーのオリジン（例: `http://localhost:8787`）です。
+ */
+export const fetchTermRegistry = async (
+  baseUrl: string
+): Promise<ApiContext> => {
+  const endpoint = (path: string) => new URL(path, baseUrl);
+  const list = await fetchJson<ApiTermList>(endpoint("/api/terms"));
+  const terms = await Promise.all(
+    list.terms.map(async ({ id, label, files }) => {
+      const [current, cumulative] = await Promise.all(
+        DATASET_KINDS.map((kind) =>
+          fetchJson<DistributionDataset>(
+            endpoint(`/api/terms/${encodeURIComponent(id)}/${kind}`)
+          )
+        )
+      );
+      return { id, label, files, datasets: { current, cumulative } };
+    })
+  );
+  return { terms, privacy: resolvePrivacyPolicy(list.privacy) };
+};
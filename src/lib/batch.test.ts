@@ -0,0 +1,140 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeBatchRanks,
+  formatBatchCsv,
+  parseBatchCsv,
+  parseBatchJson,
+  toBatchTable,
+} from "./batch";
+import { en } from "../i18n/en";
+import { parseDistributionCsv } from "./distribution";
+import { DEFAULT_PRIVACY_POLICY } from "./privacy";
+
+const DATASET = parseDistributionCsv(
+  [
+    "学部,学科,学年,0.00-0.99,1.00-1.99,2.00-2.99,3.00-4.00",
+    "工学部,情報学科,1,5,10,15,10",
+    "工学部,機械学科,1,2,2,2,2",
+  ].join("\n")
+);
+
+describe("parseBatchCsv", () => {
+  it("日本語の列名を読み、それ以外の列を extra に残す", () => {
+    expect(
+      parseBatchCsv('学籍番号,学科,学年,GPA\n"A,01",情報学科,1回生,３.５\n')
+    ).toEqual([
+      {
+        line: 2,
+        faculty: null,
+        major: "情報学科",
+        grade: 1,
+        gpa: 3.5,
+        extra: { 学籍番号: "A,01" },
+      },
+    ]);
+  });
+
+  it("必須の列がなければエラーにする", () => {
+    expect(() => parseBatchCsv("major,grade\n情報学科,1")).toThrow(/gpa/);
+    expect(() => parseBatchCsv("")).toThrow();
+  });
+
+  it("エラー文を指定した言語にする", () => {
+    expect(() => parseBatchCsv("", en)).toThrow(en.batch.emptyInput);
+    expect(() => parseBatchJson("[1]", en)).toThrow(en.batch.notObject(1));
+  });
+});
+
+describe("parseBatchJson", () => {
+  it("オブジェクトの配列を読み込む", () => {
+    expect(
+      parseBatchJson(
+        '[{"faculty":"工学部","major":"情報学科","grade":1,"gpa":3}]'
+      )
+    ).toMatchObject([{ line: 1, faculty: "工学部", grade: 1, gpa: 3 }]);
+    expect(() => parseBatchJson('{"major":"情報学科"}')).toThrow();
+    expect(() => parseBatchJson("[1]")).toThrow();
+  });
+});
+
+describe("computeBatchRanks", () => {
+  const rows = parseBatchCsv(
+    [
+      "id,major,grade,gpa",
+      "1,情報学科,1,3.5",
+      "2,機械学科,1,3.5",
+      "3,物理学科,1,3.5",
+      "4,情報学科,1,x",
+    ].join("\n")
+  );
+  const results = computeBatchRanks(
+    DATASET,
+    rows,
+    "uniform",
+    DEFAULT_PRIVACY_POLICY
+  );
+
+  it("学科×学年の順位と平均を求め、学部を補う", () => {
+    expect(results[0]).toMatchObject({
+      faculty: "工学部",
+      total: 40,
+      disclosure: { kind: "exact", rank: 6 },
+      error: null,
+    });
+    expect(results[0].average).not.toBeNull();
+  });
+
+  it("少人数の集団は順位も平均も示さない", () => {
+    expect(results[1].disclosure?.kind).toBe("withheld");
+    expect(results[1].average).toBeNull();
+  });
+
+  it("データのない学科と数値でない GPA は行ごとのエラーにする", () => {
+    expect(results[2].error).not.toBeNull();
+    expect(results[3].error).not.toBeNull();
+  });
+
+  it("入力の追加の列を先頭に並べた表と BOM 付き CSV にする", () => {
+    const table = toBatchTable(results);
+    expect(table[0][0]).toBe("id");
+    expect(table[1][0]).toBe("1");
+    expect(table).toHaveLength(5);
+    expect(formatBatchCsv(results).startsWith("﻿id,")).toBe(true);
+  });
+
+  it("ビンの間の隙間にある小数第 3 位までの GPA は前のビンで順位を求める", () => {
+    const [gap, lower] = computeBatchRanks(
+      DATASET,
+      parseBatchCsv("major,grade,gpa\n情報学科,1,1.995\n情報学科,1,1.99"),
+      "uniform",
+      DEFAULT_PRIVACY_POLICY
+    );
+    expect(gap.disclosure).toEqual(lower.disclosure);
+    expect(gap.text).toBe(lower.text);
+  });
+
+  it("見出しを指定した言語にする", () => {
+    const [header] = toBatchTable(results, en);
+    expect(header).toContain("GPA");
+    expect(header).not.toContain("学科");
+  });
+
+  it("学部・学科名を指定した言語の表示名にする", () => {
+    const [, row] = toBatchTable(
+      computeBatchRanks(
+        parseDistributionCsv(
+          "学部,学科,学年,0.00-1.99,2.00-4.00\n理工学部,数理科学科,1,20,20"
+        ),
+        parseBatchCsv("major,grade,gpa\n数理科学科,1,3"),
+        "uniform",
+        DEFAULT_PRIVACY_POLICY,
+        en
+      ),
+      en
+    );
+    expect(row.slice(0, 2)).toEqual([
+      "College of Science and Engineering",
+      "Department of Mathematical Sciences",
+    ]);
+  });
+});
@@ -0,0 +1,287 @@
+import { detectDelimiter, formatCsvRow, parseDelimited, stripBom } from "./csv";
+import {
+  computeRankInfo,
+  findBinIndex,
+  parseGradeCell,
+  weightedAverage,
+} from "./distribution";
+import { buildReferenceGroups, facultyLabel } from "./hierarchy";
+import { canDisclose, discloseRank, formatRankDisclosure } from "./privacy";
+import type { RankDisclosure } from "./privacy";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type {
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+} from "../types";
+
+/** 一括計算の入力 1 行。学部・学科・学年・GPA 以外の列（学籍番号など）は `extra` にそのまま残します */
+export type BatchRankRow = {
+  /** 入力ファイルでの行番号（JSON では配列の 1 始まりの位置） */
+  line: number;
+  faculty: string | null;
+  major: string;
+  grade: number | null;
+  gpa: number | null;
+  extra: Record<string, string>;
+};
+
+export type BatchRankResult = {
+  row: BatchRankRow;
+  /** 学部を省略した行は、学科から補った学部名 */
+  faculty: string;
+  total: number | null;
+  disclosure: RankDisclosure | null;
+  /** 画面と同じ順位の表示文 */
+  text: string;
+  /** 学科×学年の平均 GPA */
+  average: number | null;
+  /** 学部×学年の平均 GPA */
+  gradeAverage: number | null;
+  error: string | null;
+};
+
+/** 入力の列名（英語・日本語のどちらでも可） */
+const COLUMN_ALIASES: Record<"faculty" | "major" | "grade" | "gpa", string[]> =
+  {
+    faculty: ["faculty", "学部"],
+    major: ["major", "学科"],
+    grade: ["grade", "学年"],
+    gpa: ["gpa", "GPA"],
+  };
+
+const findColumn = (names: string[], key: keyof typeof COLUMN_ALIASES) =>
+  names.find((name) =>
+    COLUMN_ALIASES[key].some(
+      (alias) =>
+        alias.toLowerCase() === name.normalize("NFKC").trim().toLowerCase()
+    )
+  );
+
+const toRow = (line: number, record: Record<string, unknown>): BatchRankRow => {
+  const names = Object.keys(record);
+  const text = (key: keyof typeof COLUMN_ALIASES) => {
+    const column = findColumn(names, key);
+    const value = column === undefined ? undefined : record[column];
+    return value === undefined || value === null ? "" : String(value).trim();
+  };
+  const used = new Set(
+    (Object.keys(COLUMN_ALIASES) as (keyof typeof COLUMN_ALIASES)[]).map(
+      (key) => findColumn(names, key)
+    )
+  );
+  const gpaText = text("gpa").normalize("NFKC");
+  const gpa = gpaText === "" ? NaN : Number(gpaText);
+  return {
+    line,
+    faculty: text("faculty") || null,
+    major: text("major").normalize("NFKC"),
+    grade: parseGradeCell(text("grade")),
+    gpa: Number.isFinite(gpa) ? gpa : null,
+    extra: Object.fromEntries(
+      names
+        .filter((name) => !used.has(name))
+        .map((name) => [name, String(record[name] ?? "")])
+    ),
+  };
+};
+
+/**
+ * `major, grade, gpa`（省略可の `faculty` と任意の列を含む）の CSV / TSV を読み込みます。
+ * 見出し行は必須で、列名は英語・日本語（学部・学科・学年・GPA）のどちらでも構いません。
+ */
+export const parseBatchCsv = (
+  raw: string,
+  messages: Messages = ja
+): BatchRankRow[] => {
+  const { text } = stripBom(raw);
+  const { rows, unterminatedAt } = parseDelimited(text, detectDelimiter(text));
+  if (unterminatedAt !== null) {
+    throw new Error(messages.batch.unterminatedQuote(unterminatedAt));
+  }
+  const [header, ...body] = rows;
+  if (!header) {
+    throw new Error(messages.batch.emptyInput);
+  }
+  const names = header.cells.map((cell) => cell.trim());
+  (["major", "grade", "gpa"] as const).forEach((key) => {
+    if (!findColumn(names, key)) {
+      throw new Error(messages.batch.missingColumn(COLUMN_ALIASES[key]));
+    }
+  });
+  return body.map(({ cells, lineNumber }) =>
+    toRow(
+      lineNumber,
+      Object.fromEntries(names.map((name, index) => [name, cells[index] ?? ""]))
+    )
+  );
+};
+
+/** `[{ "major": "情報学科", "grade": 2, "gpa": 3.1 }, ...]` 形式の JSON を読み込みます。 */
+export const parseBatchJson = (
+  raw: string,
+  messages: Messages = ja
+): BatchRankRow[] => {
+  const parsed: unknown = JSON.parse(stripBom(raw).text);
+  if (!Array.isArray(parsed)) {
+    throw new Error(messages.batch.notArray);
+  }
+  return parsed.map((item, index) => {
+    if (typeof item !== "object" || item === null) {
+      throw new Error(messages.batch.notObject(index + 1));
+    }
+    return toRow(index + 1, item as Record<string, unknown>);
+  });
+};
+
+/**
+ * 各行の GPA について、学科×学年の推定順位・上位 % と学科×学年・学部×学年の平均を求めます。
+ * 計算と少人数の集団の扱いは画面の「平均 GPA・順位」と同じです。
+ */
+export const computeBatchRanks = (
+  dataset: DistributionDataset,
+  rows: BatchRankRow[],
+  method: EstimationMethod,
+  privacy: PrivacyPolicy,
+  messages: Messages = ja
+): BatchRankResult[] =>
+  rows.map((row) => {
+    const segment = dataset.segments.find(
+      (candidate) =>
+        candidate.major === row.major &&
+        candidate.grade === row.grade &&
+        (row.faculty === null || candidate.faculty === row.faculty)
+    );
+    const failed = (error: string): BatchRankResult => ({
+      row,
+      faculty: row.faculty ?? "",
+      total: null,
+      disclosure: null,
+      text: "",
+      average: null,
+      gradeAverage: null,
+      error,
+    });
+    if (row.gpa === null) {
+      return failed(messages.batch.gpaNotNumber);
+    }
+    if (!segment) {
+      const label =
+        row.grade === null
+          ? messages.name(row.major)
+          : messages.segment(row.major, row.grade);
+      return failed(
+        messages.batch.noSegment(
+          row.faculty
+            ? `${facultyLabel(row.faculty, messages)} ${label}`
+            : label
+        )
+      );
+    }
+
+    const groups = buildReferenceGroups(dataset.segments, dataset.bins.length, {
+      faculty: segment.faculty,
+      major: segment.major,
+      grade: segment.grade,
+    });
+    const averageOf = (level: string) => {
+      const group = groups.find((candidate) => candidate.level === level);
+      return group && canDisclose(group.total, privacy)
+        ? weightedAverage(group.counts, dataset.bins, method)
+        : null;
+    };
+    const disclosure = discloseRank(
+      computeRankInfo(segment, dataset.bins, row.gpa, method),
+      segment.total,
+      segment.counts[findBinIndex(dataset.bins, row.gpa)] ?? 0,
+      privacy,
+      messages
+    );
+
+    return {
+      row,
+      faculty: segment.faculty,
+      total: segment.total,
+      disclosure,
+      text: formatRankDisclosure(disclosure, messages),
+      average: averageOf("department-grade"),
+      gradeAverage: averageOf("faculty-grade"),
+      error: null,
+    };
+  });
+
+/** 出力の列（CSV と表で共通）。入力の追加の列は先頭に並べ、学部・学科名は表示名にします */
+const batchColumns = (
+  messages: Messages
+): [string, (result: BatchRankResult) => string][] => {
+  const { columns } = messages.batch;
+  return [
+    [
+      columns.faculty,
+      // 学部を補えなかったエラーの行は、入力の学部名（空欄を含む）をそのまま示す
+      (result) =>
+        result.error === null
+          ? facultyLabel(result.faculty, messages)
+          : messages.name(result.faculty),
+    ],
+    [columns.major, (result) => messages.name(result.row.major)],
+    [
+      columns.grade,
+      (result) => (result.row.grade === null ? "" : String(result.row.grade)),
+    ],
+    [
+      columns.gpa,
+      (result) => (result.row.gpa === null ? "" : String(result.row.gpa)),
+    ],
+    [
+      columns.total,
+      (result) => (result.total === null ? "" : String(result.total)),
+    ],
+    [
+      columns.rank,
+      (result) =>
+        result.disclosure?.kind === "exact"
+          ? String(result.disclosure.rank)
+          : "",
+    ],
+    [
+      columns.percentile,
+      (result) =>
+        result.disclosure?.kind === "exact"
+          ? result.disclosure.percentile.toFixed(1)
+          : "",
+    ],
+    [columns.text, (result) => result.text],
+    [columns.average, (result) => result.average?.toFixed(3) ?? ""],
+    [columns.gradeAverage, (result) => result.gradeAverage?.toFixed(3) ?? ""],
+    [columns.error, (result) => result.error ?? ""],
+  ];
+};
+
+/** 一括計算の結果を見出し付きのセルの表にします。 */
+export const toBatchTable = (
+  results: BatchRankResult[],
+  messages: Messages = ja
+): string[][] => {
+  const columns = batchColumns(messages);
+  const extraColumns = Array.from(
+    new Set(results.flatMap((result) => Object.keys(result.row.extra)))
+  );
+  return [
+    [...extraColumns, ...columns.map(([name]) => name)],
+    ...results.map((result) => [
+      ...extraColumns.map((name) => result.row.extra[name] ?? ""),
+      ...columns.map(([, value]) => value(result)),
+    ]),
+  ];
+};
+
+/** 一括計算の結果を、Excel でそのまま開ける BOM 付き CSV にします。 */
+export const formatBatchCsv = (
+  results: BatchRankResult[],
+  messages: Messages = ja
+) =>
+  `\uFEFF${toBatchTable(results, messages)
+    .map((cells) => formatCsvRow(cells))
+    .join("\n")}\n`;
@@ -0,0 +1,156 @@
+import { aggregateSegments, sumCounts, weightedAverage } from "./distribution";
+import { facultyLabel, listFaculties } from "./hierarchy";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type { BinRange, EstimationMethod, SegmentDistribution } from "../types";
+
+/** 比較対象として選べる集団（学科×学年、学部×学年、学部、全学） */
+export type ComparisonTarget = {
+  key: string;
+  label: string;
+  counts: number[];
+  total: number;
+};
+
+export type PairwiseComparison = {
+  a: ComparisonTarget;
+  b: ComparisonTarget;
+  /** a の平均 − b の平均 */
+  meanDifference: number | null;
+  /** 2 つの相対度数分布が重なる割合（0〜1） */
+  overlap: number;
+  /** 累積分布の差の最大値（0〜1、コルモゴロフ–スミルノフ統計量） */
+  maxCumulativeGap: number;
+  /** 累積分布の差が最大となるビンの添字 */
+  maxGapBinIndex: number;
+};
+
+export const segmentTargetKey = (segment: SegmentDistribution) =>
+  `segment:${segment.faculty}:${segment.major}:${segment.grade}`;
+
+export const facultyGradeTargetKey = (faculty: string, grade: number) =>
+  `faculty-grade:${faculty}:${grade}`;
+
+export const facultyTargetKey = (faculty: string) => `faculty:${faculty}`;
+
+export const OVERALL_TARGET_KEY = "overall";
+
+/** データセット内の全セグメント・学部×学年・学部・全学を比較対象の一覧にします。 */
+export const buildComparisonTargets = (
+  segments: SegmentDistribution[],
+  binLength: number,
+  messages: Messages = ja
+): ComparisonTarget[] => {
+  const faculties = listFaculties(segments);
+  const showFaculty = faculties.length > 1;
+
+  return [
+    ...segments.map((segment) => ({
+      key: segmentTargetKey(segment),
+      label: `${
+        showFaculty ? `${facultyLabel(segment.faculty, messages)} ` : ""
+      }${messages.segment(segment.major, segment.grade)}`,
+      counts: segment.counts,
+      total: segment.total,
+    })),
+    ...faculties.flatMap((faculty) => {
+      const facultySegments = segments.filter(
+        (segment) => segment.faculty === faculty
+      );
+      const grades = Array.from(
+        new Set(
+          facultySegments.map((segment) => segment.grade).filter((g) => g > 0)
+        )
+      ).sort((a, b) => a - b);
+      return [
+        ...grades.map((grade) => ({
+          key: facultyGradeTargetKey(faculty, grade),
+          label: messages.hierarchy.facultyGradeWhole(
+            facultyLabel(faculty, messages),
+            grade
+          ),
+          ...aggregateSegments(
+            facultySegments.filter((segment) => segment.grade === grade),
+            binLength
+          ),
+        })),
+        {
+          key: facultyTargetKey(faculty),
+          label: messages.hierarchy.allGrades(facultyLabel(faculty, messages)),
+          ...aggregateSegments(facultySegments, binLength),
+        },
+      ];
+    }),
+    {
+      key: OVERALL_TARGET_KEY,
+      label: messages.hierarchy.university,
+      ...aggregateSegments(segments, binLength),
+    },
+  ];
+};
+
+/** 人数を合計に対する割合（%）に変換します。 */
+export const toShares = (counts: number[]) => {
+  const total = sumCounts(counts);
+  return counts.map((count) => (total === 0 ? 0 : (count / total) * 100));
+};
+
+/** GPA の低いビンから積み上げた割合（0〜1）を返します。 */
+export const cumulativeShares = (counts: number[]) => {
+  let running = 0;
+  return toShares(counts).map((share) => {
+    running += share;
+    return running / 100;
+  });
+};
+
+export const compareDistributions = (
+  a: ComparisonTarget,
+  b: ComparisonTarget,
+  bins: BinRange[],
+  method: EstimationMethod = "uniform"
+): PairwiseComparison => {
+  const sharesA = toShares(a.counts);
+  const sharesB = toShares(b.counts);
+  const overlap =
+    sharesA.reduce(
+      (sum, share, index) => sum + Math.min(share, sharesB[index] ?? 0),
+      0
+    ) / 100;
+
+  const cumulativeA = cumulativeShares(a.counts);
+  const cumulativeB = cumulativeShares(b.counts);
+  let maxCumulativeGap = 0;
+  let maxGapBinIndex = 0;
+  cumulativeA.forEach((value, index) => {
+    const gap = Math.abs(value - (cumulativeB[index] ?? 0));
+    if (gap > maxCumulativeGap) {
+      maxCumulativeGap = gap;
+      maxGapBinIndex = index;
+    }
+  });
+
+  const meanA = weightedAverage(a.counts, bins, method);
+  const meanB = weightedAverage(b.counts, bins, method);
+
+  return {
+    a,
+    b,
+    meanDifference: meanA === null || meanB === null ? null : meanA - meanB,
+    overlap,
+    maxCumulativeGap,
+    maxGapBinIndex,
+  };
+};
+
+/** 選択した集団のすべての組み合わせについて {@link compareDistributions} を求めます。 */
+export const comparePairwise = (
+  targets: ComparisonTarget[],
+  bins: BinRange[],
+  method: EstimationMethod = "uniform"
+) =>
+  targets.flatMap((a, index) =>
+    targets
+      .slice(index + 1)
+      .map((b) => compareDistributions(a, b, bins, method))
+  );
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import {
+  decodeCsvBytes,
+  detectDelimiter,
+  formatCsvRow,
+  parseDelimited,
+  stripBom,
+} from "./csv";
+
+describe("decodeCsvBytes", () => {
+  it("BOM 付き UTF-8 は BOM を除いて読み込む", () => {
+    const bytes = new TextEncoder().encode("﻿学科,1");
+    expect(decodeCsvBytes(bytes)).toEqual({
+      text: "学科,1",
+      encoding: "utf-8-bom",
+    });
+  });
+
+  it("UTF-8 として不正なバイト列は Shift_JIS として読み込む", () => {
+    // 「学科」の Shift_JIS
+    const bytes = new Uint8Array([0x8a, 0x77, 0x89, 0xc8, 0x2c, 0x31]);
+    expect(decodeCsvBytes(bytes)).toEqual({
+      text: "学科,1",
+      encoding: "shift_jis",
+    });
+  });
+
+  it("BOM のない UTF-8 はそのまま読み込む", () => {
+    const bytes = new TextEncoder().encode("学科,1");
+    expect(decodeCsvBytes(bytes).encoding).toBe("utf-8");
+  });
+});
+
+describe("stripBom", () => {
+  it("先頭の BOM だけを取り除く", () => {
+    expect(stripBom("﻿a,b")).toEqual({
+      text: "a,b",
+      encoding: "utf-8-bom",
+    });
+    expect(stripBom("a,b").encoding).toBe("utf-8");
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("1 行目で最も多い区切り文字を選ぶ", () => {
+    expect(detectDelimiter("a\tb\tc\n1\t2\t3")).toBe("\t");
+    expect(detectDelimiter("a;b;c")).toBe(";");
+    expect(detectDelimiter("a,b,c")).toBe(",");
+  });
+
+  it("引用符の中の区切り文字は数えない", () => {
+    expect(detectDelimiter('"a,b,c";d;e')).toBe(";");
+  });
+});
+
+describe("parseDelimited", () => {
+  it("引用符で囲んだ区切り文字・改行・二重引用符をセルの値として扱う", () => {
+    const { rows, unterminatedAt } = parseDelimited(
+      'name,note\n"情報,学科","1 行目\n2 行目"\n"a ""b""",c\n',
+      ","
+    );
+    expect(unterminatedAt).toBeNull();
+    expect(rows).toEqual([
+      { cells: ["name", "note"], lineNumber: 1 },
+      { cells: ["情報,学科", "1 行目\n2 行目"], lineNumber: 2 },
+      { cells: ['a "b"', "c"], lineNumber: 4 },
+    ]);
+  });
+
+  it("CRLF の改行と空行を扱う", () => {
+    const { rows } = parseDelimited("a,b\r\n\r\n1,2\r\n", ",");
+    expect(rows).toEqual([
+      { cells: ["a", "b"], lineNumber: 1 },
+      { cells: ["1", "2"], lineNumber: 3 },
+    ]);
+  });
+
+  it("閉じられていない引用符の開始行を返す", () => {
+    expect(parseDelimited('a,b\n"c,d\n', ",").unterminatedAt).toBe(2);
+  });
+});
+
+describe("formatCsvRow", () => {
+  it("区切り文字・引用符・改行を含むセルだけを引用符で囲む", () => {
+    expect(formatCsvRow(["a", "b,c", 'd"e', "f\ng"])).toBe(
+      'a,"b,c","d""e","f\ng"'
+    );
+  });
+
+  it("書き出した行を読み込むと元のセルに戻る", () => {
+    const cells = ["情報,学科", '"引用"', "3.25"];
+    expect(parseDelimited(formatCsvRow(cells), ",").rows[0].cells).toEqual(
+      cells
+    );
+  });
+});
@@ -0,0 +1,154 @@
+import type { CsvDelimiter, CsvEncoding } from "../types";
+
+export type CsvRow = {
+  cells: string[];
+  /** 行の先頭がファイル内で何行目か（1 始まり） */
+  lineNumber: number;
+};
+
+export type DecodedText = {
+  text: string;
+  encoding: CsvEncoding;
+};
+
+const BOM = "\uFEFF";
+
+export const stripBom = (raw: string): DecodedText =>
+  raw.startsWith(BOM)
+    ? { text: raw.slice(BOM.length), encoding: "utf-8-bom" }
+    : { text: raw, encoding: "utf-8" };
+
+/**
+ * バイト列を文字列に変換します。BOM があれば UTF-8、UTF-8 として不正な
+ * バイト列であれば Shift_JIS とみなします。
+ */
+export const decodeCsvBytes = (
+  bytes: ArrayBuffer | Uint8Array
+): DecodedText => {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+  if (view[0] === 0xef && view[1] === 0xbb && view[2] === 0xbf) {
+    return {
+      text: new TextDecoder("utf-8").decode(view.subarray(3)),
+      encoding: "utf-8-bom",
+    };
+  }
+
+  try {
+    return {
+      text: new TextDecoder("utf-8", { fatal: true }).decode(view),
+      encoding: "utf-8",
+    };
+  } catch {
+    return {
+      text: new TextDecoder("shift_jis").decode(view),
+      encoding: "shift_jis",
+    };
+  }
+};
+
+const DELIMITER_CANDIDATES: CsvDelimiter[] = [",", "\t", ";"];
+
+/** 先頭行（引用符の外側）で最も多く現れる区切り文字を返します。 */
+export const detectDelimiter = (text: string): CsvDelimiter => {
+  const counts = new Map<CsvDelimiter, number>(
+    DELIMITER_CANDIDATES.map((candidate) => [candidate, 0])
+  );
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === "\n" || char === "\r")) {
+      break;
+    } else if (!inQuotes && counts.has(char as CsvDelimiter)) {
+      const delimiter = char as CsvDelimiter;
+      counts.set(delimiter, (counts.get(delimiter) ?? 0) + 1);
+    }
+  }
+
+  return DELIMITER_CANDIDATES.reduce((best, candidate) =>
+    (counts.get(candidate) ?? 0) > (counts.get(best) ?? 0) ? candidate : best
+  );
+};
+
+/**
+ * RFC 4180 に従って区切りテキストを行とセルに分割します。
+ * 引用符で囲まれたセル内の区切り文字・改行・二重引用符（""）を扱えます。
+ * 閉じられていない引用符があった場合は `unterminatedAt` にその行番号を返します。
+ */
+export const parseDelimited = (text: string, delimiter: CsvDelimiter) => {
+  const rows: CsvRow[] = [];
+  let cells: string[] = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+  let quoteStart = 0;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim().length > 0)) {
+      rows.push({ cells, lineNumber: rowStart });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[index + 1] === '"') {
+          cell += '"';
+          index += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === "\n") {
+          line += 1;
+        }
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell.trim() === "") {
+      cell = "";
+      inQuotes = true;
+      quoteStart = line;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index += 1;
+      }
+      endRow();
+      line += 1;
+      rowStart = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  endRow();
+
+  return { rows, unterminatedAt: inQuotes ? quoteStart : null };
+};
+
+/** セルを RFC 4180 に従って必要な場合だけ引用符で囲み、1 行に連結します。 */
+export const formatCsvRow = (
+  cells: (string | number)[],
+  delimiter: CsvDelimiter = ","
+) =>
+  cells
+    .map((cell) => {
+      const text = String(cell);
+      return /["\r\n]/.test(text) || text.includes(delimiter)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    })
+    .join(delimiter);
@@ -0,0 +1,176 @@
+import { describe, expect, it } from "vitest";
+import { en } from "../i18n/en";
+import {
+  computeRankInfo,
+  findBinIndex,
+  formatCsvIssue,
+  inspectDistributionBytes,
+  inspectDistributionCsv,
+  mergeDatasets,
+  parseDistributionCsv,
+  weightedAverage,
+} from "./distribution";
+
+const CSV = [
+  "学科/学年,0.00-0.99,1.00-1.99,2.00-2.99,3.00-4.00",
+  "情報学科 1回生,1,2,3,4",
+  "情報学科 2回生,,5,10,5",
+].join("\n");
+
+describe("inspectDistributionCsv", () => {
+  it("学科・学年の 1 列の見出しを読み込む", () => {
+    const { dataset, format, issues } = inspectDistributionCsv(
+      CSV,
+      undefined,
+      "工学部"
+    );
+    expect(issues).toEqual([]);
+    expect(format).toEqual({
+      encoding: "utf-8",
+      delimiter: ",",
+      labelColumns: 1,
+    });
+    expect(dataset.bins.map((bin) => [bin.min, bin.max])).toEqual([
+      [0, 0.99],
+      [1, 1.99],
+      [2, 2.99],
+      [3, 4],
+    ]);
+    expect(dataset.segments[1]).toEqual({
+      faculty: "工学部",
+      major: "情報学科",
+      grade: 2,
+      label: "情報学科 2回生",
+      counts: [0, 5, 10, 5],
+      total: 20,
+    });
+  });
+
+  it("学部・学科・学年の 3 列の TSV を読み込む", () => {
+    const { dataset, format } = inspectDistributionCsv(
+      "学部\t学科\t学年\t0-1.99\t2-4\n理学部\t数学科\t3年\t4\t6\n"
+    );
+    expect(format.delimiter).toBe("\t");
+    expect(format.labelColumns).toBe(3);
+    expect(dataset.segments[0]).toMatchObject({
+      faculty: "理学部",
+      major: "数学科",
+      grade: 3,
+      total: 10,
+    });
+  });
+
+  it("行ごとの問題点を行番号とともに報告する", () => {
+    const { issues } = inspectDistributionCsv(
+      [
+        "学科/学年,0.00-1.99,2.00-4.00",
+        "情報学科,1,2",
+        "情報学科 1回生,x,2",
+        "情報学科 1回生,1,2,9",
+      ].join("\n")
+    );
+    expect(issues.map(({ kind, line }) => [kind, line])).toEqual([
+      ["missing-grade", 2],
+      ["non-numeric", 3],
+      ["duplicate-segment", 4],
+      ["extra-cells", 4],
+    ]);
+  });
+
+  it("問題点は表示言語の文言にする", () => {
+    const { issues } = inspectDistributionCsv(
+      "学科/学年,0.00-1.99,2.00-4.00\n情報学科 1回生,x,2"
+    );
+    expect(formatCsvIssue(issues[0])).toContain("情報学科 1回生");
+    expect(formatCsvIssue(issues[0], en)).not.toBe(formatCsvIssue(issues[0]));
+  });
+
+  it("Shift_JIS のバイト列から読み込む", () => {
+    // 「学科/学年,0-4\n」「科 1回生,5」を Shift_JIS で表したもの
+    const bytes = new Uint8Array([
+      0x8a, 0x77, 0x89, 0xc8, 0x2f, 0x8a, 0x77, 0x94, 0x4e, 0x2c, 0x30, 0x2d,
+      0x34, 0x0a, 0x89, 0xc8, 0x20, 0x31, 0x89, 0xf1, 0x90, 0xb6, 0x2c, 0x35,
+    ]);
+    const { dataset, format } = inspectDistributionBytes(bytes);
+    expect(format.encoding).toBe("shift_jis");
+    expect(dataset.segments[0]).toMatchObject({
+      major: "科",
+      grade: 1,
+      total: 5,
+    });
+  });
+});
+
+describe("parseDistributionCsv", () => {
+  it("ビンの見出しが不正な場合はエラーにする", () => {
+    expect(() =>
+      parseDistributionCsv("学科/学年,abc\n情報学科 1回生,1")
+    ).toThrow();
+  });
+});
+
+describe("mergeDatasets", () => {
+  it("学部ごとのデータセットを 1 つにまとめ、重複はエラーにする", () => {
+    const engineering = parseDistributionCsv(CSV, "工学部");
+    const science = parseDistributionCsv(CSV, "理学部");
+    expect(mergeDatasets([engineering, science]).segments).toHaveLength(4);
+    expect(() => mergeDatasets([engineering, engineering])).toThrow();
+  });
+});
+
+describe("findBinIndex", () => {
+  const { bins } = parseDistributionCsv(CSV);
+
+  it("ビンの上端の GPA はそのビンに、範囲外の GPA は両端のビンに入れる", () => {
+    expect(findBinIndex(bins, 0.99)).toBe(0);
+    expect(findBinIndex(bins, 2)).toBe(2);
+    expect(findBinIndex(bins, -1)).toBe(0);
+    expect(findBinIndex(bins, 4.5)).toBe(3);
+  });
+
+  it("ビンの間の隙間にある GPA は前のビンに入れる", () => {
+    expect(findBinIndex(bins, 0.995)).toBe(0);
+    expect(findBinIndex(bins, 2.999)).toBe(2);
+  });
+});
+
+describe("computeRankInfo", () => {
+  const { bins, segments } = parseDistributionCsv(CSV);
+
+  it("小数第 3 位までの GPA でも前後の GPA と連続した順位になる", () => {
+    const rankOf = (gpa: number) =>
+      computeRankInfo(segments[0], bins, gpa).rank;
+    expect(rankOf(1.995)).toBeCloseTo(rankOf(1.99) ?? NaN);
+    expect(rankOf(1.995)).toBeCloseTo(rankOf(2) ?? NaN);
+  });
+
+  it("上のビンの人数とビン内の位置から順位を推定する", () => {
+    // 3.00-4.00 の 4 名の中央なので、上に 2 名
+    const info = computeRankInfo(segments[0], bins, 3.5);
+    expect(info.rank).toBeCloseTo(3);
+    expect(info.percentile).toBeCloseTo(30);
+    expect(info.bestRank).toBe(1);
+    expect(info.worstRank).toBe(4);
+  });
+
+  it("人数 0 の集団では推定しない", () => {
+    expect(
+      computeRankInfo({ counts: [0, 0, 0, 0], total: 0 }, bins, 2).rank
+    ).toBeNull();
+  });
+});
+
+describe("weightedAverage", () => {
+  it("人数 0 なら null を返す", () => {
+    expect(weightedAverage([0, 0], parseDistributionCsv(CSV).bins)).toBeNull();
+  });
+
+  it("一様分布ではビンの中央、他の推定方法では人数の多い隣のビンの側に寄る", () => {
+    const { bins } = parseDistributionCsv(CSV);
+    const counts = [0, 0, 10, 10];
+    expect(weightedAverage(counts, bins)).toBeCloseTo((2.495 + 3.5) / 2);
+    expect(weightedAverage(counts, bins, "linear")).toBeGreaterThan(
+      weightedAverage(counts, bins) ?? Infinity
+    );
+  });
+});
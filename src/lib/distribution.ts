@@ -0,0 +1,613 @@
+import {
+  decodeCsvBytes,
+  detectDelimiter,
+  formatCsvRow,
+  parseDelimited,
+  stripBom,
+} from "./csv";
+import { fractionAboveInBin, momentsInBin, positionInBin } from "./estimation";
+import { rebinDataset } from "./rebin";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type {
+  BinRange,
+  CsvEncoding,
+  CsvFormat,
+  CsvInspection,
+  CsvIssue,
+  DistributionDataset,
+  EstimationMethod,
+  SegmentDistribution,
+} from "../types";
+
+export const EMPTY_DATASET: DistributionDataset = { bins: [], segments: [] };
+
+export const sumCounts = (counts: number[]) =>
+  counts.reduce((sum, value) => sum + value, 0);
+
+/** 推定方法で仮定したビン内の分布の下での平均 GPA を求めます。 */
+export const weightedAverage = (
+  counts: number[],
+  bins: BinRange[],
+  method: EstimationMethod = "uniform"
+): number | null => {
+  const total = sumCounts(counts);
+  if (total === 0) {
+    return null;
+  }
+
+  const totalScore = counts.reduce((acc, count, index) => {
+    const bin = bins[index];
+    if (!bin || count === 0) {
+      return acc;
+    }
+    const [position] = momentsInBin(counts, index, method);
+    return acc + count * (bin.min + (bin.max - bin.min) * position);
+  }, 0);
+
+  return totalScore / total;
+};
+
+export const aggregateSegments = (
+  segments: SegmentDistribution[],
+  binLength: number
+) => {
+  const counts = Array.from({ length: binLength }, () => 0);
+  let total = 0;
+
+  segments.forEach((segment) => {
+    segment.counts.forEach((value, index) => {
+      counts[index] = (counts[index] ?? 0) + value;
+    });
+    total += segment.total;
+  });
+
+  return { counts, total };
+};
+
+export const parseRange = (label: string): BinRange => {
+  const match = label
+    .normalize("NFKC")
+    .match(/^(\d+(?:\.\d+)?)\s*[-–~〜]\s*(\d+(?:\.\d+)?)(?:\s*[^\d]*)?$/);
+  if (!match) {
+    throw new Error(`範囲ラベルの形式が不正です: ${label}`);
+  }
+  return {
+    label,
+    min: Number.parseFloat(match[1]),
+    max: Number.parseFloat(match[2]),
+  };
+};
+
+const GRADE_SUFFIX = "(?:回生|年生|年次|年)";
+
+/** `1`、`1回生`、`1年` などの学年セルを数値に変換します。 */
+export const parseGradeCell = (cell: string): number | null => {
+  const match = cell
+    .normalize("NFKC")
+    .trim()
+    .match(new RegExp(`^(\\d+)\\s*${GRADE_SUFFIX}?$`));
+  return match ? Number.parseInt(match[1], 10) : null;
+};
+
+/** `情報学科 1回生` や `情報理工学科 1年` を学科と学年に分解します。 */
+export const parseSegmentLabel = (
+  label: string
+): { major: string; grade: number } | null => {
+  const match = label
+    .normalize("NFKC")
+    .trim()
+    .match(new RegExp(`^(.*?)\\s*(\\d+)\\s*${GRADE_SUFFIX}$`));
+  if (!match || match[1].length === 0) {
+    return null;
+  }
+  return { major: match[1], grade: Number.parseInt(match[2], 10) };
+};
+
+const parseCountCell = (cell: string): number | null => {
+  const normalized = cell.normalize("NFKC").trim().replace(/,/g, "");
+  if (!/^\d+$/.test(normalized)) {
+    return null;
+  }
+  return Number.parseInt(normalized, 10);
+};
+
+const sortSegments = (segments: SegmentDistribution[]) => {
+  segments.sort((a, b) => {
+    if (a.faculty !== b.faculty) {
+      return a.faculty.localeCompare(b.faculty, "ja");
+    }
+    if (a.major === b.major) {
+      return a.grade - b.grade;
+    }
+    return a.major.localeCompare(b.major, "ja");
+  });
+};
+
+/**
+ * CSV / TSV を解析し、データセットと行単位の問題点をまとめて返します。
+ * 区切り文字と見出しの形式（`学科・学年` の 1 列、`学科,学年` の 2 列、
+ * `学部,学科,学年` の 3 列）は自動判定します。学部列がない場合は
+ * `defaultFaculty` を学部名にします。人数として解釈できないセルは 0 として
+ * 集計から除外し、問題点として報告します。
+ */
+export const inspectDistributionCsv = (
+  raw: string,
+  encoding?: CsvEncoding,
+  defaultFaculty = ""
+): CsvInspection => {
+  const decoded = stripBom(raw);
+  const delimiter = detectDelimiter(decoded.text);
+  const issues: CsvIssue[] = [];
+  const { rows, unterminatedAt } = parseDelimited(decoded.text, delimiter);
+
+  if (unterminatedAt !== null) {
+    issues.push({
+      kind: "unterminated-quote",
+      severity: "error",
+      line: unterminatedAt,
+    });
+  }
+
+  const header = rows[0];
+  const headerCells = header?.cells.map((cell) => cell.trim()) ?? [];
+  const isGradeHeader = (cell: string | undefined) =>
+    cell !== undefined && /学年|回生|年次/.test(cell);
+  const labelColumns: 1 | 2 | 3 =
+    /学部/.test(headerCells[0] ?? "") && isGradeHeader(headerCells[2])
+      ? 3
+      : isGradeHeader(headerCells[1])
+      ? 2
+      : 1;
+  const format: CsvFormat = {
+    encoding: encoding ?? decoded.encoding,
+    delimiter,
+    labelColumns,
+  };
+
+  if (!header || rows.length <= 1) {
+    issues.push({
+      kind: "empty",
+      severity: "error",
+      line: 0,
+    });
+    return { dataset: { bins: [], segments: [] }, format, issues };
+  }
+
+  const binColumns = headerCells
+    .map((cell, column) => ({ cell, column }))
+    .filter(({ cell, column }) => column >= labelColumns && cell.length > 0);
+
+  const bins: BinRange[] = [];
+  binColumns.forEach(({ cell }) => {
+    try {
+      bins.push(parseRange(cell));
+    } catch {
+      issues.push({
+        kind: "invalid-bin",
+        severity: "error",
+        line: header.lineNumber,
+        cell,
+      });
+    }
+  });
+
+  if (bins.length !== binColumns.length) {
+    return { dataset: { bins: [], segments: [] }, format, issues };
+  }
+
+  const lastBinColumn = binColumns[binColumns.length - 1]?.column ?? 0;
+  const seenLabels = new Map<string, number>();
+
+  const segments: SegmentDistribution[] = rows
+    .slice(1)
+    .flatMap(({ cells, lineNumber }) => {
+      const labelCells = cells
+        .slice(0, labelColumns)
+        .map((cell) => cell?.trim() ?? "");
+      const rawLabel = labelCells.join(" ");
+      if (!rawLabel.trim()) {
+        return [];
+      }
+
+      const faculty =
+        labelColumns === 3
+          ? labelCells[0].normalize("NFKC") || defaultFaculty
+          : defaultFaculty;
+      let major: string;
+      let grade: number;
+      if (labelColumns > 1) {
+        const gradeCell = labelCells[labelColumns - 1];
+        major = labelCells[labelColumns - 2].normalize("NFKC");
+        grade = parseGradeCell(gradeCell) ?? 0;
+        if (grade === 0) {
+          issues.push({
+            kind: "missing-grade",
+            severity: "warning",
+            line: lineNumber,
+            label: rawLabel,
+            cell: gradeCell,
+          });
+        }
+      } else {
+        const parsed = parseSegmentLabel(rawLabel);
+        major = parsed?.major ?? rawLabel;
+        grade = parsed?.grade ?? 0;
+        if (!parsed) {
+          issues.push({
+            kind: "missing-grade",
+            severity: "warning",
+            line: lineNumber,
+            label: rawLabel,
+            cell: null,
+          });
+        }
+      }
+
+      const segmentKey = `${faculty}\u0000${major}\u0000${grade}`;
+      const firstLine = seenLabels.get(segmentKey);
+      if (firstLine !== undefined) {
+        issues.push({
+          kind: "duplicate-segment",
+          severity: "error",
+          line: lineNumber,
+          label: rawLabel,
+          firstLine,
+        });
+      } else {
+        seenLabels.set(segmentKey, lineNumber);
+      }
+
+      const counts = binColumns.map(({ column }, index) => {
+        const cell = cells[column]?.trim() ?? "";
+        if (cell === "") {
+          return 0;
+        }
+        const value = parseCountCell(cell);
+        if (value === null) {
+          issues.push({
+            kind: "non-numeric",
+            severity: "error",
+            line: lineNumber,
+            label: rawLabel,
+            bin: bins[index].label,
+            cell,
+          });
+          return 0;
+        }
+        return value;
+      });
+
+      const extraCells = cells
+        .slice(lastBinColumn + 1)
+        .filter((cell) => cell.trim().length > 0);
+      if (extraCells.length > 0) {
+        issues.push({
+          kind: "extra-cells",
+          severity: "warning",
+          line: lineNumber,
+          label: rawLabel,
+          cells: extraCells,
+        });
+      }
+
+      const total = sumCounts(counts);
+
+      return [
+        {
+          faculty,
+          major,
+          grade,
+          label: labelColumns > 1 ? `${major} ${grade}回生` : rawLabel,
+          counts,
+          total,
+        },
+      ];
+    });
+
+  sortSegments(segments);
+
+  return { dataset: { bins, segments }, format, issues };
+};
+
+/** {@link inspectDistributionCsv} が報告した問題点を、表示言語の文言にします。 */
+export const formatCsvIssue = (issue: CsvIssue, messages: Messages = ja) => {
+  const text = messages.csvIssues;
+  switch (issue.kind) {
+    case "empty":
+      return text.empty;
+    case "unterminated-quote":
+      return text.unterminatedQuote;
+    case "invalid-bin":
+      return text.invalidBin(issue.cell);
+    case "non-numeric":
+      return text.nonNumeric(issue.label, issue.bin, issue.cell);
+    case "missing-grade":
+      return issue.cell === null
+        ? text.missingGradeLabel(issue.label)
+        : text.missingGradeCell(issue.label, issue.cell);
+    case "duplicate-segment":
+      return text.duplicateSegment(issue.label, issue.firstLine);
+    case "extra-cells":
+      return text.extraCells(issue.label, issue.cells);
+  }
+};
+
+/** ファイルのバイト列から文字コードを判定したうえで {@link inspectDistributionCsv} を実行します。 */
+export const inspectDistributionBytes = (
+  bytes: ArrayBuffer | Uint8Array,
+  defaultFaculty = ""
+): CsvInspection => {
+  const { text, encoding } = decodeCsvBytes(bytes);
+  return inspectDistributionCsv(text, encoding, defaultFaculty);
+};
+
+export const parseDistributionCsv = (
+  raw: string,
+  defaultFaculty = ""
+): DistributionDataset => {
+  const { dataset, issues } = inspectDistributionCsv(
+    raw,
+    undefined,
+    defaultFaculty
+  );
+  const binIssue = issues.find((issue) => issue.kind === "invalid-bin");
+  if (binIssue) {
+    throw new Error(formatCsvIssue(binIssue));
+  }
+  return dataset;
+};
+
+/**
+ * 学部ごとなど、複数のデータセットを 1 つにまとめます。
+ * ビンの区切りが異なるデータセットは、先頭のデータセットの区切りに按分してそろえます。
+ * 同じ学部・学科・学年が重複する場合はエラーにします。
+ */
+export const mergeDatasets = (
+  datasets: DistributionDataset[]
+): DistributionDataset => {
+  const [first, ...rest] = datasets;
+  if (!first) {
+    return EMPTY_DATASET;
+  }
+
+  const seen = new Set<string>();
+  const segments = [
+    first,
+    ...rest.map((dataset) => rebinDataset(dataset, first.bins)),
+  ].flatMap((dataset) => dataset.segments);
+  segments.forEach((segment) => {
+    const key = `${segment.faculty}\u0000${segment.major}\u0000${segment.grade}`;
+    if (seen.has(key)) {
+      throw new Error(
+        `${segment.faculty} ${segment.label} が複数のデータセットに含まれています`
+      );
+    }
+    seen.add(key);
+  });
+  sortSegments(segments);
+
+  return { bins: first.bins, segments };
+};
+
+/**
+ * データセットを `src/data` と同じレイアウトの CSV に変換します。
+ * 学部名を持つセグメントがある場合は `学部,学科,学年` の 3 列で出力します。
+ * 人数 0 のセルは同梱データに合わせて空欄で出力します。
+ */
+export const serializeDistributionCsv = (dataset: DistributionDataset) => {
+  const withFaculty = dataset.segments.some((segment) => segment.faculty);
+  const binLabels = dataset.bins.map((bin) => bin.label);
+  const formatCounts = (counts: number[]) =>
+    counts.map((count) => (count === 0 ? "" : count));
+
+  return (
+    [
+      withFaculty
+        ? formatCsvRow(["学部", "学科", "学年", ...binLabels])
+        : formatCsvRow(["学科/学年", ...binLabels]),
+      ...dataset.segments.map((segment) =>
+        withFaculty
+          ? formatCsvRow([
+              segment.faculty,
+              segment.major,
+              `${segment.grade}回生`,
+              ...formatCounts(segment.counts),
+            ])
+          : formatCsvRow([segment.label, ...formatCounts(segment.counts)])
+      ),
+    ].join("\n") + "\n"
+  );
+};
+
+/** 学科・学年（`faculty` を指定した場合は学部も）が一致するセグメントを探します。 */
+export const findSegment = (
+  segments: SegmentDistribution[],
+  major: string,
+  grade: number,
+  faculty?: string
+) =>
+  segments.find(
+    (segment) =>
+      segment.major === major &&
+      segment.grade === grade &&
+      (faculty === undefined || segment.faculty === faculty)
+  ) ?? null;
+
+/**
+ * GPA をビンの範囲に丸め込み、該当するビンの添字を返します。
+ * 各ビンは次のビンの下端の手前まで（`[min, 次の min)`）を受け持つため、
+ * 3.245 のようにビンの間の 0.01 の隙間にある GPA は前のビンに入ります。
+ */
+export const findBinIndex = (bins: BinRange[], gpa: number) => {
+  if (bins.length === 0) {
+    return -1;
+  }
+
+  const minBound = bins[0].min;
+  const maxBound = bins[bins.length - 1].max;
+  const clampedGpa = Math.min(Math.max(gpa, minBound), maxBound);
+
+  return bins.findIndex(
+    (_, binIndex) =>
+      binIndex === bins.length - 1 || clampedGpa < bins[binIndex + 1].min
+  );
+};
+
+export type RankInfo = {
+  rank: number | null;
+  percentile: number | null;
+  /** 同じビンの全員が自分より下だった場合の順位 */
+  bestRank: number | null;
+  /** 同じビンの全員が自分より上だった場合の順位 */
+  worstRank: number | null;
+};
+
+export const computeRankInfo = (
+  segment: Pick<SegmentDistribution, "counts" | "total"> | null,
+  bins: BinRange[],
+  rawGpa: number,
+  method: EstimationMethod = "uniform"
+): RankInfo => {
+  if (!segment || segment.total === 0 || bins.length === 0) {
+    return { rank: null, percentile: null, bestRank: null, worstRank: null };
+  }
+
+  const minBound = bins[0].min;
+  const maxBound = bins[bins.length - 1].max;
+  const sanitizedGpa = Number.isNaN(rawGpa) ? minBound : rawGpa;
+  const gpa = Math.min(Math.max(sanitizedGpa, minBound), maxBound);
+  const binIndex = findBinIndex(bins, gpa);
+
+  let higherCount = 0;
+  for (let index = bins.length - 1; index > binIndex; index -= 1) {
+    higherCount += segment.counts[index] ?? 0;
+  }
+
+  const targetBin = bins[binIndex];
+  const binCount = segment.counts[binIndex] ?? 0;
+  const rangeWidth = targetBin.max - targetBin.min;
+  const effectiveWidth = rangeWidth <= 0 ? 1 : rangeWidth;
+  const fractionAbove =
+    binCount === 0
+      ? 0
+      : fractionAboveInBin(
+          segment.counts,
+          binIndex,
+          (gpa - targetBin.min) / effectiveWidth,
+          method
+        );
+
+  const rank = higherCount + binCount * fractionAbove + 1;
+  const percentile = (rank / segment.total) * 100;
+
+  return {
+    rank,
+    percentile,
+    bestRank: higherCount + 1,
+    worstRank: higherCount + Math.max(binCount, 1),
+  };
+};
+
+export type CumulativePoint = {
+  gpa: number;
+  /** この GPA 以上の学生の割合（上位何 %）。{@link computeRankInfo} の percentile と同じ値 */
+  percentile: number;
+};
+
+/**
+ * 累積分布（オジーブ）の曲線の点を、GPA の低い順に返します。
+ * 各ビンを `samplesPerBin` 等分した位置で {@link computeRankInfo} を計算するため、
+ * 曲線から読み取れる上位 % は順位の推定と常に一致します。
+ */
+export const buildCumulativeCurve = (
+  counts: number[],
+  bins: BinRange[],
+  method: EstimationMethod = "uniform",
+  samplesPerBin = 4
+): CumulativePoint[] => {
+  const total = sumCounts(counts);
+  if (total === 0) {
+    return [];
+  }
+  return bins.flatMap((bin, index) =>
+    Array.from({ length: samplesPerBin + 1 }, (_, step) => step)
+      // 2 つ目以降のビンの下端は、前のビンの上端とほぼ同じ位置なので省く
+      .filter((step) => index === 0 || step > 0)
+      .map((step) => {
+        const gpa = bin.min + ((bin.max - bin.min) * step) / samplesPerBin;
+        const { percentile } = computeRankInfo(
+          { counts, total },
+          bins,
+          gpa,
+          method
+        );
+        return { gpa, percentile: Math.min(percentile ?? 0, 100) };
+      })
+  );
+};
+
+export type RankTarget =
+  | { type: "percentile"; value: number }
+  | { type: "rank"; value: number };
+
+/**
+ * {@link computeRankInfo} の逆算。上位 N% または N 位以内に入るために必要な GPA を
+ * 推定します。目標が人数を超える場合は最低 GPA、1 位未満の場合は null を返します。
+ */
+export const computeGpaThreshold = (
+  counts: number[],
+  bins: BinRange[],
+  target: RankTarget,
+  method: EstimationMethod = "uniform"
+): number | null => {
+  const total = sumCounts(counts);
+  if (total === 0 || bins.length === 0 || !Number.isFinite(target.value)) {
+    return null;
+  }
+
+  const rank =
+    target.type === "rank" ? target.value : (target.value / 100) * total;
+  if (rank < 1) {
+    return null;
+  }
+
+  return estimateQuantile(
+    counts,
+    bins,
+    1 - Math.min(rank - 1, total) / total,
+    method
+  );
+};
+
+/**
+ * 下から割合 `fraction`（0〜1）の位置にあたる GPA を推定します。
+ * ビン内の分布は {@link computeRankInfo} と同じ推定方法で扱います。
+ */
+export const estimateQuantile = (
+  counts: number[],
+  bins: BinRange[],
+  fraction: number,
+  method: EstimationMethod = "uniform"
+): number | null => {
+  const total = sumCounts(counts);
+  if (total === 0 || bins.length === 0) {
+    return null;
+  }
+
+  const target = Math.min(Math.max(fraction, 0), 1) * total;
+  let below = 0;
+
+  for (let index = 0; index < bins.length; index += 1) {
+    const count = counts[index] ?? 0;
+    if (count > 0 && below + count >= target) {
+      const bin = bins[index];
+      const fractionBelow = Math.max(0, (target - below) / count);
+      const position = positionInBin(counts, index, 1 - fractionBelow, method);
+      return bin.min + position * (bin.max - bin.min);
+    }
+    below += count;
+  }
+
+  return bins[bins.length - 1].max;
+};
@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import {
+  ESTIMATION_METHODS,
+  fractionAboveInBin,
+  momentsInBin,
+  positionInBin,
+} from "./estimation";
+
+const COUNTS = [2, 5, 12, 20, 9, 3];
+
+describe("fractionAboveInBin", () => {
+  it("一様分布ではビン内の位置に比例する", () => {
+    expect(fractionAboveInBin(COUNTS, 2, 0.25, "uniform")).toBe(0.75);
+  });
+
+  it.each(ESTIMATION_METHODS)(
+    "%s: 下端で 1、上端で 0 となり、位置とともに減る",
+    (method) => {
+      COUNTS.forEach((_, index) => {
+        expect(fractionAboveInBin(COUNTS, index, 0, method)).toBeCloseTo(1);
+        expect(fractionAboveInBin(COUNTS, index, 1, method)).toBeCloseTo(0);
+        const values = [0.2, 0.4, 0.6, 0.8].map((t) =>
+          fractionAboveInBin(COUNTS, index, t, method)
+        );
+        values.slice(1).forEach((value, step) => {
+          expect(value).toBeLessThanOrEqual(values[step]);
+        });
+      });
+    }
+  );
+
+  it("人数が増えていくビンでは、線形補間の方が上側に多く割り振る", () => {
+    expect(fractionAboveInBin(COUNTS, 2, 0.5, "linear")).toBeGreaterThan(
+      fractionAboveInBin(COUNTS, 2, 0.5, "uniform")
+    );
+  });
+});
+
+describe("positionInBin", () => {
+  it.each(ESTIMATION_METHODS)(
+    "%s: fractionAboveInBin の逆関数になる",
+    (method) => {
+      [0.1, 0.5, 0.9].forEach((t) => {
+        const fraction = fractionAboveInBin(COUNTS, 3, t, method);
+        expect(positionInBin(COUNTS, 3, fraction, method)).toBeCloseTo(t, 4);
+      });
+    }
+  );
+});
+
+describe("momentsInBin", () => {
+  it.each(ESTIMATION_METHODS)(
+    "%s: 人数が一様なら一様分布の期待値と一致する",
+    (method) => {
+      const [t1, t2, t3] = momentsInBin([5, 5, 5], 1, method);
+      expect(t1).toBeCloseTo(1 / 2);
+      expect(t2).toBeCloseTo(1 / 3);
+      expect(t3).toBeCloseTo(1 / 4);
+    }
+  );
+
+  it("上のビンの人数が多いと期待値が上端に寄る", () => {
+    expect(momentsInBin(COUNTS, 2, "linear")[0]).toBeGreaterThan(0.5);
+  });
+});
@@ -0,0 +1,168 @@
+import type { EstimationMethod } from "../types";
+
+export const ESTIMATION_METHODS: EstimationMethod[] = [
+  "uniform",
+  "linear",
+  "spline",
+];
+
+const clamp01 = (value: number) => Math.min(1, Math.max(0, value));
+
+/**
+ * 区分線形密度: ビン端の密度を隣接ビンとの平均、中央をそのビンの人数とする
+ * 折れ線で表し、t より上にある割合を返します。
+ */
+const linearFractionAbove = (counts: number[], index: number, t: number) => {
+  const center = counts[index] ?? 0;
+  const left = ((counts[index - 1] ?? center) + center) / 2;
+  const right = ((counts[index + 1] ?? center) + center) / 2;
+
+  // [0, 0.5] で left → center、[0.5, 1] で center → right と変化する密度の積分
+  const integrate = (from: number, to: number) => {
+    const density = (x: number) =>
+      x <= 0.5
+        ? left + (center - left) * (x / 0.5)
+        : center + (right - center) * ((x - 0.5) / 0.5);
+    const segment = (a: number, b: number) =>
+      b > a ? ((density(a) + density(b)) / 2) * (b - a) : 0;
+    return segment(from, Math.min(to, 0.5)) + segment(Math.max(from, 0.5), to);
+  };
+
+  const whole = integrate(0, 1);
+  return whole <= 0 ? 1 - t : integrate(t, 1) / whole;
+};
+
+/**
+ * Fritsch–Carlson 法による単調 3 次エルミート補間の接線を求めます。
+ * x はビン番号（等間隔）なので間隔 1 として扱います。
+ */
+const monotoneTangents = (values: number[]) => {
+  const secants = values.slice(1).map((value, index) => value - values[index]);
+  const tangents = values.map((_, index) => {
+    if (index === 0) {
+      return secants[0] ?? 0;
+    }
+    if (index === values.length - 1) {
+      return secants[secants.length - 1] ?? 0;
+    }
+    const before = secants[index - 1];
+    const after = secants[index];
+    return before * after <= 0 ? 0 : (before + after) / 2;
+  });
+
+  secants.forEach((secant, index) => {
+    if (secant === 0) {
+      tangents[index] = 0;
+      tangents[index + 1] = 0;
+      return;
+    }
+    const alpha = tangents[index] / secant;
+    const beta = tangents[index + 1] / secant;
+    const magnitude = alpha * alpha + beta * beta;
+    if (magnitude > 9) {
+      const scale = 3 / Math.sqrt(magnitude);
+      tangents[index] = scale * alpha * secant;
+      tangents[index + 1] = scale * beta * secant;
+    }
+  });
+
+  return tangents;
+};
+
+const splineFractionAbove = (counts: number[], index: number, t: number) => {
+  const count = counts[index] ?? 0;
+  const cumulative = counts.reduce<number[]>(
+    (acc, value) => [...acc, acc[acc.length - 1] + value],
+    [0]
+  );
+  const tangents = monotoneTangents(cumulative);
+
+  const y0 = cumulative[index];
+  const y1 = cumulative[index + 1];
+  const m0 = tangents[index];
+  const m1 = tangents[index + 1];
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const below =
+    (2 * t3 - 3 * t2 + 1) * y0 +
+    (t3 - 2 * t2 + t) * m0 +
+    (-2 * t3 + 3 * t2) * y1 +
+    (t3 - t2) * m1;
+
+  return count <= 0 ? 1 - t : clamp01((y1 - below) / count);
+};
+
+/**
+ * ビン `index` 内の相対位置 t（0 = 下端, 1 = 上端）より上にいる人数の割合を、
+ * 指定した推定方法で求めます。
+ */
+export const fractionAboveInBin = (
+  counts: number[],
+  index: number,
+  t: number,
+  method: EstimationMethod
+) => {
+  const position = clamp01(t);
+  switch (method) {
+    case "linear":
+      return clamp01(linearFractionAbove(counts, index, position));
+    case "spline":
+      return splineFractionAbove(counts, index, position);
+    default:
+      return 1 - position;
+  }
+};
+
+/** {@link fractionAboveInBin} の逆関数。上にいる割合が `fractionAbove` となる t を返します。 */
+export const positionInBin = (
+  counts: number[],
+  index: number,
+  fractionAbove: number,
+  method: EstimationMethod
+) => {
+  const target = clamp01(fractionAbove);
+  if (method === "uniform") {
+    return 1 - target;
+  }
+
+  let low = 0;
+  let high = 1;
+  for (let iteration = 0; iteration < 40; iteration += 1) {
+    const middle = (low + high) / 2;
+    if (fractionAboveInBin(counts, index, middle, method) > target) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// ビン内の期待値を求めるシンプソン則の分割数（偶数）
+const MOMENT_STEPS = 32;
+
+/**
+ * ビン `index` 内の相対位置 t の期待値 E[t], E[t²], E[t³] を、指定した推定方法の密度で求めます。
+ * E[tᵏ] = ∫ k·tᵏ⁻¹·P(t より上) dt を数値積分します。
+ */
+export const momentsInBin = (
+  counts: number[],
+  index: number,
+  method: EstimationMethod
+): [number, number, number] => {
+  if (method === "uniform") {
+    return [1 / 2, 1 / 3, 1 / 4];
+  }
+  const moments: [number, number, number] = [0, 0, 0];
+  for (let step = 0; step <= MOMENT_STEPS; step += 1) {
+    const t = step / MOMENT_STEPS;
+    const weight =
+      (step === 0 || step === MOMENT_STEPS ? 1 : step % 2 === 1 ? 4 : 2) /
+      (3 * MOMENT_STEPS);
+    const above = weight * fractionAboveInBin(counts, index, t, method);
+    moments[0] += above;
+    moments[1] += 2 * t * above;
+    moments[2] += 3 * t * t * above;
+  }
+  return moments;
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { mergeDatasets, parseDistributionCsv } from "./distribution";
+import { buildAggregatesCsv } from "./export";
+import { DEFAULT_PRIVACY_POLICY } from "./privacy";
+
+const CSV_HEADER = "学科/学年,0.00-1.99,2.00-2.99,3.00-4.00";
+
+const rowsOf = (csv: string) =>
+  csv
+    .replace(/^\uFEFF/, "")
+    .trimEnd()
+    .split("\n")
+    .map((line) => line.split(","));
+
+describe("buildAggregatesCsv", () => {
+  it("学部ごとに学年別・全学年の行を作り、最後に全学の行を加える", () => {
+    const dataset = mergeDatasets([
+      parseDistributionCsv(
+        `${CSV_HEADER}\n情報学科 1回生,10,20,10\n情報学科 2回生,5,10,5`,
+        "工学部"
+      ),
+      parseDistributionCsv(`${CSV_HEADER}\n数学科 1回生,4,8,8`, "理学部"),
+    ]);
+    const rows = rowsOf(buildAggregatesCsv(dataset, DEFAULT_PRIVACY_POLICY));
+    expect(
+      rows
+        .slice(1)
+        .map(([label, faculty, grade, total]) => [label, faculty, grade, total])
+    ).toEqual([
+      ["工学部 1回生 全体", "工学部", "1", "40"],
+      ["工学部 2回生 全体", "工学部", "2", "20"],
+      ["工学部 全学年", "工学部", "", "60"],
+      ["理学部 1回生 全体", "理学部", "1", "20"],
+      ["理学部 全学年", "理学部", "", "20"],
+      ["全学 全学年", "", "", "80"],
+    ]);
+  });
+
+  it("学部名のない CSV では学年だけで集計する", () => {
+    const rows = rowsOf(
+      buildAggregatesCsv(
+        parseDistributionCsv(`${CSV_HEADER}\n情報学科 1回生,10,20,10`)
+      )
+    );
+    expect(rows.slice(1).map(([label]) => label)).toEqual([
+      "1回生 全体",
+      "全学年",
+    ]);
+  });
+});
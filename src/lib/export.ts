@@ -0,0 +1,128 @@
+import { formatCsvRow } from "./csv";
+import { aggregateSegments, weightedAverage } from "./distribution";
+import { facultyLabel, listFaculties } from "./hierarchy";
+import {
+  DEFAULT_PRIVACY_POLICY,
+  SUPPRESSED_CELL,
+  canDisclose,
+  suppressSmallCells,
+} from "./privacy";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type {
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+} from "../types";
+
+/**
+ * 学部ごとに、学年ごと・全学年の人数と平均 GPA を CSV にします。
+ * 複数の学部を含む場合は、最後に全学の行を加えます。
+ * Excel でそのまま開けるよう先頭に BOM を付けます。
+ * 少人数の行は人数以外を、少人数のビンはセルを秘匿します。
+ */
+export const buildAggregatesCsv = (
+  dataset: DistributionDataset,
+  privacy: PrivacyPolicy = DEFAULT_PRIVACY_POLICY,
+  method: EstimationMethod = "uniform",
+  messages: Messages = ja
+) => {
+  const { bins, segments } = dataset;
+  const labels = messages.aggregatesCsv;
+  const faculties = listFaculties(segments);
+  // 学部名のない CSV だけの場合は、学部を付けずに学年で集計する
+  const named = faculties.length > 1 || faculties.some(Boolean);
+
+  const rows = [
+    ...faculties.flatMap((faculty) => {
+      const facultySegments = segments.filter(
+        (segment) => segment.faculty === faculty
+      );
+      const name = named ? facultyLabel(faculty, messages) : "";
+      const grades = Array.from(
+        new Set(
+          facultySegments.map((segment) => segment.grade).filter((g) => g > 0)
+        )
+      ).sort((a, b) => a - b);
+      return [
+        ...grades.map((grade) => ({
+          label: named
+            ? messages.hierarchy.facultyGradeWhole(name, grade)
+            : labels.gradeWhole(grade),
+          faculty: name,
+          grade: String(grade),
+          ...aggregateSegments(
+            facultySegments.filter((segment) => segment.grade === grade),
+            bins.length
+          ),
+        })),
+        {
+          label: named ? messages.hierarchy.allGrades(name) : labels.allGrades,
+          faculty: name,
+          grade: "",
+          ...aggregateSegments(facultySegments, bins.length),
+        },
+      ];
+    }),
+    ...(faculties.length > 1
+      ? [
+          {
+            label: messages.hierarchy.university,
+            faculty: "",
+            grade: "",
+            ...aggregateSegments(segments, bins.length),
+          },
+        ]
+      : []),
+  ];
+
+  const lines = [
+    formatCsvRow([
+      labels.target,
+      labels.faculty,
+      labels.grade,
+      labels.total,
+      labels.average,
+      ...bins.map((bin) => bin.label),
+    ]),
+    ...rows.map((row) => {
+      if (!canDisclose(row.total, privacy)) {
+        return formatCsvRow([
+          row.label,
+          row.faculty,
+          row.grade,
+          row.total,
+          SUPPRESSED_CELL,
+          ...row.counts.map(() => SUPPRESSED_CELL),
+        ]);
+      }
+      const average = weightedAverage(row.counts, bins, method);
+      return formatCsvRow([
+        row.label,
+        row.faculty,
+        row.grade,
+        row.total,
+        average === null ? "" : average.toFixed(3),
+        ...suppressSmallCells(row.counts, privacy.minBinCount),
+      ]);
+    }),
+  ];
+  return `\uFEFF${lines.join("\n")}\n`;
+};
+
+/** Blob を指定したファイル名でダウンロードさせます。 */
+export const downloadBlob = (blob: Blob, fileName: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // クリック直後に解放すると一部のブラウザでダウンロードが始まらない
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/** ファイル名に使えない文字を置き換えます。 */
+export const toFileName = (text: string) =>
+  text.replace(/[\\/:*?"<>|\s]+/g, "_").replace(/^_+|_+$/g, "") || "gpa";
@@ -0,0 +1,14 @@
+export const numberFormatter = (fraction = 2, locale = "ja-JP") =>
+  new Intl.NumberFormat(locale, {
+    minimumFractionDigits: fraction,
+    maximumFractionDigits: fraction,
+  });
+
+export const formatDecimal = (
+  value: number | null,
+  fraction = 2,
+  locale = "ja-JP"
+) => (value === null ? "-" : numberFormatter(fraction, locale).format(value));
+
+export const formatCount = (value: number, locale = "ja-JP") =>
+  value.toLocaleString(locale);
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_GRADE_SCALE,
+  combineCumulativeGpa,
+  computeTermGpa,
+} from "./gpa";
+import type { CourseEntry } from "./gpa";
+
+const course = (
+  id: number,
+  credits: number,
+  letter: string,
+  whatIfLetter = ""
+): CourseEntry => ({ id, name: `科目${id}`, credits, letter, whatIfLetter });
+
+describe("computeTermGpa", () => {
+  it("単位数で重み付けした平均を求める", () => {
+    const result = computeTermGpa(
+      [course(1, 2, "A+"), course(2, 1, "C")],
+      DEFAULT_GRADE_SCALE
+    );
+    expect(result.credits).toBe(3);
+    expect(result.gpa).toBeCloseTo(4);
+  });
+
+  it("未確定の評価と単位数 0 の科目は除く", () => {
+    expect(
+      computeTermGpa(
+        [course(1, 2, "B"), course(2, 2, ""), course(3, 0, "A")],
+        DEFAULT_GRADE_SCALE
+      )
+    ).toEqual({ gpa: 3, credits: 2 });
+    expect(computeTermGpa([], DEFAULT_GRADE_SCALE)).toEqual({
+      gpa: null,
+      credits: 0,
+    });
+  });
+
+  it("仮定の評価がある科目はそちらで計算する", () => {
+    const courses = [course(1, 2, "B", "A+"), course(2, 2, "", "C")];
+    expect(computeTermGpa(courses, DEFAULT_GRADE_SCALE, true)).toEqual({
+      gpa: 3.5,
+      credits: 4,
+    });
+    expect(computeTermGpa(courses, DEFAULT_GRADE_SCALE)).toEqual({
+      gpa: 3,
+      credits: 2,
+    });
+  });
+});
+
+describe("combineCumulativeGpa", () => {
+  it("前学期までの累計と今学期を単位数で重み付けする", () => {
+    const result = combineCumulativeGpa(3, 60, { gpa: 4, credits: 20 });
+    expect(result.credits).toBe(80);
+    expect(result.gpa).toBeCloseTo(3.25);
+  });
+
+  it("前学期までの累計がなければ今学期の GPA になる", () => {
+    expect(combineCumulativeGpa(null, 60, { gpa: 2.5, credits: 10 })).toEqual({
+      gpa: 2.5,
+      credits: 10,
+    });
+    expect(combineCumulativeGpa(null, 0, { gpa: null, credits: 0 })).toEqual({
+      gpa: null,
+      credits: 0,
+    });
+  });
+});
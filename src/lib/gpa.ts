@@ -0,0 +1,76 @@
+export type GradePoint = {
+  letter: string;
+  points: number;
+};
+
+/** 成績評価と GP の対応（0〜5 のビンに合わせた既定値） */
+export const DEFAULT_GRADE_SCALE: GradePoint[] = [
+  { letter: "A+", points: 5 },
+  { letter: "A", points: 4 },
+  { letter: "B", points: 3 },
+  { letter: "C", points: 2 },
+  { letter: "D", points: 1 },
+  { letter: "F", points: 0 },
+];
+
+export type CourseEntry = {
+  id: number;
+  name: string;
+  credits: number;
+  /** 確定した評価。履修中で未確定なら空文字 */
+  letter: string;
+  /** 「もしこの評価だったら」の仮定。仮定しない場合は空文字 */
+  whatIfLetter: string;
+};
+
+export type GpaResult = {
+  gpa: number | null;
+  credits: number;
+};
+
+const pointsFor = (scale: GradePoint[], letter: string) =>
+  scale.find((grade) => grade.letter === letter)?.points ?? null;
+
+/**
+ * 科目ごとの単位数と評価から学期 GPA を求めます。
+ * `useWhatIf` が true の場合、仮定の評価が設定された科目はそちらで計算します。
+ * 評価が未確定の科目は計算から除きます。
+ */
+export const computeTermGpa = (
+  courses: CourseEntry[],
+  scale: GradePoint[],
+  useWhatIf = false
+): GpaResult => {
+  let credits = 0;
+  let weighted = 0;
+
+  courses.forEach((course) => {
+    const letter =
+      useWhatIf && course.whatIfLetter ? course.whatIfLetter : course.letter;
+    const points = pointsFor(scale, letter);
+    if (points === null || !(course.credits > 0)) {
+      return;
+    }
+    credits += course.credits;
+    weighted += points * course.credits;
+  });
+
+  return { gpa: credits > 0 ? weighted / credits : null, credits };
+};
+
+/** 前学期までの累計 GPA・単位数に今学期の結果を加えた累計 GPA を求めます。 */
+export const combineCumulativeGpa = (
+  previousGpa: number | null,
+  previousCredits: number,
+  term: GpaResult
+): GpaResult => {
+  const priorCredits =
+    previousGpa === null || !(previousCredits > 0) ? 0 : previousCredits;
+  const credits = priorCredits + term.credits;
+  if (credits === 0) {
+    return { gpa: null, credits };
+  }
+  const weighted =
+    (previousGpa ?? 0) * priorCredits + (term.gpa ?? 0) * term.credits;
+  return { gpa: weighted / credits, credits };
+};
@@ -0,0 +1,109 @@
+import { aggregateSegments } from "./distribution";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type { SegmentDistribution } from "../types";
+
+/** 順位・平均を求める集団の階層（学科×学年 → 学部×学年 → 学科 → 学部 → 全学） */
+export type ReferenceLevel =
+  | "department-grade"
+  | "faculty-grade"
+  | "department"
+  | "faculty"
+  | "university";
+
+export const REFERENCE_LEVELS: ReferenceLevel[] = [
+  "department-grade",
+  "faculty-grade",
+  "department",
+  "faculty",
+  "university",
+];
+
+export type ReferenceGroup = {
+  key: string;
+  level: ReferenceLevel;
+  label: string;
+  counts: number[];
+  total: number;
+};
+
+/** 学部名が空の場合（学部列のないアップロードなど）の表示名 */
+export const facultyLabel = (faculty: string, messages: Messages = ja) =>
+  faculty ? messages.name(faculty) : messages.hierarchy.noFaculty;
+
+/** データセットに含まれる学部を出現順に返します。 */
+export const listFaculties = (segments: SegmentDistribution[]) =>
+  Array.from(new Set(segments.map((segment) => segment.faculty)));
+
+/**
+ * 選択中の学部・学科・学年について、各階層の集団の人数分布をまとめます。
+ * 学科・学年が未選択、またはデータにない階層は含めません。
+ */
+export const buildReferenceGroups = (
+  segments: SegmentDistribution[],
+  binLength: number,
+  selection: { faculty: string; major: string; grade: number | null },
+  messages: Messages = ja
+): ReferenceGroup[] => {
+  const { faculty, major, grade } = selection;
+  const facultySegments = segments.filter(
+    (segment) => segment.faculty === faculty
+  );
+  const groups: ReferenceGroup[] = [];
+
+  if (grade !== null) {
+    const segment = facultySegments.find(
+      (candidate) => candidate.major === major && candidate.grade === grade
+    );
+    if (segment) {
+      groups.push({
+        key: "department-grade",
+        level: "department-grade",
+        label: messages.segment(segment.major, segment.grade),
+        counts: segment.counts,
+        total: segment.total,
+      });
+    }
+    groups.push({
+      key: "faculty-grade",
+      level: "faculty-grade",
+      label: messages.hierarchy.facultyGrade(
+        facultyLabel(faculty, messages),
+        grade
+      ),
+      ...aggregateSegments(
+        facultySegments.filter((candidate) => candidate.grade === grade),
+        binLength
+      ),
+    });
+  }
+
+  const departmentSegments = facultySegments.filter(
+    (segment) => segment.major === major
+  );
+  if (departmentSegments.length > 0) {
+    groups.push({
+      key: "department",
+      level: "department",
+      label: messages.hierarchy.allGrades(messages.name(major)),
+      ...aggregateSegments(departmentSegments, binLength),
+    });
+  }
+
+  groups.push(
+    {
+      key: "faculty",
+      level: "faculty",
+      label: messages.hierarchy.allGrades(facultyLabel(faculty, messages)),
+      ...aggregateSegments(facultySegments, binLength),
+    },
+    {
+      key: "university",
+      level: "university",
+      label: messages.hierarchy.university,
+      ...aggregateSegments(segments, binLength),
+    }
+  );
+
+  return groups;
+};
@@ -0,0 +1,175 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildHistoryTrajectory,
+  mergeHistory,
+  parseHistoryJson,
+  serializeHistory,
+} from "./history";
+import type { HistoryEntry } from "./history";
+import { estimateQuantile } from "./distribution";
+import { DEFAULT_PRIVACY_POLICY } from "./privacy";
+import { rebinDataset } from "./rebin";
+import { buildTermRegistry } from "./terms";
+
+const entry = (
+  termId: string,
+  kind: HistoryEntry["kind"],
+  gpa: number
+): HistoryEntry => ({
+  termId,
+  termLabel: termId,
+  kind,
+  faculty: "理工学部",
+  major: "数理科学科",
+  grade: 2,
+  gpa,
+  savedAt: "2025-09-30T00:00:00.000Z",
+});
+
+describe("serializeHistory / parseHistoryJson", () => {
+  it("書き出した JSON を読み込むと学期順の同じ記録に戻る", () => {
+    const entries = [
+      entry("2025-spring", "current", 3.1),
+      entry("2024-fall", "cumulative", 2.9),
+    ];
+    expect(parseHistoryJson(serializeHistory(entries))).toEqual([
+      entries[1],
+      entries[0],
+    ]);
+  });
+
+  it("JSON でないファイル・形式の異なるファイルはエラーにする", () => {
+    expect(() => parseHistoryJson("{")).toThrow();
+    expect(() => parseHistoryJson('{"version":2,"entries":[]}')).toThrow();
+    expect(() =>
+      parseHistoryJson(
+        JSON.stringify({
+          version: 1,
+          entries: [entry("2025-spring", "current", 3), { termId: 1 }],
+        })
+      )
+    ).toThrow(/2/);
+  });
+});
+
+describe("mergeHistory", () => {
+  it("同じ学期・データ種別の記録は読み込んだもので置き換える", () => {
+    const merged = mergeHistory(
+      [
+        entry("2025-spring", "current", 3),
+        entry("2025-spring", "cumulative", 3),
+      ],
+      [entry("2025-spring", "current", 3.4), entry("2024-fall", "current", 2)]
+    );
+    expect(merged.map(({ termId, kind, gpa }) => [termId, kind, gpa])).toEqual([
+      ["2024-fall", "current", 2],
+      ["2025-spring", "cumulative", 3],
+      ["2025-spring", "current", 3.4],
+    ]);
+  });
+});
+
+describe("buildHistoryTrajectory", () => {
+  const terms = buildTermRegistry(
+    {
+      terms: [
+        {
+          id: "2025-spring",
+          label: "2025春",
+          sources: [
+            {
+              faculty: "理工学部",
+              current: "current.csv",
+              cumulative: "cumulative.csv",
+            },
+          ],
+        },
+      ],
+    },
+    () =>
+      [
+        "学科/学年,0.00-1.99,2.00-2.99,3.00-4.00",
+        "数理科学科 2回生,10,20,10",
+        "物理学科 2回生,2,2,2",
+      ].join("\n")
+  );
+
+  it("その学期の上位 % と中央値を求め、少人数の集団では示さない", () => {
+    const [large, small] = buildHistoryTrajectory(
+      [
+        entry("2025-spring", "current", 3.5),
+        { ...entry("2025-spring", "current", 3.5), major: "物理学科" },
+      ],
+      terms,
+      "current",
+      DEFAULT_PRIVACY_POLICY
+    );
+    expect(large.percentile).toBeCloseTo(15);
+    expect(large.disclosure).toMatchObject({ kind: "exact", rank: 6 });
+    expect(large.withheld).toBe(false);
+    expect(small).toMatchObject({
+      percentile: null,
+      cohortMedian: null,
+      withheld: true,
+    });
+  });
+
+  it("自分のビンの人数が少ない場合は、ほかの画面と同じく幅で示してその中央を描く", () => {
+    // 3.00-4.00 のビンの 10 名が minBinCount 未満となる規則にする
+    const [point] = buildHistoryTrajectory(
+      [entry("2025-spring", "current", 3.5)],
+      terms,
+      "current",
+      { ...DEFAULT_PRIVACY_POLICY, minBinCount: 11 }
+    );
+    expect(point.disclosure?.kind).toBe("band");
+    if (point.disclosure?.kind === "band") {
+      expect(point.percentile).toBe(
+        (point.disclosure.from + point.disclosure.to) / 2
+      );
+      expect(point.disclosure.from).toBeLessThanOrEqual(15);
+      expect(point.disclosure.to).toBeGreaterThanOrEqual(15);
+    }
+  });
+
+  it("ビンの区切りが異なる古い学期は最新の学期の区切りに揃えて求める", () => {
+    const registry = buildTermRegistry(
+      {
+        terms: ["2024-fall", "2025-spring"].map((id) => ({
+          id,
+          label: id,
+          sources: [
+            {
+              faculty: "理工学部",
+              current: `${id}.csv`,
+              cumulative: `${id}.csv`,
+            },
+          ],
+        })),
+      },
+      (fileName) =>
+        fileName === "2024-fall.csv"
+          ? "学科/学年,0.00-1.99,2.00-2.99,3.00-4.00\n数理科学科 2回生,10,20,10"
+          : "学科/学年,0.00-0.99,1.00-1.99,2.00-2.99,3.00-4.00\n数理科学科 2回生,5,5,20,10"
+    );
+    const [old] = buildHistoryTrajectory(
+      [entry("2024-fall", "current", 3.5)],
+      registry,
+      "current",
+      DEFAULT_PRIVACY_POLICY,
+      "linear"
+    );
+    const aligned = rebinDataset(
+      registry[0].datasets.current,
+      registry[1].datasets.current.bins
+    );
+    expect(old.cohortMedian).toBeCloseTo(
+      estimateQuantile(
+        aligned.segments[0].counts,
+        aligned.bins,
+        0.5,
+        "linear"
+      ) ?? NaN
+    );
+  });
+});
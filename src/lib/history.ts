@@ -0,0 +1,242 @@
+import {
+  computeRankInfo,
+  estimateQuantile,
+  findBinIndex,
+  findSegment,
+} from "./distribution";
+import { canDisclose, discloseRank } from "./privacy";
+import type { RankDisclosure } from "./privacy";
+import { alignTermDatasets } from "./terms";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type {
+  DatasetKind,
+  EstimationMethod,
+  PrivacyPolicy,
+  TermDatasets,
+} from "../types";
+
+/** 学期ごとに保存する自分の GPA と、そのとき順位を求めた学部・学科・学年 */
+export type HistoryEntry = {
+  termId: string;
+  termLabel: string;
+  kind: DatasetKind;
+  faculty: string;
+  major: string;
+  grade: number;
+  gpa: number;
+  /** ISO 8601 形式の保存日時 */
+  savedAt: string;
+};
+
+export type HistoryFile = {
+  version: 1;
+  entries: HistoryEntry[];
+};
+
+const STORAGE_KEY = "gpa-insights:history";
+const CONSENT_KEY = "gpa-insights:history-enabled";
+
+// プライベートブラウズなどで localStorage が使えない場合は保存しない
+const readStorage = (key: string) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const writeStorage = (key: string, value: string | null) => {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch {
+    // 保存できなくても画面上の操作は続けられるようにする
+  }
+};
+
+export const isHistoryEnabled = () => readStorage(CONSENT_KEY) === "1";
+
+/** 履歴の保存を有効にします。無効にすると保存済みの履歴も削除します。 */
+export const setHistoryEnabled = (enabled: boolean) => {
+  writeStorage(CONSENT_KEY, enabled ? "1" : null);
+  if (!enabled) {
+    writeStorage(STORAGE_KEY, null);
+  }
+};
+
+const sortEntries = (entries: HistoryEntry[]) =>
+  [...entries].sort(
+    (a, b) => a.termId.localeCompare(b.termId) || a.kind.localeCompare(b.kind)
+  );
+
+const isHistoryEntry = (value: unknown): value is HistoryEntry => {
+  if (typeof value !== "object" || value === null) {
+    return false;
+  }
+  const entry = value as Record<string, unknown>;
+  return (
+    typeof entry.termId === "string" &&
+    typeof entry.termLabel === "string" &&
+    (entry.kind === "current" || entry.kind === "cumulative") &&
+    typeof entry.faculty === "string" &&
+    typeof entry.major === "string" &&
+    typeof entry.grade === "number" &&
+    Number.isInteger(entry.grade) &&
+    typeof entry.gpa === "number" &&
+    Number.isFinite(entry.gpa) &&
+    typeof entry.savedAt === "string"
+  );
+};
+
+/**
+ * 書き出した JSON を読み込みます。形式が不正な場合は理由を添えてエラーにします。
+ */
+export const parseHistoryJson = (
+  text: string,
+  messages: Messages = ja
+): HistoryEntry[] => {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error(messages.history.invalidJson);
+  }
+  const file = parsed as Partial<HistoryFile> | null;
+  if (!file || file.version !== 1 || !Array.isArray(file.entries)) {
+    throw new Error(messages.history.notHistoryFile);
+  }
+  const invalidIndex = file.entries.findIndex(
+    (entry) => !isHistoryEntry(entry)
+  );
+  if (invalidIndex !== -1) {
+    throw new Error(messages.history.invalidEntry(invalidIndex + 1));
+  }
+  return sortEntries(file.entries);
+};
+
+export const serializeHistory = (entries: HistoryEntry[]) => {
+  const file: HistoryFile = { version: 1, entries };
+  return JSON.stringify(file, null, 2);
+};
+
+export const loadHistory = (): HistoryEntry[] => {
+  const raw = readStorage(STORAGE_KEY);
+  if (!raw) {
+    return [];
+  }
+  try {
+    return parseHistoryJson(raw);
+  } catch {
+    return [];
+  }
+};
+
+export const saveHistory = (entries: HistoryEntry[]) => {
+  if (isHistoryEnabled()) {
+    writeStorage(STORAGE_KEY, serializeHistory(entries));
+  }
+};
+
+/** 同じ学期・データ種別の記録は新しいもので置き換えます。 */
+export const mergeHistory = (
+  entries: HistoryEntry[],
+  incoming: HistoryEntry[]
+) => {
+  const byKey = new Map(
+    entries.map((entry) => [`${entry.termId}:${entry.kind}`, entry])
+  );
+  incoming.forEach((entry) =>
+    byKey.set(`${entry.termId}:${entry.kind}`, entry)
+  );
+  return sortEntries(Array.from(byKey.values()));
+};
+
+export type HistoryPoint = {
+  entry: HistoryEntry;
+  /**
+   * グラフに描く上位何 %。順位を幅で示す場合は幅の中央の値。
+   * 該当する学期・セグメントのデータがない場合と少人数の場合は null
+   */
+  percentile: number | null;
+  /** 画面のほかの順位と同じ規則で決めた表示（正確な順位・幅・非表示） */
+  disclosure: RankDisclosure | null;
+  cohortMedian: number | null;
+  /** 同じ集団が表示の規則に満たない人数だったため、上位 % と中央値を示さない */
+  withheld: boolean;
+};
+
+/**
+ * 保存した記録ごとに、その学期のデータで上位何 % だったかと同じ集団の中央値を求めます。
+ * 学期はマニフェストの順（古い順）に並べ、ビンの区切りは最新の学期に揃えます。
+ */
+export const buildHistoryTrajectory = (
+  entries: HistoryEntry[],
+  terms: TermDatasets[],
+  kind: DatasetKind,
+  privacy: PrivacyPolicy,
+  method: EstimationMethod = "uniform"
+): HistoryPoint[] => {
+  const termOrder = new Map(terms.map((term, index) => [term.id, index]));
+  const aligned = alignTermDatasets(terms, kind);
+  return entries
+    .filter((entry) => entry.kind === kind)
+    .sort(
+      (a, b) =>
+        (termOrder.get(a.termId) ?? Infinity) -
+          (termOrder.get(b.termId) ?? Infinity) ||
+        a.termId.localeCompare(b.termId)
+    )
+    .map((entry) => {
+      const index = termOrder.get(entry.termId);
+      const dataset = index === undefined ? undefined : aligned[index];
+      const segment = dataset
+        ? findSegment(dataset.segments, entry.major, entry.grade, entry.faculty)
+        : null;
+      if (!dataset || !segment) {
+        return {
+          entry,
+          percentile: null,
+          disclosure: null,
+          cohortMedian: null,
+          withheld: false,
+        };
+      }
+      if (!canDisclose(segment.total, privacy)) {
+        return {
+          entry,
+          percentile: null,
+          disclosure: null,
+          cohortMedian: null,
+          withheld: true,
+        };
+      }
+      // 小さな集団や自分のビンの人数が少ない学期は、ほかの画面と同じく幅で示す
+      const disclosure = discloseRank(
+        computeRankInfo(segment, dataset.bins, entry.gpa, method),
+        segment.total,
+        segment.counts[findBinIndex(dataset.bins, entry.gpa)] ?? 0,
+        privacy
+      );
+      return {
+        entry,
+        percentile:
+          disclosure.kind === "exact"
+            ? disclosure.percentile
+            : disclosure.kind === "band"
+            ? (disclosure.from + disclosure.to) / 2
+            : null,
+        disclosure,
+        cohortMedian: estimateQuantile(
+          segment.counts,
+          dataset.bins,
+          0.5,
+          method
+        ),
+        withheld: false,
+      };
+    });
+};
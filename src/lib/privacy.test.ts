@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_PRIVACY_POLICY,
+  SUPPRESSED_CELL,
+  canDisclose,
+  discloseRank,
+  mergeSmallBins,
+  mergeSmallBinsAcross,
+  resolvePrivacyPolicy,
+  suppressSmallCells,
+} from "./privacy";
+import { buildUniformBins } from "./rebin";
+import type { RankInfo } from "./distribution";
+
+const BINS = buildUniformBins(0, 3, 0.5);
+
+describe("mergeSmallBins", () => {
+  it("1〜k-1 名のビンを k 名以上になるまで次のビンとまとめる", () => {
+    const merged = mergeSmallBins([1, 1, 5, 0, 0, 4], BINS, 3);
+    expect(merged.counts).toEqual([7, 0, 4]);
+    expect(merged.bins.map((bin) => bin.label)).toEqual([
+      "0.00-1.49",
+      "1.50-2.49",
+      "2.50-3.00",
+    ]);
+  });
+
+  it("末尾に残った少人数のビンは前のビンへまとめる", () => {
+    const merged = mergeSmallBins([4, 0, 3, 0, 0, 1], BINS, 3);
+    expect(merged.counts).toEqual([4, 0, 4]);
+    expect(merged.bins[2]).toMatchObject({ min: 1, max: 3 });
+  });
+
+  it("人数の合計と範囲を変えない", () => {
+    const counts = [2, 0, 1, 6, 2, 1];
+    const merged = mergeSmallBins(counts, BINS, 3);
+    expect(merged.counts.reduce((acc, value) => acc + value)).toBe(12);
+    expect(merged.bins[0].min).toBe(0);
+    expect(merged.bins[merged.bins.length - 1].max).toBe(3);
+    expect(merged.counts.every((count) => count === 0 || count >= 3)).toBe(
+      true
+    );
+  });
+
+  it("k が 1 以下なら何もしない", () => {
+    const counts = [1, 2, 0, 1, 0, 1];
+    expect(mergeSmallBins(counts, BINS, 1)).toEqual({ bins: BINS, counts });
+  });
+});
+
+describe("mergeSmallBinsAcross", () => {
+  it("どの集団にも 1〜k-1 名のビンが残らない共通の区切りにする", () => {
+    const merged = mergeSmallBinsAcross(
+      [
+        [3, 3, 3, 3, 3, 3],
+        [5, 1, 4, 0, 6, 3],
+      ],
+      BINS,
+      3
+    );
+    expect(merged.bins.map((bin) => bin.label)).toEqual([
+      "0.00-0.49",
+      "0.50-1.49",
+      "1.50-1.99",
+      "2.00-2.49",
+      "2.50-3.00",
+    ]);
+    expect(merged.counts).toEqual([
+      [3, 6, 3, 3, 3],
+      [5, 5, 0, 6, 3],
+    ]);
+  });
+});
+
+describe("suppressSmallCells", () => {
+  it("1〜k-1 名のセルを秘匿する", () => {
+    expect(suppressSmallCells([0, 1, 2, 5, 8], 3)).toEqual([
+      0,
+      SUPPRESSED_CELL,
+      SUPPRESSED_CELL,
+      5,
+      8,
+    ]);
+  });
+
+  it("秘匿が 1 セルだけなら次に少ないセルも秘匿する", () => {
+    expect(suppressSmallCells([1, 0, 9, 4], 3)).toEqual([
+      SUPPRESSED_CELL,
+      0,
+      9,
+      SUPPRESSED_CELL,
+    ]);
+  });
+});
+
+describe("canDisclose", () => {
+  it("最小人数以上の集団だけを表示する", () => {
+    expect(canDisclose(9, DEFAULT_PRIVACY_POLICY)).toBe(false);
+    expect(canDisclose(10, DEFAULT_PRIVACY_POLICY)).toBe(true);
+  });
+});
+
+describe("discloseRank", () => {
+  const info: RankInfo = {
+    rank: 4.2,
+    percentile: 12.3,
+    bestRank: 1,
+    worstRank: 8,
+  };
+
+  it("少人数の集団は表示しない", () => {
+    expect(discloseRank(info, 5, 3, DEFAULT_PRIVACY_POLICY).kind).toBe(
+      "withheld"
+    );
+  });
+
+  it("小さな集団は幅で示す", () => {
+    expect(discloseRank(info, 20, 3, DEFAULT_PRIVACY_POLICY)).toEqual({
+      kind: "band",
+      from: 10,
+      to: 15,
+    });
+  });
+
+  it("自分のビンの人数が少ない場合も幅で示す", () => {
+    expect(discloseRank(info, 100, 2, DEFAULT_PRIVACY_POLICY).kind).toBe(
+      "band"
+    );
+  });
+
+  it("十分な人数なら順位と上位 % を示す", () => {
+    expect(discloseRank(info, 100, 5, DEFAULT_PRIVACY_POLICY)).toEqual({
+      kind: "exact",
+      rank: 4,
+      percentile: 12.3,
+    });
+  });
+});
+
+describe("resolvePrivacyPolicy", () => {
+  it("既定値を補い、1 以上の整数でない値はエラーにする", () => {
+    expect(resolvePrivacyPolicy({ minGroupSize: 20 })).toEqual({
+      ...DEFAULT_PRIVACY_POLICY,
+      minGroupSize: 20,
+    });
+    expect(() => resolvePrivacyPolicy({ minBinCount: 0 })).toThrow();
+  });
+});
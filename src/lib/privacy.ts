@@ -0,0 +1,251 @@
+import type { RankInfo } from "./distribution";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type { BinRange, DistributionDataset, PrivacyPolicy } from "../types";
+
+export const DEFAULT_PRIVACY_POLICY: PrivacyPolicy = {
+  minGroupSize: 10,
+  minBinCount: 3,
+  exactRankMinSize: 30,
+  rankBandWidth: 5,
+};
+
+/** 集計表で秘匿したセルに書く記号 */
+export const SUPPRESSED_CELL = "x";
+
+/**
+ * マニフェストの `privacy` を既定値と合わせます。
+ * 1 以上の整数でない値は設定ミスとしてエラーにします。
+ */
+export const resolvePrivacyPolicy = (
+  config: Partial<PrivacyPolicy> = {}
+): PrivacyPolicy => {
+  const policy = { ...DEFAULT_PRIVACY_POLICY, ...config };
+  (Object.keys(DEFAULT_PRIVACY_POLICY) as (keyof PrivacyPolicy)[]).forEach(
+    (key) => {
+      const value = policy[key];
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(
+          `マニフェストの privacy.${key} は 1 以上の整数で指定してください`
+        );
+      }
+    }
+  );
+  return policy;
+};
+
+/** 分布・順位・統計を表示してよい人数の集団か */
+export const canDisclose = (total: number, policy: PrivacyPolicy) =>
+  total >= policy.minGroupSize;
+
+export const withheldMessage = (
+  policy: PrivacyPolicy,
+  messages: Messages = ja
+) => messages.privacy.withheld(policy.minGroupSize);
+
+const joinBinLabels = (first: BinRange, last: BinRange) =>
+  first === last
+    ? first.label
+    : `${first.label.split("-")[0]}-${last.label.split("-").pop() ?? ""}`;
+
+/**
+ * 人数が 1〜k-1 名のビンがなくなるまで隣のビンとまとめます。
+ * 人数 0 のビンが続く区間は、そのまま 0 として残します。
+ */
+export const mergeSmallBins = (
+  counts: number[],
+  bins: BinRange[],
+  minBinCount: number
+): { bins: BinRange[]; counts: number[] } => {
+  if (minBinCount <= 1) {
+    return { bins, counts };
+  }
+
+  const groups: { start: number; end: number; count: number }[] = [];
+  let current: { start: number; end: number; count: number } | null = null;
+  bins.forEach((_, index) => {
+    const count = counts[index] ?? 0;
+    if (current && current.count === 0 && count > 0) {
+      groups.push(current);
+      current = null;
+    }
+    current = current ?? { start: index, end: index, count: 0 };
+    current.end = index;
+    current.count += count;
+    if (current.count >= minBinCount) {
+      groups.push(current);
+      current = null;
+    }
+  });
+
+  // 末尾に残った少人数のビンは、k 名以上になるまで前のビンへ順にまとめる
+  let rest: { start: number; end: number; count: number } | null = current;
+  while (rest && rest.count > 0 && rest.count < minBinCount) {
+    const previous = groups.pop();
+    if (!previous) {
+      break;
+    }
+    rest = {
+      start: previous.start,
+      end: rest.end,
+      count: previous.count + rest.count,
+    };
+  }
+  if (rest) {
+    groups.push(rest);
+  }
+
+  return {
+    bins: groups.map(({ start, end }) => ({
+      label: joinBinLabels(bins[start], bins[end]),
+      min: bins[start].min,
+      max: bins[end].max,
+    })),
+    counts: groups.map(({ count }) => count),
+  };
+};
+
+/**
+ * 複数の集団を同じ区切りで並べて比べる場合に、どの集団にも 1〜k-1 名のビンが
+ * 残らないよう、集団ごとに {@link mergeSmallBins} を順に適用してビンをまとめます。
+ */
+export const mergeSmallBinsAcross = (
+  countsList: number[][],
+  bins: BinRange[],
+  minBinCount: number
+): { bins: BinRange[]; counts: number[][] } =>
+  countsList.reduce(
+    (merged, _, index) => {
+      const next = mergeSmallBins(
+        merged.counts[index],
+        merged.bins,
+        minBinCount
+      );
+      // まとめたビンは 0 名か k 名以上なので、さらにまとめても 1〜k-1 名にはならない
+      const groupOf = merged.bins.map((bin) =>
+        next.bins.findIndex(
+          (group) => bin.min >= group.min && bin.max <= group.max
+        )
+      );
+      return {
+        bins: next.bins,
+        counts: merged.counts.map((counts) =>
+          next.bins.map((__, group) =>
+            counts.reduce(
+              (sum, count, binIndex) =>
+                groupOf[binIndex] === group ? sum + count : sum,
+              0
+            )
+          )
+        ),
+      };
+    },
+    { bins, counts: countsList }
+  );
+
+/**
+ * 外部に渡すデータセットから少人数の情報を除きます。
+ * `minGroupSize` 名未満の学科×学年は含めず、残りの学科×学年のどれにも
+ * 1〜k-1 名のビンが残らないよう、共通の区切りでビンをまとめます。
+ */
+export const discloseDataset = (
+  dataset: DistributionDataset,
+  policy: PrivacyPolicy
+): DistributionDataset => {
+  const segments = dataset.segments.filter((segment) =>
+    canDisclose(segment.total, policy)
+  );
+  const merged = mergeSmallBinsAcross(
+    segments.map((segment) => segment.counts),
+    dataset.bins,
+    policy.minBinCount
+  );
+  return {
+    bins: merged.bins,
+    segments: segments.map((segment, index) => ({
+      ...segment,
+      counts: merged.counts[index],
+    })),
+  };
+};
+
+/**
+ * 集計表の人数のうち 1〜k-1 名のセルを秘匿します。
+ * 行の合計から逆算されないよう、秘匿が 1 セルだけの行は次に少ないセルも秘匿します。
+ */
+export const suppressSmallCells = (
+  counts: number[],
+  minBinCount: number
+): (number | string)[] => {
+  const suppressed = new Set(
+    counts.flatMap((count, index) =>
+      count > 0 && count < minBinCount ? [index] : []
+    )
+  );
+  if (suppressed.size === 1) {
+    const candidates = counts
+      .map((count, index) => ({ count, index }))
+      .filter(({ count, index }) => count > 0 && !suppressed.has(index))
+      .sort((a, b) => a.count - b.count);
+    if (candidates[0]) {
+      suppressed.add(candidates[0].index);
+    }
+  }
+  return counts.map((count, index) =>
+    suppressed.has(index) ? SUPPRESSED_CELL : count
+  );
+};
+
+export type RankDisclosure =
+  | { kind: "exact"; rank: number; percentile: number }
+  /** 上位 from〜to % のように幅で示す */
+  | { kind: "band"; from: number; to: number }
+  | { kind: "withheld"; message: string };
+
+/**
+ * 推定順位をどこまで詳しく表示するかを決めます。
+ * 少人数の集団は表示せず、小さな集団や自分のビンの人数が少ない場合は幅で示します。
+ */
+export const discloseRank = (
+  info: RankInfo,
+  total: number,
+  binCount: number,
+  policy: PrivacyPolicy,
+  messages: Messages = ja
+): RankDisclosure => {
+  if (!canDisclose(total, policy)) {
+    return { kind: "withheld", message: withheldMessage(policy, messages) };
+  }
+  if (info.rank === null || info.percentile === null) {
+    return { kind: "withheld", message: messages.privacy.cannotEstimate };
+  }
+  const percentile = Math.min(info.percentile, 100);
+  if (total < policy.exactRankMinSize || binCount < policy.minBinCount) {
+    const width = policy.rankBandWidth;
+    const from = Math.min(
+      Math.floor(Math.max(percentile - 0.0001, 0) / width) * width,
+      100 - width
+    );
+    return {
+      kind: "band",
+      from: Math.max(from, 0),
+      to: Math.min(from + width, 100),
+    };
+  }
+  return { kind: "exact", rank: Math.round(info.rank), percentile };
+};
+
+/** 順位の表示文（例: `推定 12 位（上位 10.9%）`、`上位 10〜15%`） */
+export const formatRankDisclosure = (
+  disclosure: RankDisclosure,
+  messages: Messages = ja
+) => {
+  switch (disclosure.kind) {
+    case "exact":
+      return messages.privacy.exact(disclosure.rank, disclosure.percentile);
+    case "band":
+      return messages.privacy.band(disclosure.from, disclosure.to);
+    case "withheld":
+      return disclosure.message;
+  }
+};
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { parseDistributionCsv } from "./distribution";
+import {
+  compareDatasetTotals,
+  excludeZeroBin,
+  findZeroBinIndex,
+  inspectDatasetQuality,
+} from "./quality";
+
+const HEADER = "学部,学科,学年,0.00-0.99,1.00-1.99,2.00-2.99,3.00-4.00";
+
+describe("inspectDatasetQuality", () => {
+  it("人数 0 の学年・突出したビン・欠けた学年を見つける", () => {
+    const dataset = parseDistributionCsv(
+      [
+        HEADER,
+        "工学部,情報学科,1,0,0,0,0",
+        "工学部,情報学科,2,1,2,30,3",
+        "工学部,機械学科,1,4,5,6,5",
+        "工学部,機械学科,2,4,5,6,5",
+        "工学部,機械学科,3,4,5,6,5",
+      ].join("\n")
+    );
+    expect(
+      inspectDatasetQuality(dataset, "今学期").map(
+        ({ kind, major, grade, binIndex }) => [kind, major, grade, binIndex]
+      )
+    ).toEqual([
+      ["zero-total", "情報学科", 1, null],
+      ["bin-spike", "情報学科", 2, 2],
+      ["missing-grade", "情報学科", null, null],
+    ]);
+  });
+});
+
+describe("compareDatasetTotals", () => {
+  it("今学期と累計で人数が 5% 以上ずれた学年を報告する", () => {
+    const current = parseDistributionCsv(
+      [HEADER, "工学部,情報学科,1,5,5,5,5", "工学部,情報学科,2,5,5,5,5"].join(
+        "\n"
+      )
+    );
+    const cumulative = parseDistributionCsv(
+      [HEADER, "工学部,情報学科,1,5,5,5,6", "工学部,情報学科,2,5,5,5,9"].join(
+        "\n"
+      )
+    );
+    expect(
+      compareDatasetTotals(current, cumulative).map(({ grade }) => grade)
+    ).toEqual([2]);
+  });
+});
+
+describe("excludeZeroBin", () => {
+  it("GPA 0 を含むビンの人数を除き、合計を数え直す", () => {
+    const dataset = parseDistributionCsv(
+      [HEADER, "工学部,情報学科,1,3,5,5,5"].join("\n")
+    );
+    expect(findZeroBinIndex(dataset.bins)).toBe(0);
+    const excluded = excludeZeroBin(dataset);
+    expect(excluded.bins).toBe(dataset.bins);
+    expect(excluded.segments[0]).toMatchObject({
+      counts: [0, 5, 5, 5],
+      total: 15,
+    });
+  });
+});
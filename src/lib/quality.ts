@@ -0,0 +1,236 @@
+import { sumCounts } from "./distribution";
+import { facultyLabel } from "./hierarchy";
+import { ja } from "../i18n/ja";
+import type { Messages } from "../i18n/ja";
+import type {
+  BinRange,
+  DatasetKind,
+  DistributionDataset,
+  SegmentDistribution,
+  TermDatasets,
+} from "../types";
+
+export type QualityIssueKind =
+  | "zero-total"
+  | "bin-spike"
+  | "total-mismatch"
+  | "missing-grade";
+
+export type QualityIssue = {
+  kind: QualityIssueKind;
+  /** 問題が見つかったデータ（今学期・累計・両方の比較など） */
+  source: string;
+  faculty: string;
+  major: string;
+  /** 学科全体に関わる問題（学年の欠け以外）では対象の学年 */
+  grade: number | null;
+  /** 突出したビンの添字。ビン以外の問題では null */
+  binIndex: number | null;
+  message: string;
+};
+
+/** 突出とみなすビンの最小人数・セグメント内の最小割合・隣のビンに対する倍率 */
+const SPIKE_MIN_COUNT = 5;
+const SPIKE_MIN_SHARE = 0.1;
+const SPIKE_RATIO = 3;
+
+/** 今学期と累計の人数がこの割合以上ずれていれば不一致とみなす */
+const TOTAL_MISMATCH_TOLERANCE = 0.05;
+
+const segmentKey = (segment: SegmentDistribution) =>
+  `${segment.faculty}\u0000${segment.major}\u0000${segment.grade}`;
+
+const findSpikes = (segment: SegmentDistribution) =>
+  segment.counts.flatMap((count, index) => {
+    const neighbors = [
+      segment.counts[index - 1],
+      segment.counts[index + 1],
+    ].filter((value): value is number => value !== undefined);
+    const neighborMax = Math.max(1, ...neighbors);
+    return count >= SPIKE_MIN_COUNT &&
+      count >= segment.total * SPIKE_MIN_SHARE &&
+      count >= neighborMax * SPIKE_RATIO
+      ? [index]
+      : [];
+  });
+
+/**
+ * 1 つのデータセットについて、人数 0 のセグメント・隣のビンより極端に多いビン・
+ * 学部内の他学科にある学年が欠けている学科を探します。
+ */
+export const inspectDatasetQuality = (
+  dataset: DistributionDataset,
+  source: string,
+  messages: Messages = ja
+): QualityIssue[] => {
+  const issues: QualityIssue[] = [];
+
+  dataset.segments.forEach((segment) => {
+    const base = {
+      source,
+      faculty: segment.faculty,
+      major: segment.major,
+      grade: segment.grade,
+    };
+    if (segment.total === 0) {
+      issues.push({
+        ...base,
+        kind: "zero-total",
+        binIndex: null,
+        message: messages.quality.zeroTotal(
+          messages.segment(segment.major, segment.grade)
+        ),
+      });
+      return;
+    }
+    findSpikes(segment).forEach((index) => {
+      const count = segment.counts[index];
+      issues.push({
+        ...base,
+        kind: "bin-spike",
+        binIndex: index,
+        message: messages.quality.binSpike(
+          messages.segment(segment.major, segment.grade),
+          dataset.bins[index]?.label ?? "",
+          count,
+          Math.round((count / segment.total) * 100)
+        ),
+      });
+    });
+  });
+
+  const faculties = Array.from(
+    new Set(dataset.segments.map((segment) => segment.faculty))
+  );
+  faculties.forEach((faculty) => {
+    const facultySegments = dataset.segments.filter(
+      (segment) => segment.faculty === faculty && segment.grade > 0
+    );
+    const grades = Array.from(
+      new Set(facultySegments.map((segment) => segment.grade))
+    ).sort((a, b) => a - b);
+    const majors = Array.from(
+      new Set(facultySegments.map((segment) => segment.major))
+    );
+    majors.forEach((major) => {
+      const present = new Set(
+        facultySegments
+          .filter((segment) => segment.major === major)
+          .map((segment) => segment.grade)
+      );
+      const missing = grades.filter((grade) => !present.has(grade));
+      if (missing.length > 0) {
+        issues.push({
+          kind: "missing-grade",
+          source,
+          faculty,
+          major,
+          grade: null,
+          binIndex: null,
+          message: messages.quality.missingGrade(
+            `${facultyLabel(faculty, messages)} ${messages.name(major)}`,
+            missing
+          ),
+        });
+      }
+    });
+  });
+
+  return issues;
+};
+
+/** 同じ学期の今学期と累計で、同じセグメントの人数が食い違っていないかを確かめます。 */
+export const compareDatasetTotals = (
+  current: DistributionDataset,
+  cumulative: DistributionDataset,
+  messages: Messages = ja,
+  source = messages.quality.bothKinds(
+    messages.datasetKinds.current,
+    messages.datasetKinds.cumulative
+  )
+): QualityIssue[] => {
+  const cumulativeByKey = new Map(
+    cumulative.segments.map((segment) => [segmentKey(segment), segment])
+  );
+  return current.segments.flatMap((segment) => {
+    const counterpart = cumulativeByKey.get(segmentKey(segment));
+    if (!counterpart) {
+      return [];
+    }
+    const difference = Math.abs(segment.total - counterpart.total);
+    const base = Math.max(segment.total, counterpart.total, 1);
+    if (difference === 0 || difference / base < TOTAL_MISMATCH_TOLERANCE) {
+      return [];
+    }
+    return [
+      {
+        kind: "total-mismatch" as const,
+        source,
+        faculty: segment.faculty,
+        major: segment.major,
+        grade: segment.grade,
+        binIndex: null,
+        message: messages.quality.totalMismatch(
+          messages.segment(segment.major, segment.grade),
+          messages.datasetKinds.current,
+          segment.total,
+          messages.datasetKinds.cumulative,
+          counterpart.total
+        ),
+      },
+    ];
+  });
+};
+
+/** 学期の今学期・累計データをそれぞれ検査し、両者の人数の食い違いも加えます。 */
+export const inspectTermQuality = (
+  datasets: Record<DatasetKind, DistributionDataset>,
+  messages: Messages = ja
+): QualityIssue[] => [
+  ...inspectDatasetQuality(
+    datasets.current,
+    messages.datasetKinds.current,
+    messages
+  ),
+  ...inspectDatasetQuality(
+    datasets.cumulative,
+    messages.datasetKinds.cumulative,
+    messages
+  ),
+  ...compareDatasetTotals(datasets.current, datasets.cumulative, messages),
+];
+
+/** GPA 0.00 を含むビンの添字。該当するビンがなければ -1 */
+export const findZeroBinIndex = (bins: BinRange[]) =>
+  bins.findIndex((bin) => bin.min <= 0 && bin.max >= 0);
+
+/**
+ * GPA 0.00 を含むビンの学生を除いたデータセットを返します。
+ * 休学・未履修などで GPA が 0 の学生を順位・平均から外すために使います。
+ * ビンの区切りは変えないため、他のデータセットとの比較はそのまま行えます。
+ */
+export const excludeZeroBin = (
+  dataset: DistributionDataset
+): DistributionDataset => {
+  const zeroIndex = findZeroBinIndex(dataset.bins);
+  if (zeroIndex === -1) {
+    return dataset;
+  }
+  return {
+    bins: dataset.bins,
+    segments: dataset.segments.map((segment) => {
+      const counts = segment.counts.map((count, index) =>
+        index === zeroIndex ? 0 : count
+      );
+      return { ...segment, counts, total: sumCounts(counts) };
+    }),
+  };
+};
+
+export const excludeZeroBinFromTerm = (term: TermDatasets): TermDatasets => ({
+  ...term,
+  datasets: {
+    current: excludeZeroBin(term.datasets.current),
+    cumulative: excludeZeroBin(term.datasets.cumulative),
+  },
+});
@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import {
+  ORIGINAL_BIN_SCHEME,
+  applyBinScheme,
+  buildCutoffBins,
+  buildUniformBins,
+  parseBinScheme,
+  rebinCounts,
+} from "./rebin";
+
+const sum = (values: number[]) => values.reduce((acc, value) => acc + value);
+
+// 同梱 CSV と同じ 0.25 刻みのビン
+const QUARTER_BINS = buildUniformBins(0, 5, 0.25);
+
+describe("buildUniformBins", () => {
+  it("上端を次の下端の 0.01 手前にしたビンを作る", () => {
+    expect(buildUniformBins(0, 1, 0.5)).toEqual([
+      { label: "0.00-0.49", min: 0, max: 0.49 },
+      { label: "0.50-1.00", min: 0.5, max: 1 },
+    ]);
+  });
+
+  it("幅が 0 以下なら空にする", () => {
+    expect(buildUniformBins(0, 5, 0)).toEqual([]);
+  });
+});
+
+describe("buildCutoffBins", () => {
+  it("範囲外と重複した区切りを無視する", () => {
+    expect(buildCutoffBins(0, 5, [3, 2, 3, 7]).map((bin) => bin.label)).toEqual(
+      ["0.00-1.99", "2.00-2.99", "3.00-5.00"]
+    );
+  });
+});
+
+describe("parseBinScheme", () => {
+  it("空なら元のビン、数値 1 つなら幅、カンマ区切りなら区切りとして読む", () => {
+    expect(parseBinScheme("")).toEqual(ORIGINAL_BIN_SCHEME);
+    expect(parseBinScheme("0.5")).toEqual({ type: "width", width: 0.5 });
+    expect(parseBinScheme("2, 3,3.5")).toEqual({
+      type: "cutoffs",
+      cutoffs: [2, 3, 3.5],
+    });
+    expect(parseBinScheme("３")).toEqual({ type: "width", width: 3 });
+  });
+
+  it("不正な値は null を返す", () => {
+    expect(parseBinScheme("abc")).toBeNull();
+    expect(parseBinScheme("-1")).toBeNull();
+  });
+});
+
+describe("applyBinScheme", () => {
+  it("元のビンの範囲を保って区切り直す", () => {
+    const bins = applyBinScheme(QUARTER_BINS, { type: "width", width: 1 });
+    expect(bins).toHaveLength(5);
+    expect(bins[0].min).toBe(0);
+    expect(bins[bins.length - 1].max).toBe(5);
+  });
+});
+
+describe("rebinCounts", () => {
+  const counts = QUARTER_BINS.map((_, index) => (index * 7) % 5);
+
+  it("幅をまとめると各ビンの人数の合計になる", () => {
+    const merged = rebinCounts(
+      counts,
+      QUARTER_BINS,
+      buildUniformBins(0, 5, 0.5)
+    );
+    expect(merged).toHaveLength(10);
+    expect(merged[0]).toBe(counts[0] + counts[1]);
+    expect(sum(merged)).toBe(sum(counts));
+  });
+
+  it("区切りがずれても人数の合計を保つ", () => {
+    [
+      buildUniformBins(0, 5, 0.3),
+      buildCutoffBins(0, 5, [1.1, 2.05, 3.333]),
+      buildUniformBins(1, 4, 0.5),
+    ].forEach((to) => {
+      expect(sum(rebinCounts(counts, QUARTER_BINS, to))).toBeCloseTo(
+        sum(counts),
+        6
+      );
+    });
+  });
+
+  it("区切りがずれたビンには重なる幅に比例して按分する", () => {
+    const from = buildUniformBins(0, 1, 0.5);
+    const to = buildCutoffBins(0, 1, [0.25]);
+    expect(rebinCounts([4, 8], from, to)).toEqual([2, 10]);
+  });
+});
@@ -0,0 +1,183 @@
+import type { BinRange, DistributionDataset } from "../types";
+
+/** 「4. 分布を確認」で選べるビンの区切り方 */
+export type BinScheme =
+  | { type: "original" }
+  /** 一定の幅（例: 0.5、1.0）で区切る */
+  | { type: "width"; width: number }
+  /** 指定した GPA（例: 奨学金の基準 2.0 / 3.0 / 3.5）で区切る */
+  | { type: "cutoffs"; cutoffs: number[] };
+
+export const ORIGINAL_BIN_SCHEME: BinScheme = { type: "original" };
+
+/** 2 つのビンの並びが同じ区切りか */
+export const haveSameBins = (a: BinRange[], b: BinRange[]) =>
+  a.length === b.length &&
+  a.every((bin, index) => bin.min === b[index].min && bin.max === b[index].max);
+
+// 浮動小数の誤差を避けるため、区切りは 0.01 単位の整数で扱う
+const toCents = (value: number) => Math.round(value * 100);
+
+const formatEdge = (cents: number) => (cents / 100).toFixed(2);
+
+/**
+ * 区切り（0.01 単位）から `0.00-0.49` 形式のビンを作ります。
+ * 最後のビン以外の上端は、同梱 CSV と同じく次の下端の 0.01 手前にします。
+ */
+const binsFromEdges = (edges: number[]): BinRange[] =>
+  edges.slice(0, -1).map((start, index) => {
+    const isLast = index === edges.length - 2;
+    const end = isLast ? edges[index + 1] : edges[index + 1] - 1;
+    return {
+      label: `${formatEdge(start)}-${formatEdge(end)}`,
+      min: start / 100,
+      max: end / 100,
+    };
+  });
+
+/** `min`〜`max` を `width` ごとに区切ったビンを作ります。 */
+export const buildUniformBins = (
+  min: number,
+  max: number,
+  width: number
+): BinRange[] => {
+  const start = toCents(min);
+  const end = toCents(max);
+  const step = toCents(width);
+  if (step <= 0 || end <= start) {
+    return [];
+  }
+  const edges: number[] = [];
+  for (let edge = start; edge < end; edge += step) {
+    edges.push(edge);
+  }
+  return binsFromEdges([...edges, end]);
+};
+
+/** `min`〜`max` を指定した GPA で区切ったビンを作ります。範囲外の区切りは無視します。 */
+export const buildCutoffBins = (
+  min: number,
+  max: number,
+  cutoffs: number[]
+): BinRange[] => {
+  const start = toCents(min);
+  const end = toCents(max);
+  const inner = Array.from(new Set(cutoffs.map(toCents)))
+    .filter((edge) => edge > start && edge < end)
+    .sort((a, b) => a - b);
+  return end > start ? binsFromEdges([start, ...inner, end]) : [];
+};
+
+/** 元のビンの範囲を保ったまま、区切り方に従ったビンを返します。 */
+export const applyBinScheme = (
+  bins: BinRange[],
+  scheme: BinScheme
+): BinRange[] => {
+  if (scheme.type === "original" || bins.length === 0) {
+    return bins;
+  }
+  const min = bins[0].min;
+  const max = bins[bins.length - 1].max;
+  const rebinned =
+    scheme.type === "width"
+      ? buildUniformBins(min, max, scheme.width)
+      : buildCutoffBins(min, max, scheme.cutoffs);
+  return rebinned.length > 0 ? rebinned : bins;
+};
+
+/**
+ * URL などに保存した区切り方を読み取ります。
+ * 数値 1 つなら幅、カンマ区切りなら区切りの GPA として扱い、不正な値は null を返します。
+ */
+export const parseBinScheme = (text: string): BinScheme | null => {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    return ORIGINAL_BIN_SCHEME;
+  }
+  const values = trimmed
+    .normalize("NFKC")
+    .split(/[,、\s]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (values.length === 0 || values.some((value) => !Number.isFinite(value))) {
+    return null;
+  }
+  if (values.length === 1 && !trimmed.includes(",")) {
+    return values[0] > 0 ? { type: "width", width: values[0] } : null;
+  }
+  return { type: "cutoffs", cutoffs: values };
+};
+
+/**
+ * ビンが受け持つ連続した区間 [start, end)。
+ * ビンの間の 0.01 の隙間は、次のビンの下端までを前のビンに含めます。
+ */
+const toIntervals = (bins: BinRange[]) =>
+  bins.map((bin, index) => ({
+    start: bin.min,
+    end: bins[index + 1]?.min ?? bin.max,
+  }));
+
+/**
+ * 人数を別のビンの区切りへ按分します。元のビンの中では学生が一様に分布すると仮定し、
+ * 区間が重なる幅に比例して割り振ります。区切りがずれると人数は小数になります。
+ * 新しいビンの範囲外にはみ出した人数は、両端のビンに含めます。
+ */
+export const rebinCounts = (
+  counts: number[],
+  from: BinRange[],
+  to: BinRange[]
+): number[] => {
+  if (haveSameBins(from, to)) {
+    return counts;
+  }
+  const result = to.map(() => 0);
+  if (to.length === 0) {
+    return result;
+  }
+  const targets = toIntervals(to);
+  const first = targets[0];
+  const last = targets[targets.length - 1];
+
+  toIntervals(from).forEach(({ start, end }, index) => {
+    const count = counts[index] ?? 0;
+    if (count === 0) {
+      return;
+    }
+    const width = end - start;
+    if (width <= 0) {
+      const target = targets.findIndex((interval) => start < interval.end);
+      result[target === -1 ? targets.length - 1 : target] += count;
+      return;
+    }
+    result[0] +=
+      (count * Math.max(0, Math.min(end, first.start) - start)) / width;
+    result[targets.length - 1] +=
+      (count * Math.max(0, end - Math.max(start, last.end))) / width;
+    targets.forEach((interval, target) => {
+      const overlap =
+        Math.min(end, interval.end) - Math.max(start, interval.start);
+      if (overlap > 0) {
+        result[target] += (count * overlap) / width;
+      }
+    });
+  });
+
+  // 按分で生じる 1e-9 程度の誤差を丸める
+  return result.map((value) => Math.round(value * 1e6) / 1e6);
+};
+
+/** データセットの全セグメントを別のビンの区切りへ按分します。人数の合計は変わりません。 */
+export const rebinDataset = (
+  dataset: DistributionDataset,
+  bins: BinRange[]
+): DistributionDataset =>
+  haveSameBins(dataset.bins, bins)
+    ? dataset
+    : {
+        bins,
+        segments: dataset.segments.map((segment) => ({
+          ...segment,
+          counts: rebinCounts(segment.counts, dataset.bins, bins),
+        })),
+      };
@@ -0,0 +1,116 @@
+/** PNG の結果カードに描く内容 */
+export type ResultCardContent = {
+  title: string;
+  subtitle: string;
+  headline: string;
+  detail: string;
+  stats: { label: string; value: string }[];
+  footer: string;
+};
+
+const CARD_WIDTH = 1200;
+const PADDING = 56;
+const FONT_FAMILY =
+  '"Hiragino Sans", "Noto Sans JP", "Yu Gothic", "Meiryo", sans-serif';
+
+const fillRoundedRect = (
+  context: CanvasRenderingContext2D,
+  x: number,
+  y: number,
+  width: number,
+  height: number,
+  radius: number,
+  color: string
+) => {
+  context.beginPath();
+  context.moveTo(x + radius, y);
+  context.arcTo(x + width, y, x + width, y + height, radius);
+  context.arcTo(x + width, y + height, x, y + height, radius);
+  context.arcTo(x, y + height, x, y, radius);
+  context.arcTo(x, y, x + width, y, radius);
+  context.closePath();
+  context.fillStyle = color;
+  context.fill();
+};
+
+/**
+ * 推定順位・平均などの数値と分布グラフ（Chart.js のキャンバス）を
+ * 1 枚の画像にまとめたキャンバスを返します。
+ */
+export const renderResultCard = (
+  content: ResultCardContent,
+  chartCanvas: HTMLCanvasElement | null
+) => {
+  const innerWidth = CARD_WIDTH - PADDING * 2;
+  const chartHeight =
+    chartCanvas && chartCanvas.width > 0
+      ? Math.round((chartCanvas.height / chartCanvas.width) * innerWidth)
+      : 0;
+  const statsTop = PADDING + 220;
+  const statsHeight = content.stats.length > 0 ? 120 : 0;
+  const chartTop = statsTop + statsHeight + (statsHeight > 0 ? 32 : 0);
+  const height = chartTop + chartHeight + (chartHeight > 0 ? 32 : 0) + 72;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = CARD_WIDTH;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  if (!context) {
+    return canvas;
+  }
+
+  context.fillStyle = "#eef2ff";
+  context.fillRect(0, 0, CARD_WIDTH, height);
+  fillRoundedRect(context, 16, 16, CARD_WIDTH - 32, height - 32, 24, "#ffffff");
+
+  context.textBaseline = "top";
+  context.fillStyle = "#1e1b4b";
+  context.font = `700 36px ${FONT_FAMILY}`;
+  context.fillText(content.title, PADDING, PADDING, innerWidth);
+
+  context.fillStyle = "#64748b";
+  context.font = `400 22px ${FONT_FAMILY}`;
+  context.fillText(content.subtitle, PADDING, PADDING + 52, innerWidth);
+
+  context.fillStyle = "#4338ca";
+  context.font = `700 44px ${FONT_FAMILY}`;
+  context.fillText(content.headline, PADDING, PADDING + 100, innerWidth);
+
+  context.fillStyle = "#334155";
+  context.font = `400 22px ${FONT_FAMILY}`;
+  context.fillText(content.detail, PADDING, PADDING + 162, innerWidth);
+
+  if (content.stats.length > 0) {
+    const gap = 16;
+    const boxWidth =
+      (innerWidth - gap * (content.stats.length - 1)) / content.stats.length;
+    content.stats.forEach((stat, index) => {
+      const x = PADDING + index * (boxWidth + gap);
+      fillRoundedRect(
+        context,
+        x,
+        statsTop,
+        boxWidth,
+        statsHeight,
+        16,
+        "#f1f5f9"
+      );
+      context.fillStyle = "#64748b";
+      context.font = `400 20px ${FONT_FAMILY}`;
+      context.fillText(stat.label, x + 20, statsTop + 20, boxWidth - 40);
+      context.fillStyle = "#0f172a";
+      context.font = `700 34px ${FONT_FAMILY}`;
+      context.fillText(stat.value, x + 20, statsTop + 58, boxWidth - 40);
+    });
+  }
+
+  if (chartCanvas && chartHeight > 0) {
+    context.drawImage(chartCanvas, PADDING, chartTop, innerWidth, chartHeight);
+  }
+
+  context.fillStyle = "#94a3b8";
+  context.font = `400 18px ${FONT_FAMILY}`;
+  context.fillText(content.footer, PADDING, height - 64, innerWidth);
+
+  return canvas;
+};
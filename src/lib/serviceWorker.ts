@@ -0,0 +1,64 @@
+type ServiceWorkerCallbacks = {
+  /** 新しいバージョンの待機中。apply を呼ぶと切り替えてページを再読み込みします */
+  onUpdateReady: (apply: () => void) => void;
+  /** 初回のキャッシュが完了し、オフラインでも開けるようになったとき */
+  onOfflineReady: () => void;
+};
+
+let registered = false;
+
+/**
+ * 本番ビルドでのみ Service Worker を登録します。
+ * 新しいバージョンはすぐには有効にせず、利用者が更新を選んだときに切り替えます。
+ */
+export const registerServiceWorker = ({
+  onUpdateReady,
+  onOfflineReady,
+}: ServiceWorkerCallbacks) => {
+  if (registered || !import.meta.env.PROD || !("serviceWorker" in navigator)) {
+    return;
+  }
+  registered = true;
+
+  // 初回インストール時は controller がないため、切り替わっても再読み込みしない
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (hadController && !reloading) {
+      reloading = true;
+      window.location.reload();
+    }
+  });
+
+  const notifyWaiting = (worker: ServiceWorker) =>
+    onUpdateReady(() => worker.postMessage({ type: "SKIP_WAITING" }));
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((registration) => {
+      if (registration.waiting && hadController) {
+        notifyWaiting(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const installing = registration.installing;
+        installing?.addEventListener("statechange", () => {
+          if (installing.state !== "installed") {
+            return;
+          }
+          if (navigator.serviceWorker.controller) {
+            notifyWaiting(installing);
+          } else {
+            onOfflineReady();
+          }
+        });
+      });
+      document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+          void registration.update().catch(() => undefined);
+        }
+      });
+    })
+    .catch(() => {
+      // 登録に失敗してもオンラインでの利用には影響しない
+    });
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { buildUniformBins } from "./rebin";
+import { describeDistribution } from "./statistics";
+
+const BINS = buildUniformBins(0, 4, 0.5);
+
+describe("describeDistribution", () => {
+  it("分位点を求める", () => {
+    const summary = describeDistribution([0, 0, 10, 10, 10, 10, 0, 0], BINS);
+    expect(summary?.total).toBe(40);
+    expect(summary?.median).toBeCloseTo(2, 1);
+    expect(summary?.q1).toBeCloseTo(1.5, 1);
+    expect(summary?.q3).toBeCloseTo(2.5, 1);
+  });
+
+  it("最小・最大は少人数のビンを隣とまとめてから求める", () => {
+    // 3.00-3.49 の 2 名は、まとめると 2.50-4.00 のビンに含まれる
+    const counts = [0, 3, 10, 10, 10, 10, 2, 0];
+    expect(describeDistribution(counts, BINS)).toMatchObject({
+      min: 0.5,
+      max: 3.49,
+    });
+    expect(describeDistribution(counts, BINS, "uniform", 3)).toMatchObject({
+      min: 0.5,
+      max: 4,
+    });
+  });
+
+  it("標準偏差はビン内の広がりも含めて推定方法の分布から求める", () => {
+    const single = describeDistribution([0, 0, 0, 12, 0, 0, 0, 0], BINS);
+    const width = BINS[3].max - BINS[3].min;
+    expect(single?.standardDeviation).toBeCloseTo(width / Math.sqrt(12));
+
+    const counts = [0, 0, 2, 10, 10, 0, 0, 0];
+    expect(describeDistribution(counts, BINS, "linear")?.mean).not.toBe(
+      describeDistribution(counts, BINS)?.mean
+    );
+  });
+
+  it("人数 0 なら null を返す", () => {
+    expect(describeDistribution([0, 0, 0, 0, 0, 0, 0, 0], BINS)).toBeNull();
+  });
+});
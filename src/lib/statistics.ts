@@ -0,0 +1,83 @@
+import { estimateQuantile, sumCounts, weightedAverage } from "./distribution";
+import { momentsInBin } from "./estimation";
+import { mergeSmallBins } from "./privacy";
+import type { BinRange, EstimationMethod } from "../types";
+
+export type DistributionSummary = {
+  total: number;
+  mean: number;
+  median: number;
+  q1: number;
+  q3: number;
+  /** 下から 10%, 20%, …, 90% の位置にあたる GPA */
+  deciles: number[];
+  standardDeviation: number;
+  skewness: number;
+  /** 人数の少ないビンを隣とまとめたうえで、人数が 1 人以上いる最も低いビンの下端 */
+  min: number;
+  /** 人数の少ないビンを隣とまとめたうえで、人数が 1 人以上いる最も高いビンの上端 */
+  max: number;
+};
+
+const DECILE_FRACTIONS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+/**
+ * ビンごとの人数から記述統計量を推定します。分位点・平均・標準偏差・歪度は
+ * いずれも同じ推定方法で仮定したビン内の分布から計算します。
+ * 最小・最大は `minBinCount` 名未満のビンを隣とまとめてから求めるため、
+ * 端にいる少数の学生の GPA の範囲は分かりません。
+ */
+export const describeDistribution = (
+  counts: number[],
+  bins: BinRange[],
+  method: EstimationMethod = "uniform",
+  minBinCount = 1
+): DistributionSummary | null => {
+  const total = sumCounts(counts);
+  const mean = weightedAverage(counts, bins, method);
+  if (total === 0 || mean === null) {
+    return null;
+  }
+
+  const quantile = (fraction: number) =>
+    estimateQuantile(counts, bins, fraction, method) ?? mean;
+
+  let secondMoment = 0;
+  let thirdMoment = 0;
+  counts.forEach((count, index) => {
+    const bin = bins[index];
+    if (!bin || count === 0) {
+      return;
+    }
+    // GPA − 平均 = d + w·t として、ビン内の t の期待値から展開する
+    const [t1, t2, t3] = momentsInBin(counts, index, method);
+    const d = bin.min - mean;
+    const w = bin.max - bin.min;
+    secondMoment += count * (d ** 2 + 2 * d * w * t1 + w ** 2 * t2);
+    thirdMoment +=
+      count *
+      (d ** 3 + 3 * d ** 2 * w * t1 + 3 * d * w ** 2 * t2 + w ** 3 * t3);
+  });
+  secondMoment /= total;
+  thirdMoment /= total;
+
+  const standardDeviation = Math.sqrt(secondMoment);
+  const merged = mergeSmallBins(counts, bins, minBinCount);
+  const occupied = merged.bins.filter(
+    (_, index) => (merged.counts[index] ?? 0) > 0
+  );
+
+  return {
+    total,
+    mean,
+    median: quantile(0.5),
+    q1: quantile(0.25),
+    q3: quantile(0.75),
+    deciles: DECILE_FRACTIONS.map(quantile),
+    standardDeviation,
+    skewness:
+      standardDeviation === 0 ? 0 : thirdMoment / standardDeviation ** 3,
+    min: occupied[0]?.min ?? bins[0].min,
+    max: occupied[occupied.length - 1]?.max ?? bins[bins.length - 1].max,
+  };
+};
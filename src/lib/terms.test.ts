@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { buildTermRegistry } from "./terms";
+
+const CSV = {
+  "engineering.csv": "学科/学年,0.00-1.99,2.00-4.00\n情報学科 1回生,4,6",
+  "science.csv": "学科/学年,0.00-1.99,2.00-4.00\n数学科 1回生,2,8",
+};
+
+const readFile = (fileName: string) =>
+  CSV[fileName as keyof typeof CSV] ?? undefined;
+
+describe("buildTermRegistry", () => {
+  it("学期ごとに学部別の CSV を 1 つのデータセットにまとめる", () => {
+    const [term] = buildTermRegistry(
+      {
+        terms: [
+          {
+            id: "2025-spring",
+            label: "2025春",
+            sources: [
+              {
+                faculty: "工学部",
+                current: "engineering.csv",
+                cumulative: "engineering.csv",
+              },
+              {
+                faculty: "理学部",
+                current: "science.csv",
+                cumulative: "science.csv",
+              },
+            ],
+          },
+        ],
+      },
+      readFile
+    );
+    expect(term.id).toBe("2025-spring");
+    expect(term.files.current).toEqual(["engineering.csv", "science.csv"]);
+    expect(
+      term.datasets.current.segments.map(({ faculty, major, total }) => [
+        faculty,
+        major,
+        total,
+      ])
+    ).toEqual([
+      ["工学部", "情報学科", 10],
+      ["理学部", "数学科", 10],
+    ]);
+  });
+
+  it("マニフェストに記載されたファイルがなければエラーにする", () => {
+    expect(() =>
+      buildTermRegistry(
+        {
+          terms: [
+            {
+              id: "2025-spring",
+              label: "2025春",
+              sources: [{ current: "missing.csv", cumulative: "missing.csv" }],
+            },
+          ],
+        },
+        readFile
+      )
+    ).toThrow("missing.csv");
+  });
+});
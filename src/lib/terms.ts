@@ -0,0 +1,123 @@
+import {
+  estimateQuantile,
+  findSegment,
+  mergeDatasets,
+  parseDistributionCsv,
+  weightedAverage,
+} from "./distribution";
+import { canDisclose } from "./privacy";
+import { rebinDataset } from "./rebin";
+import type {
+  BinRange,
+  DatasetKind,
+  DistributionDataset,
+  EstimationMethod,
+  PrivacyPolicy,
+  TermDatasets,
+  TermManifest,
+} from "../types";
+
+export const DATASET_KINDS: DatasetKind[] = ["current", "cumulative"];
+
+/**
+ * マニフェストに列挙された学期ごとの CSV を読み込み、解析済みのデータセットにします。
+ * 学部ごとに分かれた CSV は 1 つのデータセットにまとめます。
+ * `readFile` は `src/data` からの相対パスを受け取り、CSV の中身を返します。
+ */
+export const buildTermRegistry = (
+  manifest: TermManifest,
+  readFile: (fileName: string) => string | undefined
+): TermDatasets[] =>
+  manifest.terms.map((term) => {
+    const load = (kind: DatasetKind) =>
+      mergeDatasets(
+        term.sources.map((source) => {
+          const fileName = source[kind];
+          const raw = readFile(fileName);
+          if (raw === undefined) {
+            throw new Error(
+              `マニフェストに記載された ${fileName} が見つかりません（${term.label}）`
+            );
+          }
+          return parseDistributionCsv(raw, source.faculty ?? "");
+        })
+      );
+
+    return {
+      id: term.id,
+      label: term.label,
+      files: {
+        current: term.sources.map((source) => source.current),
+        cumulative: term.sources.map((source) => source.cumulative),
+      },
+      datasets: {
+        current: load("current"),
+        cumulative: load("cumulative"),
+      },
+    };
+  });
+
+/**
+ * 学期をまたいで比べるため、各学期のデータを共通のビンの区切りに按分します。
+ * `bins` を省略した場合は最新の学期（マニフェストの最後）の区切りに揃えます。
+ */
+export const alignTermDatasets = (
+  terms: TermDatasets[],
+  kind: DatasetKind,
+  bins: BinRange[] = terms[terms.length - 1]?.datasets[kind].bins ?? []
+): DistributionDataset[] =>
+  terms.map((term) => rebinDataset(term.datasets[kind], bins));
+
+export type TrendPoint = {
+  termId: string;
+  termLabel: string;
+  total: number;
+  /** 少人数のため平均・中央値・上位 N% ラインを表示しない学期 */
+  withheld: boolean;
+  average: number | null;
+  median: number | null;
+  /** キーは「上位 N%」の N */
+  percentiles: Record<number, number | null>;
+};
+
+/**
+ * 学科×学年のセグメントについて、学期ごとの平均・中央値・上位 N% ラインを求めます。
+ * ビンの区切りが異なる学期は {@link alignTermDatasets} で共通の区切りに揃えてから計算します。
+ * セグメントが存在しない学期と、人数が表示の規則に満たない学期は値を null にします。
+ */
+export const buildSegmentTrend = (
+  terms: TermDatasets[],
+  kind: DatasetKind,
+  major: string,
+  grade: number,
+  topPercents: number[],
+  privacy: PrivacyPolicy,
+  method: EstimationMethod = "uniform",
+  faculty?: string
+): TrendPoint[] => {
+  const aligned = alignTermDatasets(terms, kind);
+  return terms.map((term, index) => {
+    const { bins, segments } = aligned[index];
+    const found = findSegment(segments, major, grade, faculty);
+    const withheld = found !== null && !canDisclose(found.total, privacy);
+    const segment = withheld ? null : found;
+    const counts = segment?.counts ?? [];
+
+    return {
+      termId: term.id,
+      termLabel: term.label,
+      total: found?.total ?? 0,
+      withheld,
+      average: segment ? weightedAverage(counts, bins, method) : null,
+      median: segment ? estimateQuantile(counts, bins, 0.5, method) : null,
+      percentiles: Object.fromEntries(
+        topPercents.map((percent) => [
+          percent,
+          segment
+            ? estimateQuantile(counts, bins, 1 - percent / 100, method)
+            : null,
+        ])
+      ),
+    };
+  });
+};
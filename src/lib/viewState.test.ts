@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { isHistoryStep, parseViewState, serializeViewState } from "./viewState";
+import type { ViewState } from "./viewState";
+
+const STATE: ViewState = {
+  term: "2025-spring",
+  dataset: "cumulative",
+  faculty: "理工学部",
+  major: "数理科学科",
+  grade: "2",
+  gpa: "3.25",
+  method: "spline",
+  excludeZero: true,
+  chart: "ogive",
+  bins: "2,3,3.5",
+};
+
+describe("serializeViewState / parseViewState", () => {
+  it("書き出したクエリを読み込むと同じ表示状態に戻る", () => {
+    expect(parseViewState(serializeViewState(STATE))).toEqual(STATE);
+  });
+
+  it("空の値と既定の推定方法・グラフは省く", () => {
+    expect(
+      serializeViewState({
+        ...STATE,
+        faculty: "",
+        gpa: "",
+        method: "uniform",
+        excludeZero: false,
+        chart: "histogram",
+        bins: "",
+      })
+    ).toBe(
+      `?term=2025-spring&dataset=cumulative&major=${encodeURIComponent(
+        "数理科学科"
+      )}&grade=2`
+    );
+    expect(
+      serializeViewState({
+        ...STATE,
+        term: "",
+        dataset: "",
+        faculty: "",
+        major: "",
+        grade: "",
+        gpa: "",
+        method: "uniform",
+        excludeZero: false,
+        chart: "histogram",
+        bins: "",
+      })
+    ).toBe("");
+  });
+});
+
+describe("parseViewState", () => {
+  it("形式が不正な値は無視する", () => {
+    expect(
+      parseViewState(
+        "?grade=two&gpa=abc&method=magic&chart=pie&bins=x&exclude=all"
+      )
+    ).toEqual({});
+  });
+
+  it("学年の先頭の 0 を取り除く", () => {
+    expect(parseViewState("?grade=02")).toEqual({ grade: "2" });
+  });
+});
+
+describe("isHistoryStep", () => {
+  it("GPA の入力だけが変わった場合は履歴を積まない", () => {
+    expect(isHistoryStep(STATE, { ...STATE, gpa: "3.5" })).toBe(false);
+    expect(isHistoryStep(STATE, { ...STATE, major: "物理学科" })).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+import { ESTIMATION_METHODS } from "./estimation";
+import { parseBinScheme } from "./rebin";
+import type { EstimationMethod } from "../types";
+
+/** 「4. 分布を確認」のグラフの種類（ヒストグラム・累積分布・表） */
+export type ChartType = "histogram" | "ogive" | "table";
+
+export const CHART_TYPES: ChartType[] = ["histogram", "ogive", "table"];
+
+/** URL のクエリに保存する表示状態。学年と GPA は入力欄と同じく文字列で持ちます。 */
+export type ViewState = {
+  term: string;
+  dataset: string;
+  faculty: string;
+  major: string;
+  grade: string;
+  gpa: string;
+  method: EstimationMethod;
+  /** GPA 0.00 のビンの学生を除いて計算するか */
+  excludeZero: boolean;
+  chart: ChartType;
+  /** グラフのビンの区切り方（`0.5` などの幅、`2,3,3.5` などの区切り）。空なら元のまま */
+  bins: string;
+};
+
+const DEFAULT_METHOD: EstimationMethod = "uniform";
+
+/**
+ * クエリ文字列から表示状態を読み取ります。
+ * 形式が不正な値は無視し、データに存在するかどうかの確認は呼び出し側で行います。
+ */
+export const parseViewState = (search: string): Partial<ViewState> => {
+  const params = new URLSearchParams(search);
+  const state: Partial<ViewState> = {};
+
+  const term = params.get("term");
+  if (term) {
+    state.term = term;
+  }
+  const dataset = params.get("dataset");
+  if (dataset) {
+    state.dataset = dataset;
+  }
+  const faculty = params.get("faculty");
+  if (faculty) {
+    state.faculty = faculty;
+  }
+  const major = params.get("major");
+  if (major) {
+    state.major = major;
+  }
+  const grade = params.get("grade");
+  if (grade && /^\d+$/.test(grade)) {
+    state.grade = String(Number.parseInt(grade, 10));
+  }
+  const gpa = params.get("gpa");
+  if (gpa && Number.isFinite(Number(gpa))) {
+    state.gpa = gpa;
+  }
+  const method = params.get("method");
+  if (method && ESTIMATION_METHODS.includes(method as EstimationMethod)) {
+    state.method = method as EstimationMethod;
+  }
+  if (params.get("exclude") === "zero") {
+    state.excludeZero = true;
+  }
+  const chart = params.get("chart");
+  if (chart && CHART_TYPES.includes(chart as ChartType)) {
+    state.chart = chart as ChartType;
+  }
+  const bins = params.get("bins");
+  if (bins && parseBinScheme(bins)) {
+    state.bins = bins;
+  }
+  return state;
+};
+
+/** 表示状態をクエリ文字列（先頭の `?` を含む）にします。空の値と既定の推定方法・グラフは省きます。 */
+export const serializeViewState = (state: ViewState) => {
+  const params = new URLSearchParams();
+  (["term", "dataset", "faculty", "major", "grade", "gpa"] as const).forEach(
+    (key) => {
+      if (state[key]) {
+        params.set(key, state[key]);
+      }
+    }
+  );
+  if (state.method !== DEFAULT_METHOD) {
+    params.set("method", state.method);
+  }
+  if (state.excludeZero) {
+    params.set("exclude", "zero");
+  }
+  if (state.chart !== CHART_TYPES[0]) {
+    params.set("chart", state.chart);
+  }
+  if (state.bins) {
+    params.set("bins", state.bins);
+  }
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
+
+/** GPA の入力以外が変わった場合は、ブラウザの履歴に新しい項目を積みます。 */
+export const isHistoryStep = (previous: ViewState, next: ViewState) =>
+  previous.term !== next.term ||
+  previous.dataset !== next.dataset ||
+  previous.faculty !== next.faculty ||
+  previous.major !== next.major ||
+  previous.grade !== next.grade ||
+  previous.method !== next.method ||
+  previous.excludeZero !== next.excludeZero ||
+  previous.chart !== next.chart ||
+  previous.bins !== next.bins;
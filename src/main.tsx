@@ -1,10 +1,25 @@
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
-import App from "./App";
+import { MESSAGES, detectLocale } from "./i18n";
 import "./styles.css";
 
-createRoot(document.getElementById("root") as HTMLElement).render(
-  <StrictMode>
-    <App />
-  </StrictMode>
-);
+const root = createRoot(document.getElementById("root") as HTMLElement);
+
+// データの読み込み（API サーバーを使う場合は通信）が終わってから App を描画する
+import("./App")
+  .then(({ default: App }) =>
+    root.render(
+      <StrictMode>
+        <App />
+      </StrictMode>
+    )
+  )
+  .catch((error: Error) =>
+    root.render(
+      <div className="page">
+        <p className="placeholder">
+          {MESSAGES[detectLocale()].app.loadFailed(error.message)}
+        </p>
+      </div>
+    )
+  );
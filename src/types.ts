@@ -5,6 +5,8 @@ export type BinRange = {
 };
 
 export type SegmentDistribution = {
+  /** 学部名。CSV に学部列がなく、マニフェストでも指定されていない場合は空文字 */
+  faculty: string;
   major: string;
   grade: number;
   label: string;
@@ -16,3 +18,97 @@ export type DistributionDataset = {
   bins: BinRange[];
   segments: SegmentDistribution[];
 };
+
+export type CsvEncoding = "utf-8" | "utf-8-bom" | "shift_jis";
+
+export type CsvDelimiter = "," | "\t" | ";";
+
+export type CsvFormat = {
+  encoding: CsvEncoding;
+  delimiter: CsvDelimiter;
+  /**
+   * 見出しの列数。1 列（例: `情報学科 1回生`）、2 列（`学科,学年`）、
+   * 学部を含む 3 列（`学部,学科,学年`）のいずれか
+   */
+  labelColumns: 1 | 2 | 3;
+};
+
+export type CsvIssueKind =
+  | "empty"
+  | "unterminated-quote"
+  | "invalid-bin"
+  | "non-numeric"
+  | "missing-grade"
+  | "duplicate-segment"
+  | "extra-cells";
+
+/** CSV の問題点。表示する文言は `formatCsvIssue` で表示言語に合わせて作ります */
+export type CsvIssue = {
+  kind: CsvIssueKind;
+  severity: "error" | "warning";
+  /** 1 始まりの行番号（ファイル全体に関わる問題は 0） */
+  line: number;
+} & (
+  | { kind: "empty" | "unterminated-quote" }
+  /** `cell` は範囲として解釈できなかった見出しのセル */
+  | { kind: "invalid-bin"; cell: string }
+  | { kind: "non-numeric"; label: string; bin: string; cell: string }
+  /** `cell` は学年の列の値。学科・学年が 1 列で学年の表記がない場合は null */
+  | { kind: "missing-grade"; label: string; cell: string | null }
+  | { kind: "duplicate-segment"; label: string; firstLine: number }
+  | { kind: "extra-cells"; label: string; cells: string[] }
+);
+
+export type CsvInspection = {
+  dataset: DistributionDataset;
+  format: CsvFormat;
+  issues: CsvIssue[];
+};
+
+export type DatasetKind = "current" | "cumulative";
+
+/** 1 つの学期を構成する CSV の組。学部ごとに分かれたファイルを複数並べられます。 */
+export type TermDataSource = {
+  /** CSV に学部列がない場合に各行へ割り当てる学部名 */
+  faculty?: string;
+  /** `src/data` からの相対パス */
+  current: string;
+  cumulative: string;
+};
+
+export type TermManifestEntry = {
+  /** URL などで使う識別子（例: `2025-spring`） */
+  id: string;
+  /** 画面表示用の学期名（例: `2025春`） */
+  label: string;
+  sources: TermDataSource[];
+};
+
+/** 少人数の集団から個人が特定されないようにするための表示の規則 */
+export type PrivacyPolicy = {
+  /** この人数未満の集団は分布・順位・統計を表示しない */
+  minGroupSize: number;
+  /** この人数未満のビンは隣のビンとまとめて表示する（k-匿名性の k） */
+  minBinCount: number;
+  /** 集団がこの人数未満、または自分のビンが minBinCount 未満なら順位を幅で表示する */
+  exactRankMinSize: number;
+  /** 順位を幅で表示するときの刻み（%） */
+  rankBandWidth: number;
+};
+
+export type TermManifest = {
+  /** 古い学期から新しい学期の順に並べる */
+  terms: TermManifestEntry[];
+  /** 省略した項目は既定値を使う */
+  privacy?: Partial<PrivacyPolicy>;
+};
+
+export type TermDatasets = {
+  id: string;
+  label: string;
+  files: Record<DatasetKind, string[]>;
+  datasets: Record<DatasetKind, DistributionDataset>;
+};
+
+/** ビン内の学生の分布をどう仮定して順位・分位点を推定するか */
+export type EstimationMethod = "uniform" | "linear" | "spline";
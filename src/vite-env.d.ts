@@ -0,0 +1,6 @@
+/// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  /** データを読み込む API サーバーのオリジン（例: `http://localhost:8787`） */
+  readonly VITE_API_URL?: string;
+}
@@ -0,0 +1,124 @@
+import { StrictMode } from "react";
+import { createRoot } from "react-dom/client";
+import type { Root } from "react-dom/client";
+import RankWidget from "./components/RankWidget";
+import type {
+  RankWidgetResult,
+  RankWidgetTheme,
+} from "./components/RankWidget";
+import { privacyPolicy, termRegistry } from "./data/registry";
+import { I18nContext } from "./i18n";
+import type { Locale } from "./i18n";
+import { ESTIMATION_METHODS } from "./lib/estimation";
+import { DATASET_KINDS } from "./lib/terms";
+import type { DatasetKind, EstimationMethod } from "./types";
+import styles from "./widget.css?inline";
+
+export type { RankWidgetResult };
+
+/** 順位を計算するたびに要素から発生するイベントの名前。`detail` は `RankWidgetResult` */
+export const RANK_EVENT = "gpa-rank";
+
+const ATTRIBUTES = [
+  "term",
+  "dataset",
+  "faculty",
+  "major",
+  "grade",
+  "method",
+  "theme",
+  "lang",
+];
+
+const parseDataset = (value: string | null): DatasetKind =>
+  DATASET_KINDS.find((kind) => kind === value) ?? "current";
+
+const parseMethod = (value: string | null): EstimationMethod =>
+  ESTIMATION_METHODS.find((method) => method === value) ?? "uniform";
+
+const parseTheme = (value: string | null): RankWidgetTheme =>
+  value === "dark" ? "dark" : "light";
+
+const parseGrade = (value: string | null) => {
+  const grade = Number.parseInt(value ?? "", 10);
+  return Number.isNaN(grade) ? undefined : grade;
+};
+
+/**
+ * `<gpa-rank-widget dataset="cumulative" major="機械工学科" grade="2">` のように埋め込む順位表示。
+ * 表示は Shadow DOM の中に閉じ、埋め込み先のページのスタイルとは干渉しません。
+ * 属性を変えると、その学科・学年から表示し直します。
+ */
+class GpaRankWidgetElement extends HTMLElement {
+  static observedAttributes = ATTRIBUTES;
+
+  private root: Root | null = null;
+
+  connectedCallback() {
+    if (!this.root) {
+      const shadow = this.shadowRoot ?? this.attachShadow({ mode: "open" });
+      const style = document.createElement("style");
+      style.textContent = styles;
+      const container = document.createElement("div");
+      shadow.replaceChildren(style, container);
+      this.root = createRoot(container);
+    }
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  /** `lang` 属性（なければ祖先の `lang`）が英語なら英語で表示します */
+  private get locale(): Locale {
+    const lang = this.closest("[lang]")?.getAttribute("lang") ?? "";
+    return lang.toLowerCase().startsWith("en") ? "en" : "ja";
+  }
+
+  private render() {
+    if (!this.root) {
+      return;
+    }
+    const props = {
+      term: this.getAttribute("term") ?? undefined,
+      dataset: parseDataset(this.getAttribute("dataset")),
+      faculty: this.getAttribute("faculty") ?? undefined,
+      major: this.getAttribute("major") ?? undefined,
+      grade: parseGrade(this.getAttribute("grade")),
+      method: parseMethod(this.getAttribute("method")),
+    };
+    this.root.render(
+      <StrictMode>
+        <I18nContext.Provider value={this.locale}>
+          <RankWidget
+            // 学期・学科などの属性が変わったら、入力欄もその値から始め直す
+            key={JSON.stringify(props)}
+            {...props}
+            terms={termRegistry}
+            privacy={privacyPolicy}
+            theme={parseTheme(this.getAttribute("theme"))}
+            onRank={(result) =>
+              this.dispatchEvent(
+                new CustomEvent<RankWidgetResult>(RANK_EVENT, {
+                  detail: result,
+                  bubbles: true,
+                  composed: true,
+                })
+              )
+            }
+          />
+        </I18nContext.Provider>
+      </StrictMode>
+    );
+  }
+}
+
+if (!customElements.get("gpa-rank-widget")) {
+  customElements.define("gpa-rank-widget", GpaRankWidgetElement);
+}
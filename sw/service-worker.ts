@@ -0,0 +1,71 @@
+/// <reference lib="webworker" />
+
+/**
+ * ビルド時に `vite.config.ts` の serviceWorker プラグインが、
+ * プリキャッシュする URL の一覧とキャッシュのバージョンを先頭に埋め込みます。
+ */
+declare const __PRECACHE_URLS__: string[];
+declare const __CACHE_VERSION__: string;
+declare const self: ServiceWorkerGlobalScope;
+
+export {};
+
+const CACHE_PREFIX = "gpa-insights-";
+const CACHE_NAME = `${CACHE_PREFIX}${__CACHE_VERSION__}`;
+const INDEX_URL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  // addAll は 1 件でも失敗すると全体が失敗するため、新旧のファイルが混ざらない
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(__PRECACHE_URLS__))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    void self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (
+    request.method !== "GET" ||
+    new URL(request.url).origin !== self.location.origin
+  ) {
+    return;
+  }
+
+  // このバージョンのキャッシュだけを参照し、古いバージョンのファイルは返さない
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) {
+        return cached;
+      }
+      if (request.mode === "navigate") {
+        try {
+          return await fetch(request);
+        } catch {
+          return (await cache.match(INDEX_URL)) ?? Response.error();
+        }
+      }
+      return fetch(request);
+    })
+  );
+});
@@ -1,2 +0,0 @@
-declare const _default: import("vite").UserConfig;
-export default _default;
@@ -1,9 +1,128 @@
-import { defineConfig } from "vite";
+import { createHash } from "node:crypto";
+import { readFile, readdir } from "node:fs/promises";
+import path from "node:path";
+import { defineConfig, transformWithEsbuild } from "vite";
+import type { Plugin, ResolvedConfig, UserConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
-export default defineConfig({
+const SERVICE_WORKER_SOURCE = "sw/service-worker.ts";
+
+const listFiles = async (directory: string): Promise<string[]> => {
+  const entries = await readdir(directory, { withFileTypes: true }).catch(
+    () => []
+  );
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(directory, entry.name);
+      return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+    })
+  );
+  return nested.flat();
+};
+
+/**
+ * ビルド成果物と public 配下のファイルをすべてプリキャッシュする sw.js を出力します。
+ * キャッシュのバージョンは全ファイルの内容のハッシュなので、
+ * データや画面が 1 か所でも変わると新しい Service Worker として配信されます。
+ */
+const serviceWorker = (): Plugin => {
+  let config: ResolvedConfig;
+  return {
+    name: "gpa-insights:service-worker",
+    apply: "build",
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle: {
+      order: "post",
+      async handler(_, bundle) {
+        const hash = createHash("sha256");
+        const files = new Map<string, string | Uint8Array>();
+        Object.values(bundle).forEach((output) => {
+          files.set(
+            output.fileName,
+            output.type === "chunk" ? output.code : output.source
+          );
+        });
+        const publicDir = config.publicDir;
+        if (publicDir) {
+          const publicFiles = await listFiles(publicDir);
+          await Promise.all(
+            publicFiles.map(async (file) => {
+              const fileName = path
+                .relative(publicDir, file)
+                .split(path.sep)
+                .join("/");
+              files.set(fileName, await readFile(file));
+            })
+          );
+        }
+
+        const fileNames = Array.from(files.keys()).sort();
+        fileNames.forEach((fileName) => {
+          hash.update(fileName);
+          hash.update(files.get(fileName) ?? "");
+        });
+        const urls = [
+          "",
+          ...fileNames.filter((fileName) => !fileName.endsWith(".map")),
+        ].map((fileName) => `${config.base}${fileName}`);
+
+        const source = await readFile(
+          path.resolve(config.root, SERVICE_WORKER_SOURCE),
+          "utf-8"
+        );
+        const { code } = await transformWithEsbuild(
+          source,
+          SERVICE_WORKER_SOURCE,
+          { loader: "ts", format: "iife", minify: true }
+        );
+        this.emitFile({
+          type: "asset",
+          fileName: "sw.js",
+          source: `const __PRECACHE_URLS__=${JSON.stringify(
+            urls
+          )};const __CACHE_VERSION__="${hash
+            .digest("hex")
+            .slice(0, 16)}";${code}`,
+        });
+      },
+    },
+  };
+};
+
+/**
+ * `vite build --mode widget` では、埋め込み用のカスタム要素 `<gpa-rank-widget>` を
+ * 単体の ES モジュールとして `dist/widget` に出力します。
+ */
+const widgetConfig: UserConfig = {
   plugins: [react()],
-  server: {
-    port: 5174,
+  // ライブラリとしてビルドする場合は自動で置き換わらないため、React の本番用コードを選ばせる
+  define: {
+    "process.env.NODE_ENV": JSON.stringify("production"),
+  },
+  publicDir: false,
+  build: {
+    outDir: "dist/widget",
+    lib: {
+      entry: "src/widget.tsx",
+      formats: ["es"],
+      fileName: () => "gpa-rank-widget.js",
+    },
+    // 学期の CSV（registry.ts で必要になってから読み込む分）も含めて 1 ファイルにまとめる
+    rollupOptions: {
+      output: { inlineDynamicImports: true },
+    },
   },
-});
+};
+
+export default defineConfig(({ mode }) =>
+  mode === "widget"
+    ? widgetConfig
+    : {
+        plugins: [react(), serviceWorker()],
+        server: {
+          port: 5174,
+        },
+      }
+);